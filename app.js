@@ -1,64 +1,162 @@
 import express from 'express';
 import MakeDataLoader from "./src/entities/makeDataLoader.js";
-import {AsyncTask, SimpleIntervalJob, ToadScheduler} from 'toad-scheduler'
-import {logger} from "./src/utils/helpers.js";
+import ModelDataLoader from "./src/entities/modelDataLoader.js";
+import SyncManager from "./src/entities/syncManager.js";
+import {createLogger} from "./src/utils/logger.js";
 import {graphqlHTTP} from "express-graphql";
 import {schema} from "./src/schemas/vehicleMake.js";
+import {makesRouter} from "./src/routes/makes.js";
+import {vehicleTypesRouter} from "./src/routes/vehicleTypes.js";
+import {historyRouter} from "./src/routes/history.js";
+import {adminRouter} from "./src/routes/admin.js";
+import {healthRouter} from "./src/routes/health.js";
+import {auditsRouter} from "./src/routes/audits.js";
+import {vinRouter} from "./src/routes/vin.js";
+import {webhooksRouter} from "./src/routes/webhooks.js";
+import {overridesRouter} from "./src/routes/overrides.js";
+import {statsRouter} from "./src/routes/stats.js";
+import {asyncHandler, conditionalGet, errorHandler, requestLogger} from "./src/utils/http.js";
+import {requireApiKey} from "./src/utils/auth.js";
+import {NotFoundError} from "./src/utils/errors.js";
+import {createCollectedGauge, metricsMiddleware, registry} from "./src/utils/metrics.js";
+import {config} from "./src/utils/config.js";
+import MongoDBFacade from "./src/db/mongo.js";
+import DataAudit from "./src/entities/dataAudit.js";
+import VinDecoder from "./src/entities/vinDecoder.js";
+import ApiKeys from "./src/entities/apiKeys.js";
+import Webhooks from "./src/entities/webhooks.js";
+import WebhookDispatcher from "./src/entities/webhookDispatcher.js";
+import MakeOverrides from "./src/entities/makeOverrides.js";
+import Quarantine from "./src/entities/quarantine.js";
+import SeedSnapshot from "./src/entities/seedSnapshot.js";
+
+const logger = createLogger("app")
 
 const app = express()
-const port = 3000 // later can be changed to 80
+const port = config.server.port
+
+/**
+ * Serves the liveness ('/healthz') and readiness ('/readyz') probes, before the metrics
+ * middleware so the frequent probe requests aren't counted.
+ */
+app.use(healthRouter)
+
+/**
+ * Counts the requests and measures their latency for the Prometheus metrics.
+ */
+app.use(metricsMiddleware)
+
+/**
+ * Exposes the number of makes in the database as a metric, read on every scrape.
+ */
+createCollectedGauge({
+    name: "vehicle_makes_documents",
+    help: "Number of vehicle makes in the database.",
+}, () => MakeDataLoader.countMakes())
+
+/**
+ * Handles GET requests to '/metrics', exposing the metrics in the Prometheus text format.
+ */
+app.get('/metrics', asyncHandler(async (req, res) => {
+    res.set('Content-Type', registry.contentType)
+    res.end(await registry.metrics())
+}))
+
+/**
+ * Gives every request of the APIs an ID, carried by the lines logged while it's handled, and logs its response.
+ */
+app.use(requestLogger)
+
+/**
+ * Serves the vehicle makes REST resources under '/api/v1/makes', with conditional GET support.
+ */
+app.use('/api/v1/makes', requireApiKey("read"), conditionalGet, makesRouter)
+
+/**
+ * Serves the vehicle types REST resources under '/api/v1/vehicle-types', with conditional GET support.
+ */
+app.use('/api/v1/vehicle-types', requireApiKey("read"), conditionalGet, vehicleTypesRouter)
+
+/**
+ * Serves the statistics of the catalog, with conditional GET support.
+ */
+app.use('/api/v1/stats', requireApiKey("read"), conditionalGet, statsRouter)
+
+/**
+ * Serves the sync versions, the catalog as of a version or date and the diffs between versions.
+ */
+app.use('/api/v1/history', requireApiKey("read"), historyRouter)
+
+/**
+ * Serves the data quality audit reports and runs audits on demand.
+ */
+app.use('/api/v1/audits', requireApiKey("admin"), auditsRouter)
+
+/**
+ * Decodes VINs, one by one or in batches, and joins them to the stored makes.
+ */
+app.use('/api/v1/vin', requireApiKey("read"), vinRouter)
 
 /**
- * Handles GET requests to '/api/v1/makes', returning a list of vehicle makes.
- * @param {express.Request} req - The Express.js request object.
- * @param {express.Response} res - The Express.js response object.
- * @returns {Promise<void>} - Resolves with JSON data of vehicle makes.
+ * Manages the webhook subscriptions to the catalog changes and serves their delivery logs.
  */
-app.get('/api/v1/makes', async (req, res) => {
-    const makes = await MakeDataLoader?.getAllMakes()
-    res.json(makes)
-})
+app.use('/api/v1/webhooks', requireApiKey("admin"), webhooksRouter)
 
 /**
- * Handles GraphQL requests at '/graphql', using the specified schema and enabling the GraphiQL interface.
+ * Manages the curated overrides of the makes: display names, aliases, hidden makes and vehicle types.
  */
-app.use('/graphql', graphqlHTTP({
+app.use('/api/v1/overrides', requireApiKey("admin"), overridesRouter)
+
+/**
+ * Serves the admin API, e.g. triggering, monitoring and cancelling the sync runs and managing the API keys.
+ */
+app.use('/api/v1/admin', requireApiKey("admin"), adminRouter)
+
+/**
+ * Responds with a JSON 404 error to unknown API routes.
+ */
+app.use('/api', (req, res, next) => next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found.`)))
+
+/**
+ * Handles GraphQL requests at '/graphql', using the specified schema and, unless turned off, the
+ * GraphiQL interface, whose headers editor takes the API key.
+ */
+app.use('/graphql', requireApiKey("read", {allowGraphiQL: true}), graphqlHTTP({
     schema,
-    graphiql: true,
+    graphiql: config.server.graphiql && {headerEditorEnabled: true},
 }));
 
+/**
+ * Converts errors thrown by the handlers into JSON error responses.
+ */
+app.use(errorHandler)
 
 /**
  * Performs scheduled tasks before starting the application, including data loading and tests.
  * @returns {Promise<ToadScheduler>} - Resolves with the ToadScheduler instance.
  */
 async function doBeforeStart() {
-    const scheduler = new ToadScheduler()
-    const taskId = "LOAD_MAKES_TASK"
-    const scheduledFunction = async () => {
-        await MakeDataLoader.startLoading()
-
-        // in this case, I relied on just a function to test,
-        // but according to the platform and CI/CD pipelines,
-        // we can use other approaches (or maybe an external
-        // service) for periodic tests.
-        await MakeDataLoader.testTheMakesDataTransform() // Run tests
+    await MongoDBFacade.connectWithRetry()
+    await MakeDataLoader.ensureIndexes()
+    await ModelDataLoader.ensureIndexes()
+    await DataAudit.ensureIndexes()
+    await VinDecoder.ensureIndexes()
+    await Webhooks.ensureIndexes()
+    await ApiKeys.ensureIndexes()
+    await MakeOverrides.ensureIndexes()
+    await Quarantine.ensureIndexes()
+    // an empty database serves the seed snapshot, if any, until the first sync replaces it
+    try {
+        await SeedSnapshot.bootstrap()
+    } catch (error) {
+        logger.error("The seed snapshot couldn't be loaded:", error?.message ?? error)
     }
-    const task = new AsyncTask(
-        taskId, scheduledFunction,
-        (err) => {
-            logger.log("Error on scheduled function:", err)
-        }
-    )
-    const job = new SimpleIntervalJob({hours: 6}, task, {
-        id: taskId,
-        preventOverrun: true, // run after the finish of the previous task
-    })
-    scheduler.addSimpleIntervalJob(job)
-    // runs the task immediately after running the service
-    // to populate the database
-    task.execute()
-    return scheduler
+    if (!config.auth.enabled) logger.warn("The API keys are not required (AUTH_ENABLED=false), which is meant for local development only.")
+    ApiKeys.start()
+    // sends the webhook deliveries left pending and the new ones
+    WebhookDispatcher.start()
+    // schedules the sync every `sync.intervalHours` and, unless disabled, runs it right away
+    return SyncManager.start()
 }
 
 /**
@@ -68,17 +166,26 @@ async function doBeforeStart() {
 doBeforeStart().then((scheduler) => {
 
     const server = app.listen(port, () => {
-        logger.log(`Example app listening on port ${port}`)
+        logger.info(`Example app listening on port ${port}`)
     })
 
     process.on('SIGINT', gracefulShutdown)
     process.on('SIGTERM', gracefulShutdown)
 
-    function gracefulShutdown(error) {
-        logger.log("Server Closed...")
-        scheduler.stop()
+    async function gracefulShutdown(error) {
+        logger.info("Server Closed...")
+        const timeoutMs = config.server.shutdownTimeoutSeconds * 1000
+        WebhookDispatcher.stop()
+        // the cancelled sync still writes to the database and holds the lease of the catalog
+        if (!await SyncManager.stop({timeoutMs}))
+            logger.warn(`The cancelled sync didn't stop within ${timeoutMs} ms, its lease expires by itself.`)
+        await ApiKeys.stop()
         server.close()
+        await MongoDBFacade.closePool()
         process.exit(error ? 1 : 0)
     }
 
+}).catch((error) => {
+    logger.error("Failed to start the service:", error)
+    process.exit(1)
 });
\ No newline at end of file
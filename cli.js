@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+import {parseArgs} from "util";
+import {createReadStream, createWriteStream} from "fs";
+import {readFile} from "fs/promises";
+import {once} from "events";
+import {basename, extname} from "path";
+import {createInterface} from "readline";
+import MongoDBFacade from "./src/db/mongo.js";
+import MakeDataLoader from "./src/entities/makeDataLoader.js";
+import SyncManager from "./src/entities/syncManager.js";
+import DataAudit from "./src/entities/dataAudit.js";
+import VersionHistory from "./src/entities/versionHistory.js";
+import CatalogGenerations from "./src/entities/catalogGenerations.js";
+import MakeOverrides from "./src/entities/makeOverrides.js";
+import SeedSnapshot from "./src/entities/seedSnapshot.js";
+import {configureLogging, createLogger} from "./src/utils/logger.js";
+import {ServiceUnavailableError} from "./src/utils/errors.js";
+import {config} from "./src/utils/config.js";
+
+const logger = createLogger("cli")
+
+/**
+ * The exit codes of the CLI, so cron jobs and runbooks can tell the failures apart.
+ * @type {Object<string, number>}
+ */
+const EXIT_CODES = {
+    success: 0,
+    failure: 1, // the command failed, e.g. the sync failed or the file to import is invalid
+    usage: 2, // unknown command or invalid options
+    auditFailed: 3, // the audit found errors
+    unavailable: 4, // MongoDB isn't reachable or the catalog isn't ready yet
+    cancelled: 130, // interrupted with Ctrl+C
+}
+
+const FILE_FORMATS = ["json", "ndjson"]
+
+/**
+ * Represents an invalid command line.
+ * @class
+ */
+class UsageError extends Error {
+}
+
+/**
+ * The options every command accepts.
+ * @type {object}
+ */
+const COMMON_OPTIONS = {
+    json: {type: "boolean", default: false},
+    quiet: {type: "boolean", short: "q", default: false},
+    help: {type: "boolean", short: "h", default: false},
+}
+
+/**
+ * The commands, with their usage, options and the function running them. A command resolves
+ * with its exit code.
+ * @type {Object<string, object>}
+ */
+const COMMANDS = {
+    sync: {
+        usage: "sync [--make-ids 440,441] [--allow-mass-removal]",
+        description: "Runs a full sync, or syncs only the given makes, and waits for it.",
+        options: {"make-ids": {type: "string"}, "allow-mass-removal": {type: "boolean", default: false}},
+        run: runSync,
+    },
+    export: {
+        usage: "export [--output makes.ndjson] [--format json|ndjson]",
+        description: "Dumps the saved makes of the catalog, the deleted ones included, to a file or stdout.",
+        options: {output: {type: "string", short: "o"}, format: {type: "string"}},
+        run: runExport,
+    },
+    import: {
+        usage: "import <file> [--format json|ndjson]",
+        description: "Replaces the catalog with the makes of a file, e.g. an export.",
+        options: {format: {type: "string"}},
+        run: runImport,
+    },
+    snapshot: {
+        usage: "snapshot --output makes.ndjson.gz [--snapshot-version 2026-10]",
+        description: "Writes the catalog into a seed snapshot, gzipped if the file name ends with .gz.",
+        options: {output: {type: "string", short: "o"}, "snapshot-version": {type: "string"}},
+        run: runSnapshot,
+    },
+    seed: {
+        usage: "seed [--file makes.ndjson.gz]",
+        description: "Loads a seed snapshot (SEED_FILE by default) into an empty catalog, as the service does at startup.",
+        options: {file: {type: "string"}},
+        run: runSeed,
+    },
+    stats: {
+        usage: "stats",
+        description: "Prints the make counts, the catalog generations and the last syncs.",
+        options: {},
+        run: runStats,
+    },
+    audit: {
+        usage: "audit",
+        description: "Runs the data quality checks and stores the report; exits with 3 if it found errors.",
+        options: {},
+        run: runAudit,
+    },
+    purge: {
+        usage: "purge --yes",
+        description: "Deletes all makes of the active catalog generation, until the next sync or rollback.",
+        options: {yes: {type: "boolean", default: false}},
+        run: runPurge,
+    },
+}
+
+/**
+ * Writes a line of the command output to stdout. The logs go to stderr, so the output can be
+ * piped, e.g. an export.
+ * @param {string} [text=""] - The line.
+ */
+function print(text = "") {
+    process.stdout.write(text + "\n")
+}
+
+/**
+ * Writes the result of a command, as JSON with `--json` or as text.
+ * @param {object} options - The parsed options.
+ * @param {object} result - The result, written with `--json`.
+ * @param {string[]} lines - The text lines, written otherwise.
+ */
+function printResult(options, result, lines) {
+    if (options.json) print(JSON.stringify(result, null, 2))
+    else lines.forEach(line => print(line))
+}
+
+/**
+ * Prints the usage of the CLI, or of a command.
+ * @param {string} [name] - The command name, all commands if omitted.
+ */
+function printUsage(name) {
+    const names = name ? [name] : Object.keys(COMMANDS)
+    const width = Math.max(...names.map(commandName => COMMANDS[commandName].usage.length))
+    print("Usage: node cli.js <command> [options]")
+    print()
+    for (const commandName of names)
+        print(`  ${COMMANDS[commandName].usage.padEnd(width)}  ${COMMANDS[commandName].description}`)
+    print()
+    print("Options of all commands: --json (the result as JSON), --quiet/-q (no logs), --help/-h")
+    print(`Exit codes: ${Object.entries(EXIT_CODES).map(([reason, code]) => `${code} ${reason}`).join(", ")}`)
+}
+
+/**
+ * Resolves the file format of an export or an import from the `--format` option, or else the
+ * file extension (".json" is JSON, anything else NDJSON).
+ * @param {string} [format] - The `--format` option.
+ * @param {string} [file] - The file name.
+ * @returns {string} - One of FILE_FORMATS.
+ * @throws {UsageError} - If the format is unknown.
+ */
+function resolveFormat(format, file) {
+    if (format === undefined) return file && extname(file).toLowerCase() === ".json" ? "json" : "ndjson"
+    if (!FILE_FORMATS.includes(format)) throw new UsageError(`The format must be one of: ${FILE_FORMATS.join(", ")}.`)
+    return format
+}
+
+/**
+ * Runs the `sync` command. The first Ctrl+C cancels the sync, which stops after the requests in flight.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code.
+ */
+async function runSync(options) {
+    let makeIds
+    if (options["make-ids"] !== undefined) {
+        makeIds = options["make-ids"].split(",").map(makeId => Number(makeId.trim()))
+        if (!makeIds.length || !makeIds.every(makeId => Number.isInteger(makeId) && makeId > 0))
+            throw new UsageError("The --make-ids must be a comma separated list of make IDs.")
+    }
+    const cancel = () => SyncManager.currentRun && SyncManager.cancel()
+    process.once("SIGINT", cancel)
+    const run = await SyncManager.runOnce({makeIds, allowMassRemoval: options["allow-mass-removal"]})
+    process.removeListener("SIGINT", cancel)
+    const progress = run.phases.vehicleTypes
+    printResult(options, run, [
+        `Sync run ${run.runId} ${run.status} (version ${run.version ?? "none"}).`,
+        ...progress ? [`Vehicle types: ${progress.processed} of ${progress.total} makes saved, ${progress.failedMakeIds.size} failed.`] : [],
+        ...run.error ? [`Error: ${run.error}`] : [],
+    ])
+    if (run.status === "cancelled") return EXIT_CODES.cancelled
+    return run.status === "completed" ? EXIT_CODES.success : EXIT_CODES.failure
+}
+
+/**
+ * Runs the `export` command, streaming the makes so large catalogs aren't held in memory.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code.
+ */
+async function runExport(options) {
+    const format = resolveFormat(options.format, options.output)
+    const makes = await MakeDataLoader.streamSavedMakes()
+    const output = options.output ? createWriteStream(options.output) : process.stdout
+    const write = async (text) => {
+        if (!output.write(text)) await once(output, "drain")
+    }
+    let count = 0
+    if (format === "json") await write("[\n")
+    for await (const make of makes) {
+        const text = JSON.stringify(make)
+        await write(format === "json" ? (count ? ",\n" : "") + text : text + "\n")
+        count++
+    }
+    if (format === "json") await write((count ? "\n" : "") + "]\n")
+    if (options.output) {
+        output.end()
+        await once(output, "finish")
+    }
+    logger.info(count, "makes exported", options.output ? `to ${options.output}` : "")
+    return EXIT_CODES.success
+}
+
+/**
+ * Reads the makes of a JSON (an array) or NDJSON (a make per line) file.
+ * @async
+ * @param {string} file - The file name.
+ * @param {string} format - One of FILE_FORMATS.
+ * @returns {object[]} - The makes.
+ * @throws {Error} - If the file isn't valid JSON, with the line number for NDJSON.
+ */
+async function readMakes(file, format) {
+    if (format === "json") {
+        try {
+            return JSON.parse(await readFile(file, "utf8"))
+        } catch (e) {
+            throw new Error(`${file} isn't valid JSON: ${e.message}`)
+        }
+    }
+    const makes = []
+    let lineNumber = 0
+    for await (const line of createInterface({input: createReadStream(file), crlfDelay: Infinity})) {
+        lineNumber++
+        if (!line.trim()) continue
+        try {
+            makes.push(JSON.parse(line))
+        } catch (e) {
+            throw new Error(`Line ${lineNumber} of ${file} isn't valid JSON: ${e.message}`)
+        }
+    }
+    return makes
+}
+
+/**
+ * Runs the `import` command.
+ * @async
+ * @param {object} options - The parsed options.
+ * @param {string[]} positionals - The file to import.
+ * @returns {number} - The exit code.
+ */
+async function runImport(options, [file]) {
+    if (!file) throw new UsageError("The file to import is missing.")
+    const makes = await readMakes(file, resolveFormat(options.format, file))
+    const result = await MakeDataLoader.importMakes(makes, {source: basename(file)})
+    printResult(options, result, [
+        `${makes.length} makes imported from ${file} (version ${result.version}): ` +
+        `${result.makeCount} makes in the catalog, ${result.changeCount} changed.`,
+    ])
+    return EXIT_CODES.success
+}
+
+/**
+ * Runs the `snapshot` command.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code.
+ */
+async function runSnapshot(options) {
+    if (!options.output) throw new UsageError("The --output file of the snapshot is missing.")
+    const header = await SeedSnapshot.write(options.output, {version: options["snapshot-version"]})
+    printResult(options, header, [`Seed snapshot ${header.version} written to ${options.output} with ${header.makeCount} makes.`])
+    return EXIT_CODES.success
+}
+
+/**
+ * Runs the `seed` command. A catalog which isn't empty is left as it is, which isn't a failure.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code.
+ */
+async function runSeed(options) {
+    const file = options.file ?? config.seed.file
+    if (!file) throw new UsageError("There is no seed snapshot, set SEED_FILE or pass --file.")
+    const result = await SeedSnapshot.bootstrap({file})
+    printResult(options, {loaded: Boolean(result), ...result}, [result
+        ? `Seed snapshot ${result.snapshotVersion} loaded as version ${result.version} with ${result.makeCount} makes.`
+        : "The catalog isn't empty, the seed snapshot isn't loaded."])
+    return EXIT_CODES.success
+}
+
+/**
+ * Runs the `stats` command. It works before the first sync too, to tell the catalog isn't ready.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code.
+ */
+async function runStats(options) {
+    const [state, activeGeneration, lastVersion, lastFullSync, overrides] = await Promise.all([
+        CatalogGenerations.getState(),
+        CatalogGenerations.getActiveGeneration(),
+        VersionHistory.getVersions().then(versions => versions[0] ?? null),
+        VersionHistory.getLastCompletedVersion("full"),
+        MakeOverrides.getOverrides(),
+    ])
+    const ready = Boolean(state?.activeCollection)
+    const [makeCount, vehicleTypes] = ready
+        ? await Promise.all([MakeDataLoader.countMakes(), MakeDataLoader.findVehicleTypes()])
+        : [0, []]
+    const stats = {
+        ready,
+        makeCount,
+        vehicleTypeCount: vehicleTypes.length,
+        overrideCount: overrides.length,
+        generations: state,
+        activeGeneration,
+        lastVersion,
+        lastFullSync,
+    }
+    const describe = (version) => version
+        ? `version ${version.version} (${version.type}) ${version.status}, started ${version.startedAt.toISOString()}` +
+        (version.finishedAt ? `, finished ${version.finishedAt.toISOString()}` : "") +
+        (version.makeCount !== undefined ? `, ${version.makeCount} makes` : "")
+        : "none"
+    printResult(options, stats, [
+        `Catalog: ${ready ? `generation ${state.activeGeneration} (${activeGeneration?.type}, ${state.activeCollection}), ` +
+            `previous ${state.previousGeneration ?? "none"}` : "not ready, no sync has completed yet"}`,
+        `Makes: ${makeCount}`,
+        `Vehicle types: ${vehicleTypes.length}`,
+        `Overrides: ${overrides.length}`,
+        `Last version: ${describe(lastVersion)}`,
+        `Last full sync: ${describe(lastFullSync)}`,
+    ])
+    return EXIT_CODES.success
+}
+
+/**
+ * Runs the `audit` command.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code, `auditFailed` if the audit found errors.
+ */
+async function runAudit(options) {
+    const report = await DataAudit.run({trigger: "cli"})
+    printResult(options, report, [
+        `Audit ${report.auditId} ${report.status}: ` +
+        Object.entries(report.summary).map(([severity, count]) => `${count} ${severity}`).join(", "),
+        ...report.findings.map(finding => `  [${finding.severity}] ${finding.check}: ${finding.message}`),
+    ])
+    return report.status === "failed" ? EXIT_CODES.auditFailed : EXIT_CODES.success
+}
+
+/**
+ * Runs the `purge` command, which must be confirmed with `--yes`.
+ * @async
+ * @param {object} options - The parsed options.
+ * @returns {number} - The exit code.
+ */
+async function runPurge(options) {
+    if (!options.yes) throw new UsageError("The purge deletes all makes, confirm it with --yes.")
+    const deletedCount = await MakeDataLoader.purgeMakes()
+    printResult(options, {deletedCount}, [`${deletedCount} makes purged.`])
+    return EXIT_CODES.success
+}
+
+/**
+ * Parses the command line and runs the command.
+ * @async
+ * @param {string[]} argv - The command line arguments, without the node and script paths.
+ * @returns {number} - The exit code.
+ */
+async function main(argv) {
+    const [name, ...args] = argv
+    if (!name || name === "help" || name === "--help" || name === "-h") {
+        printUsage()
+        return name ? EXIT_CODES.success : EXIT_CODES.usage
+    }
+    const command = COMMANDS[name]
+    if (!command) throw new UsageError(`Unknown command "${name}".`)
+    let parsed
+    try {
+        parsed = parseArgs({args, options: {...COMMON_OPTIONS, ...command.options}, allowPositionals: true})
+    } catch (e) {
+        throw new UsageError(e.message)
+    }
+    if (parsed.values.help) {
+        printUsage(name)
+        return EXIT_CODES.success
+    }
+    // stdout is left to the results, e.g. an export
+    configureLogging({stream: process.stderr, level: parsed.values.quiet ? "error" : null})
+    await MongoDBFacade.connectWithRetry()
+    try {
+        // adopts a catalog saved by an older version and creates the indexes, as the service does
+        await MakeDataLoader.ensureIndexes()
+        return await command.run(parsed.values, parsed.positionals)
+    } finally {
+        await MongoDBFacade.closePool()
+    }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code), error => {
+    console.error(`Error: ${error?.message ?? error}`)
+    for (const problem of error?.details?.problems ?? []) console.error(`  ${problem}`)
+    if (error instanceof UsageError) console.error('Run "node cli.js help" for the usage.')
+    process.exit(error instanceof UsageError ? EXIT_CODES.usage
+        : error instanceof ServiceUnavailableError ? EXIT_CODES.unavailable
+            : EXIT_CODES.failure)
+})
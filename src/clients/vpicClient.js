@@ -0,0 +1,144 @@
+import axios from "axios";
+import TokenBucket from "../utils/tokenBucket.js";
+import {sleep} from "../utils/helpers.js";
+import {createLogger} from "../utils/logger.js";
+import {UpstreamError} from "../utils/errors.js";
+import {config} from "../utils/config.js";
+import {upstreamRequestDuration, upstreamRequestsTotal} from "../utils/metrics.js";
+
+const logger = createLogger("vpic");
+
+/**
+ * HTTP client for the vPIC API, shared by all the calls to it so they respect one rate limit.
+ * Requests are rate limited by a token bucket, time out after `timeoutMs` and are retried with
+ * exponential backoff and jitter on network errors, 5xx and 429 responses. A `Retry-After`
+ * header pauses all requests of the client for the requested time, unless it's longer than
+ * `maxRetryAfterMs`: the request then fails right away, and is left to the retry rounds of the sync.
+ * @class
+ */
+export class VpicClient {
+    /**
+     * Creates a new VpicClient instance.
+     * @constructor
+     * @param {object} [options={}] - The client options.
+     * @param {string} [options.baseUrl=config.vpic.baseUrl] - The base URL of the vPIC API.
+     * @param {number} [options.requestsPerSecond=5] - The sustained request rate.
+     * @param {number} [options.burst=requestsPerSecond] - The number of requests allowed in a burst.
+     * @param {number} [options.timeoutMs=30000] - The timeout of each request.
+     * @param {number} [options.maxRetries=4] - The number of retries after the first attempt.
+     * @param {number} [options.baseDelayMs=500] - The backoff delay of the first retry.
+     * @param {number} [options.maxDelayMs=30000] - The maximum backoff delay.
+     * @param {number} [options.maxRetryAfterMs=300000] - The longest `Retry-After` waited for.
+     */
+    constructor({
+                    baseUrl = config.vpic.baseUrl,
+                    requestsPerSecond = 5,
+                    burst = requestsPerSecond,
+                    timeoutMs = 30000,
+                    maxRetries = 4,
+                    baseDelayMs = 500,
+                    maxDelayMs = 30000,
+                    maxRetryAfterMs = 300000,
+                } = {}) {
+        this.http = axios.create({baseURL: baseUrl, timeout: timeoutMs});
+        this.bucket = new TokenBucket(requestsPerSecond, burst);
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.maxRetryAfterMs = maxRetryAfterMs;
+    }
+
+    /**
+     * Sends a GET request to the vPIC API.
+     * @async
+     * @param {string} path - The path relative to the base URL.
+     * @param {object} [params={}] - The query parameters.
+     * @returns {*} - The response body.
+     * @throws {UpstreamError} - If the request still fails after all retries, or fails with a non-retryable error.
+     */
+    async get(path, params = {}) {
+        const endpoint = path.split("/").find(Boolean); // without the IDs, to keep the metric labels few
+        for (let attempt = 0; ; attempt++) {
+            await this.bucket.take();
+            const stopTimer = upstreamRequestDuration.startTimer({endpoint});
+            try {
+                const response = await this.http.get(path, {
+                    params,
+                    headers: {
+                        // prevent getting blocked by firewall
+                        'User-Agent': `bla-bla-bla-${Math.random()}`
+                    }
+                });
+                const durationMs = Math.round(stopTimer() * 1000);
+                upstreamRequestsTotal.inc({endpoint, status: response?.status});
+                logger.debug({path, status: response?.status, attempt: attempt + 1, durationMs}, `vPIC request to ${path} succeeded.`);
+                return response?.data;
+            } catch (error) {
+                const durationMs = Math.round(stopTimer() * 1000);
+                const status = error?.response?.status;
+                upstreamRequestsTotal.inc({endpoint, status: status ?? error?.code ?? "error"});
+                const retryAfterMs = this._parseRetryAfter(error?.response?.headers?.["retry-after"]);
+                const isWaitTooLong = retryAfterMs > this.maxRetryAfterMs;
+                if (!this._isRetryable(error) || attempt >= this.maxRetries || isWaitTooLong) {
+                    throw new UpstreamError(`vPIC request to ${path} failed: ${error?.message}` +
+                        (isWaitTooLong ? `, retry after ${retryAfterMs} ms requested` : ""), {
+                        status,
+                        code: error?.code,
+                        attempts: attempt + 1,
+                        ...(retryAfterMs !== null ? {retryAfterMs} : {}),
+                    });
+                }
+                if (retryAfterMs !== null) this.bucket.pause(retryAfterMs);
+                const delay = retryAfterMs ?? this._backoffDelay(attempt);
+                logger.warn({path, status, code: error?.code, attempt: attempt + 1, durationMs, retryInMs: delay},
+                    `vPIC request to ${path} failed (${status ?? error?.code}), retrying in ${delay} ms...`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Checks if a failed request should be retried: network errors, timeouts, 5xx and 429 responses.
+     * @param {Error} error - The axios error.
+     * @returns {boolean} - True if the request may succeed on a retry.
+     */
+    _isRetryable(error) {
+        const status = error?.response?.status;
+        if (status === undefined) return Boolean(error?.request) || error?.code === "ECONNABORTED";
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Calculates the exponential backoff delay with full jitter.
+     * @param {number} attempt - The zero-based number of the failed attempt.
+     * @returns {number} - The delay in milliseconds.
+     */
+    _backoffDelay(attempt) {
+        const cap = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(Math.random() * cap);
+    }
+
+    /**
+     * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+     * @param {string} [value] - The header value.
+     * @returns {number|null} - The delay in milliseconds, or null if there is none.
+     */
+    _parseRetryAfter(value) {
+        if (value === undefined || value === null || value === "") return null;
+        const seconds = Number(value);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+        if (!Number.isFinite(ms)) return null;
+        return Math.max(0, Math.round(ms));
+    }
+}
+
+/**
+ * The vPIC client shared by the data loaders.
+ * @type {VpicClient}
+ */
+export const vpicClient = new VpicClient({
+    requestsPerSecond: config.vpic.requestsPerSecond,
+    timeoutMs: config.vpic.timeoutMs,
+    maxRetries: config.vpic.maxRetries,
+    maxRetryAfterMs: config.vpic.maxRetryAfterMs,
+});
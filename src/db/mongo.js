@@ -1,33 +1,157 @@
-import {MongoClient} from 'mongodb';
-import {MONGODB_URI} from "../utils/constants.js";
+import {MongoClient, MongoNetworkError, MongoServerSelectionError} from 'mongodb';
+import {config} from "../utils/config.js";
+import {mongoOperationErrorsTotal} from "../utils/metrics.js";
+import {ServiceUnavailableError} from "../utils/errors.js";
+import {sleep} from "../utils/helpers.js";
+import {createLogger} from "../utils/logger.js";
+
+const logger = createLogger("mongo");
+
+/**
+ * Builds the MongoClient options (pool, credentials and TLS) from the MongoDB configuration.
+ * @param {object} mongo - The MongoDB section of the configuration.
+ * @returns {object} - The MongoClient options.
+ */
+function clientOptions(mongo) {
+    const options = {maxPoolSize: mongo.maxPoolSize, serverSelectionTimeoutMS: mongo.serverSelectionTimeoutMs};
+    if (mongo.username) options.auth = {username: mongo.username, password: mongo.password};
+    if (mongo.authSource) options.authSource = mongo.authSource;
+    if (mongo.tls) {
+        options.tls = true;
+        if (mongo.tlsCAFile) options.tlsCAFile = mongo.tlsCAFile;
+        if (mongo.tlsCertificateKeyFile) options.tlsCertificateKeyFile = mongo.tlsCertificateKeyFile;
+        if (mongo.tlsAllowInvalidCertificates) options.tlsAllowInvalidCertificates = true;
+    }
+    return options;
+}
+
+/**
+ * Converts the error of a read into the one to throw: a ServiceUnavailableError if MongoDB
+ * can't be reached, otherwise the error itself.
+ * @param {Error} error - The error of the read.
+ * @returns {Error} - The error to throw.
+ */
+function readError(error) {
+    if (error instanceof MongoNetworkError || error instanceof MongoServerSelectionError)
+        return new ServiceUnavailableError("The database is unavailable.");
+    return error;
+}
 
 /**
  * MongoDBFacade provides methods for interacting with a MongoDB database.
+ * All the instances with the same URL share one MongoClient and its connection pool, which
+ * stays open for the lifetime of the app: `connect` and `close` only acquire and release it,
+ * and `closePool` closes it on shutdown.
+ *
+ * The writes report a failure through their result (false, null, 0 or an empty array), while
+ * the reads throw, so a failed read is never taken for an empty result, e.g. and cached as one.
  * @class
  */
 export default class MongoDBFacade {
+    /**
+     * The shared MongoClient of each URL, as a promise while it's connecting.
+     * @type {Map<string, Promise<MongoClient>>}
+     */
+    static pools = new Map();
+
     /**
      * Creates a new MongoDBFacade instance.
      * @constructor
-     * @param {string} [dbUrl=MONGODB_URI] - The MongoDB connection URL.
+     * @param {string} [dbUrl=config.mongo.uri] - The MongoDB connection URL.
+     * @param {string} [dbName=config.mongo.dbName] - The name of the database.
      */
-    constructor(dbUrl = MONGODB_URI) {
+    constructor(dbUrl = config.mongo.uri, dbName = config.mongo.dbName) {
         this.dbUrl = dbUrl;
+        this.dbName = dbName;
         this.client = null;
         this.db = null;
     }
 
     /**
-     * Connects to the MongoDB database.
+     * Connects to the MongoDB database through the shared connection pool, creating it on first use.
      * @async
+     * @throws {ServiceUnavailableError} - If MongoDB can't be reached.
      */
     async connect() {
         try {
-            this.client = await MongoClient.connect(this.dbUrl);
-            this.db = this.client.db("bimm_service");
-            console.log('Connected to MongoDB');
+            this.client = await MongoDBFacade._getClient(this.dbUrl);
+            this.db = this.client.db(this.dbName);
+        } catch (error) {
+            logger.error({operation: 'connect'}, 'Error connecting to MongoDB:', error);
+            mongoOperationErrorsTotal.inc({operation: 'connect'});
+            throw new ServiceUnavailableError("The database is unavailable.");
+        }
+    }
+
+    /**
+     * Connects the shared connection pool at startup, retrying while MongoDB isn't reachable yet.
+     * @async
+     * @param {object} [options={}] - The retry options.
+     * @param {number} [options.retries=config.mongo.connectRetries] - The attempts after the first one.
+     * @param {number} [options.delayMs=config.mongo.connectRetryDelayMs] - The delay between two attempts.
+     * @throws {ServiceUnavailableError} - If MongoDB still can't be reached after all attempts.
+     */
+    static async connectWithRetry({retries = config.mongo.connectRetries, delayMs = config.mongo.connectRetryDelayMs} = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const db = new MongoDBFacade();
+            try {
+                await db.connect();
+                return;
+            } catch (error) {
+                if (attempt >= retries) throw error;
+                logger.warn(`MongoDB is not reachable, retrying in ${delayMs} ms (attempt ${attempt + 1} of ${retries})...`);
+                await sleep(delayMs);
+            } finally {
+                db.close();
+            }
+        }
+    }
+
+    /**
+     * Closes the shared connection pools, e.g. on shutdown.
+     * @async
+     */
+    static async closePool() {
+        const clients = await Promise.allSettled([...this.pools.values()]);
+        this.pools.clear();
+        await Promise.all(clients
+            .filter(({status}) => status === "fulfilled")
+            .map(({value}) => value.close()));
+        logger.info('Closed MongoDB connection pool');
+    }
+
+    /**
+     * Retrieves the shared MongoClient of a URL, connecting it if needed. A failed connection
+     * isn't kept, so the next call tries again.
+     * @async
+     * @param {string} dbUrl - The MongoDB connection URL.
+     * @returns {MongoClient} - The connected client.
+     */
+    static async _getClient(dbUrl) {
+        if (!this.pools.has(dbUrl)) {
+            const client = MongoClient.connect(dbUrl, clientOptions(config.mongo));
+            this.pools.set(dbUrl, client);
+            client.then(
+                () => logger.info('Connected to MongoDB'),
+                () => this.pools.delete(dbUrl),
+            );
+        }
+        return this.pools.get(dbUrl);
+    }
+
+    /**
+     * Checks that the database responds.
+     * @async
+     * @returns {boolean} - True if the database responded to a ping, false otherwise.
+     */
+    async ping() {
+        try {
+            await this.db.command({ping: 1});
+            return true;
         } catch (error) {
-            console.error('Error connecting to MongoDB:', error);
+            logger.error({operation: 'ping'}, 'Error pinging MongoDB:', error);
+            mongoOperationErrorsTotal.inc({operation: 'ping'});
+            return false;
         }
     }
 
@@ -41,10 +165,11 @@ export default class MongoDBFacade {
     async insertOne(collectionName, document) {
         try {
             const collection = this.db.collection(collectionName);
-            const result = await collection.insertOne(document);
-            return result.ops[0];
+            await collection.insertOne(document);
+            return document; // the driver sets the _id on the document
         } catch (error) {
-            console.error('Error inserting document:', error);
+            logger.error({collection: collectionName, operation: 'insertOne'}, 'Error inserting document:', error);
+            mongoOperationErrorsTotal.inc({operation: 'insertOne'});
             return null;
         }
     }
@@ -59,10 +184,11 @@ export default class MongoDBFacade {
     async insertMany(collectionName, documents) {
         try {
             const collection = this.db.collection(collectionName);
-            const result = await collection.insertMany(documents);
-            return result.ops;
+            await collection.insertMany(documents);
+            return documents;
         } catch (error) {
-            console.error('Error inserting multiple documents:', error);
+            logger.error({collection: collectionName, operation: 'insertMany'}, 'Error inserting multiple documents:', error);
+            mongoOperationErrorsTotal.inc({operation: 'insertMany'});
             return [];
         }
     }
@@ -85,7 +211,8 @@ export default class MongoDBFacade {
             }
             return document;
         } catch (error) {
-            console.error('Error inserting or updating document:', error);
+            logger.error({collection: collectionName, operation: 'insertOrUpdate'}, 'Error inserting or updating document:', error);
+            mongoOperationErrorsTotal.inc({operation: 'insertOrUpdate'});
             return null;
         }
     }
@@ -111,24 +238,173 @@ export default class MongoDBFacade {
             await collection.bulkWrite(bulkOps);
             return documents;
         } catch (error) {
-            console.error('Error inserting or updating multiple documents:', error);
+            logger.error({collection: collectionName, operation: 'insertOrUpdateMany'}, 'Error inserting or updating multiple documents:', error);
+            mongoOperationErrorsTotal.inc({operation: 'insertOrUpdateMany'});
             return [];
         }
     }
 
+    /**
+     * Performs multiple write operations on the specified collection in a single request.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {object[]} operations - The bulk write operations (insertOne, updateOne, etc.).
+     * @returns {boolean} - True if the operations are written, false otherwise.
+     */
+    async bulkWrite(collectionName, operations) {
+        if (!operations?.length) return true;
+        try {
+            const collection = this.db.collection(collectionName);
+            await collection.bulkWrite(operations);
+            return true;
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'bulkWrite'}, 'Error running bulk write:', error);
+            mongoOperationErrorsTotal.inc({operation: 'bulkWrite'});
+            return false;
+        }
+    }
+
     /**
      * Finds documents in the specified collection based on a query.
      * @async
      * @param {string} collectionName - The name of the collection.
      * @param {object} query - The query criteria.
+     * @param {object} [options={}] - The find options (e.g. sort, limit, projection).
      * @returns {object[]} - An array of matching documents.
+     * @throws {Error} - If the query fails, a ServiceUnavailableError if MongoDB can't be reached.
+     */
+    async find(collectionName, query, options = {}) {
+        try {
+            const collection = this.db.collection(collectionName);
+            return await collection.find(query, options).toArray();
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'find'}, 'Error finding documents:', error);
+            mongoOperationErrorsTotal.inc({operation: 'find'});
+            throw readError(error);
+        }
+    }
+
+    /**
+     * Streams the documents matching a query from a cursor, so they never all sit in memory.
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} query - The query criteria.
+     * @param {object} [options={}] - The find options, e.g. sort and projection.
+     * @returns {Readable} - An object mode stream of the documents, emitting 'error' if the query fails.
+     */
+    stream(collectionName, query, options = {}) {
+        const collection = this.db.collection(collectionName);
+        return collection.find(query, options).stream().on('error', (error) => {
+            logger.error({collection: collectionName, operation: 'stream'}, 'Error streaming documents:', error);
+            mongoOperationErrorsTotal.inc({operation: 'stream'});
+        });
+    }
+
+    /**
+     * Streams the results of an aggregation pipeline from a cursor, so they never all sit in memory.
+     * @param {string} collectionName - The name of the collection.
+     * @param {object[]} pipeline - The aggregation pipeline stages.
+     * @returns {Readable} - An object mode stream of the results, emitting 'error' if the aggregation fails.
+     */
+    streamAggregate(collectionName, pipeline) {
+        const collection = this.db.collection(collectionName);
+        return collection.aggregate(pipeline).stream().on('error', (error) => {
+            logger.error({collection: collectionName, operation: 'streamAggregate'}, 'Error streaming aggregation results:', error);
+            mongoOperationErrorsTotal.inc({operation: 'streamAggregate'});
+        });
+    }
+
+    /**
+     * Finds a single document in the specified collection based on a query.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} query - The query criteria.
+     * @param {object} [options={}] - The find options (e.g. projection).
+     * @returns {object|null} - The matching document or null if nothing matches.
+     * @throws {Error} - If the query fails, a ServiceUnavailableError if MongoDB can't be reached.
      */
-    async find(collectionName, query) {
+    async findOne(collectionName, query, options = {}) {
         try {
             const collection = this.db.collection(collectionName);
-            return await collection.find(query).toArray();
+            return await collection.findOne(query, options);
         } catch (error) {
-            console.error('Error finding documents:', error);
+            logger.error({collection: collectionName, operation: 'findOne'}, 'Error finding document:', error);
+            mongoOperationErrorsTotal.inc({operation: 'findOne'});
+            throw readError(error);
+        }
+    }
+
+    /**
+     * Finds the distinct values of a field in the specified collection.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {string} field - The field to get the distinct values of.
+     * @param {object} [query={}] - The query criteria.
+     * @returns {Array} - The distinct values.
+     * @throws {Error} - If the query fails, a ServiceUnavailableError if MongoDB can't be reached.
+     */
+    async distinct(collectionName, field, query = {}) {
+        try {
+            const collection = this.db.collection(collectionName);
+            return await collection.distinct(field, query);
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'distinct'}, 'Error finding distinct values:', error);
+            mongoOperationErrorsTotal.inc({operation: 'distinct'});
+            throw readError(error);
+        }
+    }
+
+    /**
+     * Runs an aggregation pipeline on the specified collection.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {object[]} pipeline - The aggregation pipeline stages.
+     * @returns {object[]} - The resulting documents.
+     * @throws {Error} - If the query fails, a ServiceUnavailableError if MongoDB can't be reached.
+     */
+    async aggregate(collectionName, pipeline) {
+        try {
+            const collection = this.db.collection(collectionName);
+            return await collection.aggregate(pipeline).toArray();
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'aggregate'}, 'Error running aggregation:', error);
+            mongoOperationErrorsTotal.inc({operation: 'aggregate'});
+            throw readError(error);
+        }
+    }
+
+    /**
+     * Counts the documents in the specified collection matching a query.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} [query={}] - The query criteria.
+     * @returns {number} - The count of matching documents.
+     * @throws {Error} - If the query fails, a ServiceUnavailableError if MongoDB can't be reached.
+     */
+    async count(collectionName, query = {}) {
+        try {
+            const collection = this.db.collection(collectionName);
+            return await collection.countDocuments(query);
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'count'}, 'Error counting documents:', error);
+            mongoOperationErrorsTotal.inc({operation: 'count'});
+            throw readError(error);
+        }
+    }
+
+    /**
+     * Creates the given indexes on the specified collection if they don't exist yet.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {object[]} indexSpecs - The index specifications (each with a `key` and optional options).
+     * @returns {string[]} - The names of the indexes.
+     */
+    async createIndexes(collectionName, indexSpecs) {
+        try {
+            const collection = this.db.collection(collectionName);
+            return await collection.createIndexes(indexSpecs);
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'createIndexes'}, 'Error creating indexes:', error);
+            mongoOperationErrorsTotal.inc({operation: 'createIndexes'});
             return [];
         }
     }
@@ -147,11 +423,32 @@ export default class MongoDBFacade {
             const result = await collection.updateOne(filter, update);
             return result.modifiedCount > 0;
         } catch (error) {
-            console.error('Error updating document:', error);
+            logger.error({collection: collectionName, operation: 'updateOne'}, 'Error updating document:', error);
+            mongoOperationErrorsTotal.inc({operation: 'updateOne'});
             return false;
         }
     }
 
+    /**
+     * Updates all documents in the specified collection matching a filter.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @param {object} filter - The filter criteria.
+     * @param {object|object[]} update - The update operation or aggregation pipeline.
+     * @returns {number} - The count of updated documents.
+     */
+    async updateMany(collectionName, filter, update) {
+        try {
+            const collection = this.db.collection(collectionName);
+            const result = await collection.updateMany(filter, update);
+            return result.modifiedCount;
+        } catch (error) {
+            logger.error({collection: collectionName, operation: 'updateMany'}, 'Error updating documents:', error);
+            mongoOperationErrorsTotal.inc({operation: 'updateMany'});
+            return 0;
+        }
+    }
+
     /**
      * Deletes a single document in the specified collection based on a filter.
      * @async
@@ -165,7 +462,8 @@ export default class MongoDBFacade {
             const result = await collection.deleteOne(filter);
             return result.deletedCount > 0;
         } catch (error) {
-            console.error('Error deleting document:', error);
+            logger.error({collection: collectionName, operation: 'deleteOne'}, 'Error deleting document:', error);
+            mongoOperationErrorsTotal.inc({operation: 'deleteOne'});
             return false;
         }
     }
@@ -182,20 +480,57 @@ export default class MongoDBFacade {
             const deleteResult = await collection.deleteMany({});
             return deleteResult.deletedCount;
         } catch (error) {
-            console.error('Error truncating collection:', error);
+            logger.error({collection: collectionName, operation: 'truncateCollection'}, 'Error truncating collection:', error);
+            mongoOperationErrorsTotal.inc({operation: 'truncateCollection'});
             return 0;
         }
     }
 
     /**
-     * Closes the MongoDB connection.
+     * Copies all documents of a collection into another one, replacing it if it exists.
+     * The indexes aren't copied.
      * @async
+     * @param {string} sourceName - The name of the collection to copy.
+     * @param {string} targetName - The name of the copy.
+     * @returns {boolean} - True if the collection is copied, false otherwise.
      */
-    async close() {
-        if (this.client) {
-            await this.client.close();
-            console.log('Closed MongoDB connection');
+    async copyCollection(sourceName, targetName) {
+        try {
+            const collection = this.db.collection(sourceName);
+            await collection.aggregate([{$match: {}}, {$out: targetName}]).toArray();
+            return true;
+        } catch (error) {
+            logger.error({collection: sourceName, operation: 'copyCollection'}, 'Error copying collection:', error);
+            mongoOperationErrorsTotal.inc({operation: 'copyCollection'});
+            return false;
         }
     }
+
+    /**
+     * Drops a collection with its indexes.
+     * @async
+     * @param {string} collectionName - The name of the collection.
+     * @returns {boolean} - True if the collection is dropped or didn't exist, false otherwise.
+     */
+    async dropCollection(collectionName) {
+        try {
+            await this.db.collection(collectionName).drop();
+            return true;
+        } catch (error) {
+            if (error?.codeName === 'NamespaceNotFound') return true;
+            logger.error({collection: collectionName, operation: 'dropCollection'}, 'Error dropping collection:', error);
+            mongoOperationErrorsTotal.inc({operation: 'dropCollection'});
+            return false;
+        }
+    }
+
+    /**
+     * Releases the connection. The shared pool itself stays open until `closePool` is called.
+     * @async
+     */
+    async close() {
+        this.client = null;
+        this.db = null;
+    }
 }
 
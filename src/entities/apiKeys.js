@@ -0,0 +1,489 @@
+import {createHash, randomBytes, randomUUID, timingSafeEqual} from "crypto";
+import {AsyncTask, SimpleIntervalJob, ToadScheduler} from "toad-scheduler";
+import MongoDBFacade from "../db/mongo.js";
+import {createLogger} from "../utils/logger.js";
+import {BadRequestError} from "../utils/errors.js";
+import {config} from "../utils/config.js";
+
+const logger = createLogger("auth")
+
+export const KEYS_COLLECTION_NAME = "api_keys"
+export const USAGE_COLLECTION_NAME = "api_key_usage"
+const FLUSH_TASK_ID = "FLUSH_API_KEY_USAGE_TASK"
+const USAGE_FLUSH_SECONDS = 10
+const KEY_PREFIX = "bk_"
+const KEY_PROJECTION = {_id: 0, hash: 0, previousHash: 0}
+
+/**
+ * The scopes an API key can hold. "admin" allows everything "read" does.
+ * @type {string[]}
+ */
+export const API_KEY_SCOPES = ["read", "admin"]
+
+/**
+ * Hashes an API key; only the hashes are stored.
+ * @param {string} apiKey - The API key.
+ * @returns {string} - The hex SHA-256 digest.
+ */
+function hashKey(apiKey) {
+    return createHash("sha256").update(apiKey).digest("hex")
+}
+
+/**
+ * The UTC day of a date, which the daily quotas are counted by.
+ * @param {Date} [date=new Date()] - The date.
+ * @returns {string} - The day, e.g. "2024-03-01".
+ */
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Manages the API keys of the clients, authenticates the requests and enforces the rate limit
+ * and daily quota of each key.
+ *
+ * The rate limit is counted per minute in memory, so it applies to each instance of the
+ * service. The daily usage is stored in MongoDB every few seconds and shared by the instances,
+ * so the quota may be overrun by the requests of the last seconds.
+ * @class
+ */
+export default class ApiKeys {
+    static keyCache = new Map()
+    static minuteWindows = new Map()
+    static usage = new Map()
+    static scheduler = null
+
+    /**
+     * Creates an API key.
+     * @async
+     * @param {object} fields - The key fields.
+     * @param {string} fields.name - Who the key is for, e.g. the partner.
+     * @param {string[]} [fields.scopes=["read"]] - The scopes of the key, see API_KEY_SCOPES.
+     * @param {number} [fields.rateLimitPerMinute=auth.defaultRateLimitPerMinute] - The requests allowed per minute.
+     * @param {number} [fields.quotaPerDay=auth.defaultQuotaPerDay] - The requests allowed per UTC day, 0 for no quota.
+     * @param {string|null} [fields.expiresAt=null] - When the key stops working, as an ISO date.
+     * @returns {object} - The key with the `apiKey` itself, which is only returned here and when rotated.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static async createKey(fields = {}) {
+        const now = new Date()
+        const apiKey = this._generateKey()
+        const key = {
+            keyId: randomUUID(),
+            scopes: ["read"],
+            rateLimitPerMinute: config.auth.defaultRateLimitPerMinute,
+            quotaPerDay: config.auth.defaultQuotaPerDay,
+            expiresAt: null,
+            ...this._validateFields(fields, {required: ["name"]}),
+            prefix: apiKey.slice(0, 10),
+            createdAt: now,
+            updatedAt: now,
+            revokedAt: null,
+            lastUsedAt: null,
+        }
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.insertOne(KEYS_COLLECTION_NAME, {...key, hash: hashKey(apiKey)})
+        db?.close()
+        logger.info("API key", key.keyId, "created for", key.name)
+        return {...key, apiKey}
+    }
+
+    /**
+     * Retrieves all API keys, without their hashes.
+     * @async
+     * @returns {object[]} - The keys, oldest first.
+     */
+    static async getKeys() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const keys = await db.find(KEYS_COLLECTION_NAME, {}, {sort: {createdAt: 1}, projection: KEY_PROJECTION})
+        db?.close()
+        return keys
+    }
+
+    /**
+     * Retrieves an API key, without its hash.
+     * @async
+     * @param {string} keyId - The ID of the key.
+     * @returns {object|null} - The key or null if it doesn't exist.
+     */
+    static async getKey(keyId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const key = await db.findOne(KEYS_COLLECTION_NAME, {keyId}, {projection: KEY_PROJECTION})
+        db?.close()
+        return key
+    }
+
+    /**
+     * Changes the name, scopes, limits or expiry of an API key.
+     * @async
+     * @param {string} keyId - The ID of the key.
+     * @param {object} changes - The changed fields.
+     * @returns {object|null} - The changed key, or null if it doesn't exist.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static async updateKey(keyId, changes = {}) {
+        const update = this._validateFields(changes)
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.updateOne(KEYS_COLLECTION_NAME, {keyId}, {$set: {...update, updatedAt: new Date()}})
+        db?.close()
+        this.keyCache.clear()
+        return this.getKey(keyId)
+    }
+
+    /**
+     * Revokes an API key, which can't be used anymore.
+     * @async
+     * @param {string} keyId - The ID of the key.
+     * @returns {object|null} - The revoked key, or null if it doesn't exist.
+     */
+    static async revokeKey(keyId) {
+        const now = new Date()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.updateOne(KEYS_COLLECTION_NAME, {keyId, revokedAt: null},
+            {$set: {revokedAt: now, updatedAt: now, previousHash: null, previousHashExpiresAt: null}})
+        db?.close()
+        this.keyCache.clear()
+        logger.info("API key", keyId, "revoked.")
+        return this.getKey(keyId)
+    }
+
+    /**
+     * Replaces the secret of an API key, keeping its ID, scopes, limits and usage. The old
+     * secret keeps working for the grace period, so the client can switch without downtime.
+     * @async
+     * @param {string} keyId - The ID of the key.
+     * @param {object} [options={}] - The rotation options.
+     * @param {number} [options.graceSeconds=0] - How long the old secret keeps working.
+     * @returns {object|null} - The key with the new `apiKey`, or null if it doesn't exist or is revoked.
+     * @throws {BadRequestError} - If the grace period is invalid.
+     */
+    static async rotateKey(keyId, {graceSeconds = 0} = {}) {
+        if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > 30 * 24 * 3600)
+            throw new BadRequestError("The graceSeconds must be an integer between 0 and 2592000 (30 days).")
+        const now = new Date()
+        const apiKey = this._generateKey()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const key = await db.findOne(KEYS_COLLECTION_NAME, {keyId, revokedAt: null})
+        if (key) {
+            await db.updateOne(KEYS_COLLECTION_NAME, {keyId}, {
+                $set: {
+                    hash: hashKey(apiKey),
+                    prefix: apiKey.slice(0, 10),
+                    previousHash: graceSeconds ? key.hash : null,
+                    previousHashExpiresAt: graceSeconds ? new Date(now.getTime() + graceSeconds * 1000) : null,
+                    rotatedAt: now,
+                    updatedAt: now,
+                }
+            })
+        }
+        db?.close()
+        this.keyCache.clear()
+        if (!key) return null
+        logger.info("API key", keyId, "rotated.")
+        return {...await this.getKey(keyId), apiKey}
+    }
+
+    /**
+     * Retrieves the daily request counts of an API key, newest first.
+     * @async
+     * @param {string} keyId - The ID of the key.
+     * @param {object} [options={}] - The query options.
+     * @param {number} [options.days=30] - The number of days.
+     * @returns {{day: string, count: number, lastUsedAt: Date}[]} - The usage of the days with requests.
+     */
+    static async getUsage(keyId, {days = 30} = {}) {
+        await this.flushUsage()
+        const since = utcDay(new Date(Date.now() - (days - 1) * 24 * 3600 * 1000))
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const usage = await db.find(USAGE_COLLECTION_NAME, {keyId, day: {$gte: since}},
+            {sort: {day: -1}, projection: {_id: 0, day: 1, count: 1, lastUsedAt: 1}})
+        db?.close()
+        return usage
+    }
+
+    /**
+     * Finds the key a request was made with. The keys are kept in memory for `auth.keyCacheSeconds`.
+     * @async
+     * @param {string} apiKey - The API key of the request.
+     * @returns {object|null} - The key, or null if it's unknown, revoked or expired.
+     */
+    static async authenticate(apiKey) {
+        const {bootstrapKey, keyCacheSeconds} = config.auth
+        const hash = hashKey(apiKey)
+        if (bootstrapKey && timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(hashKey(bootstrapKey), "hex")))
+            return {keyId: "bootstrap", name: "bootstrap", scopes: ["admin"], rateLimitPerMinute: null, quotaPerDay: 0}
+
+        const now = new Date()
+        let cached = this.keyCache.get(hash)
+        if (!cached || cached.expiresAt <= now.getTime()) {
+            const db = new MongoDBFacade()
+            await db?.connect()
+            // unknown keys aren't cached, so guessing keys can't fill the memory
+            const key = await db.findOne(KEYS_COLLECTION_NAME, {
+                revokedAt: null,
+                $or: [{hash}, {previousHash: hash, previousHashExpiresAt: {$gt: now}}],
+            }, {projection: KEY_PROJECTION})
+            db?.close()
+            if (!key) return null
+            cached = {key, expiresAt: now.getTime() + keyCacheSeconds * 1000}
+            this.keyCache.set(hash, cached)
+        }
+        const {key} = cached
+        return key.expiresAt && key.expiresAt <= now ? null : key
+    }
+
+    /**
+     * Checks whether an API key holds a scope.
+     * @param {object} key - The key.
+     * @param {string} scope - The scope, see API_KEY_SCOPES.
+     * @returns {boolean} - True if the key holds the scope or "admin".
+     */
+    static hasScope(key, scope) {
+        return key.scopes.includes(scope) || key.scopes.includes("admin")
+    }
+
+    /**
+     * Counts a request of an API key against its rate limit and daily quota. A refused
+     * request isn't counted in the usage.
+     * @async
+     * @param {object} key - The key of the request.
+     * @returns {{exceeded: string|null, retryAfterSeconds: number, headers: object}} - Which limit was
+     * exceeded, "rateLimit", "quota" or null, when to retry and the rate limit headers.
+     */
+    static async consume(key) {
+        const now = Date.now()
+        const headers = {}
+        const policies = []
+        let exceeded = null
+        let retryAfterSeconds = 0
+
+        if (key.rateLimitPerMinute) {
+            const window = this._hitMinuteWindow(key.keyId, now)
+            const resetSeconds = Math.ceil((window.startedAt + 60 * 1000 - now) / 1000)
+            Object.assign(headers, {
+                "RateLimit-Limit": String(key.rateLimitPerMinute),
+                "RateLimit-Remaining": String(Math.max(key.rateLimitPerMinute - window.count, 0)),
+                "RateLimit-Reset": String(resetSeconds),
+            })
+            policies.push(`${key.rateLimitPerMinute};w=60`)
+            if (window.count > key.rateLimitPerMinute) {
+                exceeded = "rateLimit"
+                retryAfterSeconds = resetSeconds
+            }
+        }
+
+        const usage = this._getDailyUsage(key.keyId, utcDay(new Date(now)))
+        await usage.loaded
+        if (key.quotaPerDay) {
+            const resetSeconds = Math.ceil((Date.parse(`${usage.day}T00:00:00Z`) + 24 * 3600 * 1000 - now) / 1000)
+            const isOverQuota = !exceeded && usage.count >= key.quotaPerDay
+            Object.assign(headers, {
+                "X-Quota-Limit": String(key.quotaPerDay),
+                "X-Quota-Remaining": String(Math.max(key.quotaPerDay - usage.count - (exceeded || isOverQuota ? 0 : 1), 0)),
+                "X-Quota-Reset": String(resetSeconds),
+            })
+            policies.push(`${key.quotaPerDay};w=86400`)
+            if (isOverQuota) {
+                exceeded = "quota"
+                retryAfterSeconds = resetSeconds
+            }
+        }
+        if (policies.length) headers["RateLimit-Policy"] = policies.join(", ")
+
+        if (!exceeded) {
+            usage.count++
+            usage.pending++
+            usage.lastUsedAt = new Date(now)
+        }
+        return {exceeded, retryAfterSeconds, headers}
+    }
+
+    /**
+     * Starts storing the usage of the keys every few seconds.
+     * @returns {ToadScheduler} - The scheduler instance.
+     */
+    static start() {
+        this.scheduler = new ToadScheduler()
+        const task = new AsyncTask(
+            FLUSH_TASK_ID, () => this.flushUsage(),
+            (err) => {
+                logger.error("Error on storing the API key usage:", err)
+            }
+        )
+        this.scheduler.addSimpleIntervalJob(new SimpleIntervalJob({seconds: USAGE_FLUSH_SECONDS}, task, {
+            id: FLUSH_TASK_ID,
+            preventOverrun: true,
+        }))
+        return this.scheduler
+    }
+
+    /**
+     * Stops storing the usage periodically and stores what is left.
+     * @async
+     */
+    static async stop() {
+        this.scheduler?.stop()
+        await this.flushUsage()
+    }
+
+    /**
+     * Adds the requests counted in memory to the stored daily usage and `lastUsedAt` of the keys,
+     * and reads back today's totals, which include the requests of the other instances.
+     * @async
+     */
+    static async flushUsage() {
+        const today = utcDay()
+        const flushed = [...this.usage.values()].filter(usage => usage.pending > 0)
+        for (const [id, usage] of this.usage) {
+            if (usage.day !== today && usage.pending === 0) this.usage.delete(id)
+        }
+        if (!flushed.length) return
+        const pending = flushed.map(usage => usage.pending)
+        flushed.forEach(usage => usage.pending = 0)
+
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const isSaved = await db.bulkWrite(USAGE_COLLECTION_NAME, flushed.map((usage, i) => ({
+            updateOne: {
+                filter: {keyId: usage.keyId, day: usage.day},
+                update: {$inc: {count: pending[i]}, $max: {lastUsedAt: usage.lastUsedAt}},
+                upsert: true,
+            }
+        })))
+        if (!isSaved) {
+            db?.close()
+            flushed.forEach((usage, i) => usage.pending += pending[i])
+            return
+        }
+        await db.bulkWrite(KEYS_COLLECTION_NAME, flushed.map(usage => ({
+            updateOne: {filter: {keyId: usage.keyId}, update: {$max: {lastUsedAt: usage.lastUsedAt}}}
+        })))
+        const stored = await db.find(USAGE_COLLECTION_NAME,
+            {day: today, keyId: {$in: flushed.map(usage => usage.keyId)}}, {projection: {_id: 0, keyId: 1, count: 1}})
+        db?.close()
+        for (const {keyId, count} of stored) {
+            const usage = this.usage.get(`${keyId}:${today}`)
+            if (usage) usage.count = count + usage.pending
+        }
+    }
+
+    /**
+     * Counts a request in the current minute of a key, starting a new minute if the last one is over.
+     * @param {string} keyId - The ID of the key.
+     * @param {number} now - The time of the request, in milliseconds.
+     * @returns {{startedAt: number, count: number}} - The minute window with the request counted.
+     */
+    static _hitMinuteWindow(keyId, now) {
+        let window = this.minuteWindows.get(keyId)
+        if (!window || window.startedAt + 60 * 1000 <= now) {
+            window = {startedAt: now, count: 0}
+            this.minuteWindows.set(keyId, window)
+        }
+        window.count++
+        return window
+    }
+
+    /**
+     * Retrieves the usage of a key on a day, reading the stored count the first time, and again
+     * after a failed read.
+     * @param {string} keyId - The ID of the key.
+     * @param {string} day - The UTC day.
+     * @returns {{keyId: string, day: string, count: number, pending: number, lastUsedAt: Date|null, loaded: Promise}}
+     * - The usage, whose count is complete once `loaded` resolves.
+     */
+    static _getDailyUsage(keyId, day) {
+        const id = `${keyId}:${day}`
+        let usage = this.usage.get(id)
+        if (!usage) {
+            usage = {keyId, day, count: 0, pending: 0, lastUsedAt: null}
+            usage.loaded = (async () => {
+                const db = new MongoDBFacade()
+                await db?.connect()
+                const stored = await db.findOne(USAGE_COLLECTION_NAME, {keyId, day})
+                db?.close()
+                usage.count += stored?.count ?? 0
+            })().catch(e => {
+                // read again by the next request, the entry would keep failing until the next day otherwise
+                if (this.usage.get(id) === usage) this.usage.delete(id)
+                throw e
+            })
+            this.usage.set(id, usage)
+        }
+        return usage
+    }
+
+    /**
+     * Generates a new API key.
+     * @returns {string} - The key, e.g. "bk_3q2-7wEvQ...".
+     */
+    static _generateKey() {
+        return KEY_PREFIX + randomBytes(32).toString("base64url")
+    }
+
+    /**
+     * Validates the fields of a new or changed API key.
+     * @param {object} fields - The fields.
+     * @param {object} [options={}] - The validation options.
+     * @param {string[]} [options.required=[]] - The fields which must be given.
+     * @returns {object} - The given fields, with `expiresAt` as a Date.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static _validateFields({name, scopes, rateLimitPerMinute, quotaPerDay, expiresAt}, {required = []} = {}) {
+        const fields = {}
+        for (const field of required) {
+            if ({name, scopes, rateLimitPerMinute, quotaPerDay, expiresAt}[field] === undefined)
+                throw new BadRequestError(`The ${field} is required.`)
+        }
+        if (name !== undefined) {
+            if (typeof name !== "string" || !name.trim()) throw new BadRequestError("The name must be a non-empty string.")
+            fields.name = name.trim()
+        }
+        if (scopes !== undefined) {
+            if (!Array.isArray(scopes) || !scopes.length || !scopes.every(scope => API_KEY_SCOPES.includes(scope)))
+                throw new BadRequestError(`The scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}.`)
+            fields.scopes = [...new Set(scopes)]
+        }
+        if (rateLimitPerMinute !== undefined) {
+            if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1)
+                throw new BadRequestError("The rateLimitPerMinute must be a positive integer.")
+            fields.rateLimitPerMinute = rateLimitPerMinute
+        }
+        if (quotaPerDay !== undefined) {
+            if (!Number.isInteger(quotaPerDay) || quotaPerDay < 0)
+                throw new BadRequestError("The quotaPerDay must be a non-negative integer, 0 for no quota.")
+            fields.quotaPerDay = quotaPerDay
+        }
+        if (expiresAt !== undefined) {
+            const date = expiresAt === null ? null : new Date(expiresAt)
+            if (date && (typeof expiresAt !== "string" || isNaN(date.getTime())))
+                throw new BadRequestError("The expiresAt must be null or an ISO date.")
+            fields.expiresAt = date
+        }
+        return fields
+    }
+
+    /**
+     * Creates the indexes used by the key lookups and the usage queries.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(KEYS_COLLECTION_NAME, [
+            {key: {keyId: 1}, unique: true},
+            {key: {hash: 1}, unique: true},
+            {key: {previousHash: 1}, sparse: true},
+        ])
+        await db.createIndexes(USAGE_COLLECTION_NAME, [
+            {key: {keyId: 1, day: -1}, unique: true},
+        ])
+        db?.close()
+    }
+}
@@ -0,0 +1,460 @@
+import {hostname} from "os";
+import {randomUUID} from "crypto";
+import MongoDBFacade from "../db/mongo.js";
+import {createLogger} from "../utils/logger.js";
+import {ConflictError, ServiceUnavailableError} from "../utils/errors.js";
+import {readCache} from "../utils/cache.js";
+import {config} from "../utils/config.js";
+
+const logger = createLogger("catalog")
+
+export const GENERATIONS_COLLECTION_NAME = "catalog_generations"
+const STATE_COLLECTION_NAME = "catalog_state"
+const STATE_FILTER = {name: "makes"}
+// the makes collection written in place before the generations, adopted as generation 0
+const LEGACY_COLLECTION_NAME = config.mongo.makesCollection
+const GENERATION_PROJECTION = {_id: 0}
+// a lease not renewed for this long is taken over, e.g. after its process crashed
+const LEASE_DURATION_MS = 60 * 1000
+const LEASE_RENEWAL_INTERVAL_MS = LEASE_DURATION_MS / 3
+
+/**
+ * Keeps the makes catalog in generations, so the readers never see a half-built one. Each sync
+ * builds a new generation in its own collection, starting from a copy of the active one, and
+ * the generation is promoted only once it's complete and valid, by switching the pointer to the
+ * active generation: a single write. The previous generation is kept for a rollback, the older
+ * ones are dropped.
+ *
+ * A generation is numbered after the version of the sync which built it and goes through the
+ * statuses "building", then "active", "previous" and "retired", or "rejected" (kept until the
+ * next sync for inspection), "cancelled" or "failed".
+ *
+ * The pointer also holds the data version of the catalog, `dataVersion` and `changedAt`, which
+ * every change of the served data starts anew (see `markChanged`), so the read caches and the
+ * HTTP validators of all the processes follow it.
+ *
+ * Only one process at a time changes the catalog: it first takes the lease stored with the
+ * pointer (`buildingBy` and `leaseExpiresAt`, see `withLease`), so e.g. a CLI sync never drops
+ * or races the generation the service is building.
+ * @class
+ */
+export default class CatalogGenerations {
+
+    /**
+     * The lease held by this process, see `withLease`.
+     * @type {{holder: string, timer: object}|null}
+     */
+    static lease = null
+
+    /**
+     * Retrieves the name of the collection of the active generation, which the makes are read from.
+     * The pointer is read with the data version, so it's at most a second old whichever process
+     * switched it, and a missing one is read again every time.
+     * @async
+     * @returns {string} - The collection name.
+     * @throws {ServiceUnavailableError} - If no generation was promoted yet.
+     */
+    static async getActiveCollection() {
+        const state = (await readCache.refresh())?.state
+        if (!state?.activeCollection)
+            throw new ServiceUnavailableError("The catalog isn't ready yet: its first sync hasn't completed.", {ready: false})
+        return state.activeCollection
+    }
+
+    /**
+     * Retrieves the pointer to the active and the previous generation.
+     * @async
+     * @returns {object|null} - The `activeGeneration`, `activeCollection`, `previousGeneration`,
+     * `previousCollection` and `switchedAt`, or null if no generation was promoted yet.
+     */
+    static async getState() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const state = await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER, {projection: {_id: 0, name: 0}})
+        db?.close()
+        return state
+    }
+
+    /**
+     * Retrieves the data version of the catalog, the version source of the read cache.
+     * @async
+     * @returns {{version: string, lastModified: Date, state: object}|null} - The version, when it started
+     * and the pointer it's read from, see `getState`, or null if no generation was promoted yet.
+     */
+    static async getDataVersion() {
+        const state = await this.getState()
+        if (!state?.activeCollection) return null
+        // the pointers written before the data versions only have their switch time
+        const changedAt = state.changedAt ?? state.switchedAt
+        return {version: `${state.dataVersion ?? 0}.${changedAt.getTime().toString(36)}`, lastModified: changedAt, state}
+    }
+
+    /**
+     * Starts a new data version after a change of the served data which doesn't switch the
+     * generations, e.g. of an override or of the active generation itself.
+     * @async
+     */
+    static async markChanged() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.bulkWrite(STATE_COLLECTION_NAME, [{
+            updateOne: {
+                filter: STATE_FILTER,
+                update: {$inc: {dataVersion: 1}, $set: {changedAt: new Date()}},
+                upsert: true,
+            }
+        }])
+        db?.close()
+        readCache.invalidate()
+    }
+
+    /**
+     * Runs a change of the catalog (a sync, an import, a rollback or a purge) while holding its
+     * lease, which is renewed until the change is done. Building, promoting and rolling back a
+     * generation need the lease.
+     * @async
+     * @param {string} operation - What changes the catalog, e.g. "sync", stored with the lease.
+     * @param {Function} fn - An async function making the change.
+     * @returns {*} - The result of the function.
+     * @throws {ConflictError} - If another process, or this one, is already changing the catalog.
+     */
+    static async withLease(operation, fn) {
+        if (this.lease) throw new ConflictError("The catalog is already being changed.", {buildingBy: this.lease.holder})
+        const holder = `${operation}@${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`
+        const now = new Date()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        // creates the pointer of an empty database, so the lease can be taken on it
+        await db.bulkWrite(STATE_COLLECTION_NAME, [{updateOne: {filter: STATE_FILTER, update: {$setOnInsert: STATE_FILTER}, upsert: true}}])
+        const isAcquired = await db.updateOne(STATE_COLLECTION_NAME,
+            {...STATE_FILTER, $or: [{buildingBy: null}, {leaseExpiresAt: {$lte: now}}]},
+            {$set: {buildingBy: holder, leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION_MS)}})
+        const state = isAcquired ? null : await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER)
+        db?.close()
+        if (!isAcquired)
+            throw new ConflictError("Another process is changing the catalog.",
+                {buildingBy: state?.buildingBy, leaseExpiresAt: state?.leaseExpiresAt})
+
+        const lease = {holder, timer: setInterval(() => this._renewLease(lease), LEASE_RENEWAL_INTERVAL_MS)}
+        lease.timer.unref()
+        this.lease = lease
+        logger.debug({buildingBy: holder}, "Catalog lease taken by", holder)
+        try {
+            return await fn()
+        } finally {
+            clearInterval(lease.timer)
+            this.lease = null
+            await this._releaseLease(lease)
+        }
+    }
+
+    /**
+     * Records that the makes of a generation were purged, which makes the service not ready
+     * (see `/readyz`) until another generation is promoted, and starts a new data version.
+     * @async
+     * @param {number} generation - The generation number.
+     */
+    static async markPurged(generation) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation}, {$set: {makeCount: 0, purgedAt: new Date()}})
+        db?.close()
+        await this.markChanged()
+    }
+
+    /**
+     * Retrieves the active generation, e.g. to tell whether the catalog is still the seed.
+     * @async
+     * @returns {object|null} - The generation, or null if no generation was promoted yet.
+     */
+    static async getActiveGeneration() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const state = await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER)
+        const generation = state?.activeCollection
+            ? await db.findOne(GENERATIONS_COLLECTION_NAME, {generation: state.activeGeneration}, {projection: GENERATION_PROJECTION})
+            : null
+        db?.close()
+        return generation
+    }
+
+    /**
+     * Retrieves the newest promoted generation, e.g. of the last sync.
+     * @async
+     * @param {string[]|null} [types=null] - Only the generations of these types, e.g. ["full", "partial"], all if null.
+     * @returns {object|null} - The generation, which may not be the active one anymore, or null if none was promoted.
+     */
+    static async getLastPromotedGeneration(types = null) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const generation = await db.findOne(GENERATIONS_COLLECTION_NAME, {...(types ? {type: {$in: types}} : {}), promotedAt: {$ne: null}},
+            {sort: {generation: -1}, projection: GENERATION_PROJECTION})
+        db?.close()
+        return generation
+    }
+
+    /**
+     * Retrieves all generations, newest first.
+     * @async
+     * @returns {object[]} - The generations.
+     */
+    static async getGenerations() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const generations = await db.find(GENERATIONS_COLLECTION_NAME, {},
+            {sort: {generation: -1}, projection: GENERATION_PROJECTION})
+        db?.close()
+        return generations
+    }
+
+    /**
+     * Starts building a generation, as a copy of the active one or empty. The leftovers of the
+     * previous syncs (rejected or interrupted generations) are dropped first.
+     * @async
+     * @param {number} generation - The generation number, the version of the sync building it.
+     * @param {object} [info={}] - Extra information to store on the generation, e.g. the type of the sync.
+     * @param {object} [options={}] - The build options.
+     * @param {boolean} [options.copyActive=true] - Whether to start from a copy of the active generation.
+     * @returns {string} - The name of the collection to build the generation in.
+     * @throws {ConflictError} - If this process doesn't hold the lease, see `withLease`.
+     * @throws {Error} - If the active generation couldn't be copied.
+     */
+    static async createGeneration(generation, info = {}, {copyActive = true} = {}) {
+        const holder = this._leaseHolder()
+        const collection = `${LEGACY_COLLECTION_NAME}_${generation}`
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await this._dropLeftovers(db, holder)
+        const state = await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER)
+        await db.dropCollection(collection)
+        const isCopied = !copyActive || !state?.activeCollection || await db.copyCollection(state.activeCollection, collection)
+        if (isCopied) {
+            await db.insertOne(GENERATIONS_COLLECTION_NAME, {
+                ...info,
+                generation,
+                collection,
+                baseGeneration: state?.activeGeneration ?? null,
+                status: "building",
+                buildingBy: holder,
+                createdAt: new Date(),
+                finishedAt: null,
+                promotedAt: null,
+            })
+        }
+        db?.close()
+        if (!isCopied) throw new Error(`Couldn't copy the active generation ${state.activeGeneration} into ${collection}.`)
+        logger.info("Catalog generation", generation, "building in", collection)
+        return collection
+    }
+
+    /**
+     * Promotes a built generation: it becomes the active one, the active one becomes the previous
+     * one and the previous one is retired and dropped.
+     * @async
+     * @param {number} generation - The generation number.
+     * @param {object} [info={}] - Extra information to store on the generation, e.g. the make count.
+     * @throws {ConflictError} - If this process doesn't hold the lease, see `withLease`.
+     * @throws {Error} - If the pointer couldn't be switched, in which case the active generation doesn't change.
+     */
+    static async promote(generation, info = {}) {
+        const holder = this._leaseHolder()
+        const now = new Date()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const state = await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER)
+        const target = await db.findOne(GENERATIONS_COLLECTION_NAME, {generation})
+        const isSwitched = target && await this._switch(db, {
+            activeGeneration: generation,
+            activeCollection: target.collection,
+            previousGeneration: state?.activeGeneration ?? null,
+            previousCollection: state?.activeCollection ?? null,
+        }, holder)
+        if (isSwitched) {
+            await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation},
+                {$set: {...info, status: "active", finishedAt: now, promotedAt: now}})
+            if (state?.activeCollection)
+                await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation: state.activeGeneration}, {$set: {status: "previous"}})
+            // only the active and the previous generations are kept
+            if (state?.previousCollection) {
+                await db.dropCollection(state.previousCollection)
+                await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation: state.previousGeneration},
+                    {$set: {status: "retired", retiredAt: now}})
+            }
+        }
+        db?.close()
+        if (!isSwitched) throw new Error(`Couldn't promote the catalog generation ${generation}.`)
+        readCache.invalidate()
+        logger.info("Catalog generation", generation, "promoted.")
+    }
+
+    /**
+     * Makes the previous generation the active one again, and the active one the previous one,
+     * so a second rollback undoes the first.
+     * @async
+     * @returns {object} - The new state, see `getState`.
+     * @throws {ConflictError} - If there is no previous generation, or this process doesn't hold the lease.
+     */
+    static async rollback() {
+        const holder = this._leaseHolder()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const state = await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER)
+        const isSwitched = state?.previousCollection && await this._switch(db, {
+            activeGeneration: state.previousGeneration,
+            activeCollection: state.previousCollection,
+            previousGeneration: state.activeGeneration,
+            previousCollection: state.activeCollection,
+        }, holder)
+        if (isSwitched) {
+            await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation: state.previousGeneration}, {$set: {status: "active"}})
+            await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation: state.activeGeneration}, {$set: {status: "previous"}})
+        }
+        db?.close()
+        if (!state?.previousCollection) throw new ConflictError("There is no previous catalog generation to roll back to.")
+        if (!isSwitched) throw new Error("Couldn't roll back the catalog generation.")
+        readCache.invalidate()
+        logger.info("Catalog rolled back from generation", state.activeGeneration, "to", state.previousGeneration)
+        return this.getState()
+    }
+
+    /**
+     * Ends a generation which won't be promoted. A rejected generation is kept until the next
+     * sync so it can be inspected, the others are dropped right away.
+     * @async
+     * @param {number} generation - The generation number.
+     * @param {string} status - "rejected", "cancelled" or "failed".
+     * @param {object} [info={}] - Extra information to store on the generation, e.g. the problems found.
+     */
+    static async discard(generation, status, info = {}) {
+        const now = new Date()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const target = await db.findOne(GENERATIONS_COLLECTION_NAME, {generation})
+        const isDropped = status !== "rejected" && target && await db.dropCollection(target.collection)
+        await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation},
+            {$set: {...info, status, finishedAt: now, ...(isDropped ? {droppedAt: now} : {})}})
+        db?.close()
+        logger.info("Catalog generation", generation, status + ".")
+    }
+
+    /**
+     * Adopts the makes collection of the versions before the generations as generation 0, so an
+     * existing catalog stays available, and creates the indexes of the generations.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(GENERATIONS_COLLECTION_NAME, [{key: {generation: 1}, unique: true}])
+        await db.createIndexes(STATE_COLLECTION_NAME, [{key: {name: 1}, unique: true}])
+        const state = await db.findOne(STATE_COLLECTION_NAME, STATE_FILTER)
+        if (!state?.activeCollection && await db.count(LEGACY_COLLECTION_NAME, {}) > 0) {
+            const now = new Date()
+            await db.insertOne(GENERATIONS_COLLECTION_NAME, {
+                generation: 0,
+                collection: LEGACY_COLLECTION_NAME,
+                type: "legacy",
+                baseGeneration: null,
+                status: "active",
+                createdAt: now,
+                finishedAt: now,
+                promotedAt: now,
+            })
+            await this._switch(db, {
+                activeGeneration: 0,
+                activeCollection: LEGACY_COLLECTION_NAME,
+                previousGeneration: null,
+                previousCollection: null,
+            })
+            readCache.invalidate()
+            logger.info("The makes collection", LEGACY_COLLECTION_NAME, "adopted as the catalog generation 0.")
+        }
+        db?.close()
+    }
+
+    /**
+     * Switches the pointer to the active and the previous generation, in a single write which
+     * starts a new data version.
+     * @async
+     * @param {MongoDBFacade} db - The connected database.
+     * @param {object} pointer - The `activeGeneration`, `activeCollection`, `previousGeneration` and `previousCollection`.
+     * @param {string} [holder] - The holder of the lease, which must still hold it; none when the catalog is adopted.
+     * @returns {boolean} - True if the pointer is switched.
+     */
+    static async _switch(db, pointer, holder) {
+        const now = new Date()
+        return db.bulkWrite(STATE_COLLECTION_NAME, [{
+            updateOne: {
+                filter: holder ? {...STATE_FILTER, buildingBy: holder} : STATE_FILTER,
+                update: {$set: {...pointer, switchedAt: now, changedAt: now}, $inc: {dataVersion: 1}},
+                upsert: true,
+            }
+        }])
+    }
+
+    /**
+     * Renews the lease held by this process. If another process took it over meanwhile, e.g.
+     * because this one was stalled, the change can't promote its generation anymore.
+     * @async
+     * @param {{holder: string}} lease - The lease.
+     */
+    static async _renewLease(lease) {
+        try {
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const isRenewed = await db.updateOne(STATE_COLLECTION_NAME, {...STATE_FILTER, buildingBy: lease.holder},
+                {$set: {leaseExpiresAt: new Date(Date.now() + LEASE_DURATION_MS)}})
+            db?.close()
+            if (!isRenewed) logger.error({buildingBy: lease.holder}, "The catalog lease of", lease.holder, "was lost.")
+        } catch (e) {
+            logger.warn({buildingBy: lease.holder}, "Couldn't renew the catalog lease:", e)
+        }
+    }
+
+    /**
+     * Releases the lease held by this process, unless another process took it over meanwhile.
+     * @async
+     * @param {{holder: string}} lease - The lease.
+     */
+    static async _releaseLease(lease) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.updateOne(STATE_COLLECTION_NAME, {...STATE_FILTER, buildingBy: lease.holder},
+            {$set: {buildingBy: null, leaseExpiresAt: null}})
+        db?.close()
+    }
+
+    /**
+     * Retrieves the holder of the lease of this process.
+     * @returns {string} - The holder.
+     * @throws {ConflictError} - If this process doesn't hold the lease.
+     */
+    static _leaseHolder() {
+        if (!this.lease) throw new ConflictError("The catalog can only be changed while holding its lease.")
+        return this.lease.holder
+    }
+
+    /**
+     * Drops the collections of the rejected generations and of those whose change was interrupted,
+     * e.g. by a restart. It's called while holding the lease, so every generation still building
+     * by another holder has lost its lease: its process is gone or stalled past the lease.
+     * @async
+     * @param {MongoDBFacade} db - The connected database.
+     * @param {string} holder - The holder of the lease.
+     */
+    static async _dropLeftovers(db, holder) {
+        const leftovers = await db.find(GENERATIONS_COLLECTION_NAME,
+            {status: {$in: ["building", "rejected"]}, buildingBy: {$ne: holder}, droppedAt: null})
+        for (const {generation, collection, status} of leftovers) {
+            if (!await db.dropCollection(collection)) continue
+            await db.updateOne(GENERATIONS_COLLECTION_NAME, {generation}, {
+                $set: {
+                    droppedAt: new Date(),
+                    ...(status === "building" ? {status: "failed", error: "The sync building it was interrupted."} : {}),
+                }
+            })
+        }
+    }
+}
+
+readCache.useVersionSource(() => CatalogGenerations.getDataVersion())
@@ -0,0 +1,264 @@
+import {randomUUID} from "crypto";
+import MongoDBFacade from "../db/mongo.js";
+import MakeDataLoader from "./makeDataLoader.js";
+import VersionHistory from "./versionHistory.js";
+import CatalogGenerations from "./catalogGenerations.js";
+import {createLogger} from "../utils/logger.js";
+
+const logger = createLogger("audit")
+
+const AUDIT_COLLECTION_NAME = "audit_reports"
+const MAX_RECORDS_PER_FINDING = 1000 // keeps the reports far below the document size limit
+
+/**
+ * The severity levels of the findings, from the most to the least severe.
+ * @type {string[]}
+ */
+export const AUDIT_SEVERITIES = ["error", "warning", "info"]
+
+/**
+ * Creates a finding of an audit check.
+ * @param {string} check - The name of the check.
+ * @param {string} severity - One of AUDIT_SEVERITIES.
+ * @param {string} message - A description of the problem.
+ * @param {object[]} records - The bad records, e.g. `{makeId, makeName}`.
+ * @param {number} [count=records.length] - The number of bad records.
+ * @returns {object} - The finding, with at most MAX_RECORDS_PER_FINDING records.
+ */
+function finding(check, severity, message, records, count = records.length) {
+    return {
+        check,
+        severity,
+        message,
+        count,
+        records: records.slice(0, MAX_RECORDS_PER_FINDING),
+        truncated: records.length > MAX_RECORDS_PER_FINDING,
+    }
+}
+
+/**
+ * Checks the quality of the saved makes after each sync and on demand, and stores the
+ * results as audit reports. Each finding has a severity and lists the bad records.
+ * @class
+ */
+export default class DataAudit {
+
+    /**
+     * Runs all the checks and stores the report.
+     * @async
+     * @param {object} [options={}] - The audit options.
+     * @param {string} [options.trigger="manual"] - What started the audit ("sync", "manual" or "cli").
+     * @param {number} [options.version] - The sync version to audit, the latest version if omitted.
+     * @returns {object} - The stored audit report.
+     */
+    static async run({trigger = "manual", version} = {}) {
+        const startedAt = new Date()
+        version = version ?? (await VersionHistory.getVersions())[0]?.version ?? null
+        const findings = [
+            ...await this._checkVehicleTypes(),
+            ...await this._checkDuplicateMakeNames(),
+            ...await this._checkVehicleTypeNames(),
+            ...await this._checkUpstream(),
+            ...await this._checkRenamedMakes(version),
+        ]
+
+        const summary = Object.fromEntries(AUDIT_SEVERITIES.map(severity =>
+            [severity, findings.filter(f => f.severity === severity).length]))
+        const report = {
+            auditId: randomUUID(),
+            trigger,
+            version,
+            status: summary.error ? "failed" : "passed",
+            startedAt,
+            finishedAt: new Date(),
+            summary,
+            findings,
+        }
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.insertOne(AUDIT_COLLECTION_NAME, report)
+        db?.close()
+        delete report._id
+        logger.info("Audit", report.auditId, report.status + ":", summary)
+        return report
+    }
+
+    /**
+     * Retrieves the audit reports, newest first, without the records of the findings.
+     * @async
+     * @param {number} limit - The maximum number of reports to return.
+     * @returns {object[]} - The audit reports.
+     */
+    static async getReports(limit) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const reports = await db.find(AUDIT_COLLECTION_NAME, {},
+            {sort: {startedAt: -1}, limit, projection: {_id: 0, "findings.records": 0}})
+        db?.close()
+        return reports
+    }
+
+    /**
+     * Retrieves a single audit report.
+     * @async
+     * @param {string} [auditId] - The ID of the audit, the latest audit if omitted.
+     * @returns {object|null} - The audit report or null if it doesn't exist.
+     */
+    static async getReport(auditId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const report = await db.findOne(AUDIT_COLLECTION_NAME, auditId ? {auditId} : {},
+            {sort: {startedAt: -1}, projection: {_id: 0}})
+        db?.close()
+        return report
+    }
+
+    /**
+     * Creates the indexes used by the audit queries.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(AUDIT_COLLECTION_NAME, [
+            {key: {auditId: 1}, unique: true},
+            {key: {startedAt: -1}},
+        ])
+        db?.close()
+    }
+
+    /**
+     * Finds the makes whose vehicle types were never saved or are empty.
+     * @async
+     * @returns {object[]} - The findings.
+     */
+    static async _checkVehicleTypes() {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const projection = {_id: 0, makeId: 1, makeName: 1}
+        const [missing, empty] = await Promise.all([
+            db.find(collection, {deletedAt: null, vehicleTypes: null}, {projection, sort: {makeId: 1}}),
+            db.find(collection, {deletedAt: null, vehicleTypes: {$size: 0}}, {projection, sort: {makeId: 1}}),
+        ])
+        db?.close()
+        return [
+            ...missing.length ? [finding("missingVehicleTypes", "error",
+                `${missing.length} makes have no vehicle types field.`, missing)] : [],
+            ...empty.length ? [finding("emptyVehicleTypes", "warning",
+                `${empty.length} makes have an empty list of vehicle types.`, empty)] : [],
+        ]
+    }
+
+    /**
+     * Finds the makes with the same name under different makeIds, once normalized like the
+     * search does (e.g. "Tesla, Inc." and "TESLA").
+     * @async
+     * @returns {object[]} - The findings, with a record for each shared name.
+     */
+    static async _checkDuplicateMakeNames() {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const duplicates = await db.aggregate(collection, [
+            {$match: {deletedAt: null, searchName: {$nin: [null, ""]}}},
+            {$sort: {makeId: 1}},
+            {$group: {_id: "$searchName", makeName: {$first: "$makeName"}, makeIds: {$push: "$makeId"}}},
+            {$match: {"makeIds.1": {$exists: true}}},
+            {$sort: {_id: 1}},
+            {$project: {_id: 0, makeName: 1, makeIds: 1, makeCount: {$size: "$makeIds"}}},
+        ])
+        db?.close()
+        return duplicates.length ? [finding("duplicateMakeNames", "warning",
+            `${duplicates.length} make names are shared by several makeIds.`, duplicates)] : []
+    }
+
+    /**
+     * Finds the vehicle type IDs which have different names in different makes.
+     * @async
+     * @returns {object[]} - The findings, with a record for each name of a conflicting type ID.
+     */
+    static async _checkVehicleTypeNames() {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const conflicts = await db.aggregate(collection, [
+            {$match: {deletedAt: null}},
+            {$unwind: "$vehicleTypes"},
+            {$group: {
+                _id: {typeId: "$vehicleTypes.typeId", typeName: "$vehicleTypes.typeName"},
+                makeIds: {$push: "$makeId"},
+            }},
+            {$group: {
+                _id: "$_id.typeId",
+                names: {$push: {typeName: "$_id.typeName", makeIds: "$makeIds"}},
+            }},
+            {$match: {"names.1": {$exists: true}}},
+            {$sort: {_id: 1}},
+        ])
+        db?.close()
+        const records = conflicts.flatMap(({_id: typeId, names}) => names.map(({typeName, makeIds}) => ({
+            typeId,
+            typeName,
+            makeCount: makeIds.length,
+            makeIds: makeIds.sort((a, b) => a - b).slice(0, MAX_RECORDS_PER_FINDING),
+        })))
+        return conflicts.length ? [finding("conflictingVehicleTypeNames", "warning",
+            `${conflicts.length} vehicle type IDs have different names in different makes.`, records)] : []
+    }
+
+    /**
+     * Compares the saved makes with the upstream makes read by the last sync, rather than
+     * downloading them again: the counts, the makes missing from the database, the saved makes
+     * gone upstream (orphaned) and the makeIds repeated upstream.
+     * @async
+     * @returns {object[]} - The findings.
+     */
+    static async _checkUpstream() {
+        const upstream = await VersionHistory.getUpstreamMakes()
+        if (!upstream) return [finding("upstreamNotCompared", "info",
+            "No sync has read the upstream makes yet, the makes weren't compared with them.", [])]
+        const {version, makes: remoteMakes} = upstream
+        const savedMakes = await MakeDataLoader.getAllMakes({withOverrides: false})
+        const remoteIds = new Set(remoteMakes.map(make => make.makeId))
+        const savedIds = new Set(savedMakes.map(make => make.makeId))
+        const toRecord = ({makeId, makeName}) => ({makeId, makeName})
+
+        const findings = []
+        if (remoteIds.size !== savedIds.size)
+            findings.push(finding("countMismatch", "error",
+                `The database has ${savedIds.size} makes but upstream had ${remoteIds.size} in version ${version}.`, [],
+                Math.abs(savedIds.size - remoteIds.size)))
+        const missing = remoteMakes.filter(make => !savedIds.has(make.makeId)).map(toRecord)
+        if (missing.length)
+            findings.push(finding("missingMakes", "error",
+                `${missing.length} upstream makes of version ${version} are missing from the database.`, missing))
+        const orphaned = savedMakes.filter(make => !remoteIds.has(make.makeId)).map(toRecord)
+        if (orphaned.length)
+            findings.push(finding("orphanedMakes", "error",
+                `${orphaned.length} makes in the database didn't exist upstream in version ${version}.`, orphaned))
+        const seen = new Set()
+        const repeated = []
+        for (const make of remoteMakes) {
+            if (seen.has(make.makeId)) repeated.push(toRecord(make))
+            seen.add(make.makeId)
+        }
+        if (repeated.length)
+            findings.push(finding("duplicateUpstreamMakeIds", "warning",
+                `${repeated.length} makeIds are repeated in the upstream makes.`, repeated))
+        return findings
+    }
+
+    /**
+     * Finds the makes renamed by a sync version, compared to the previous version.
+     * @async
+     * @param {number|null} version - The sync version.
+     * @returns {object[]} - The findings.
+     */
+    static async _checkRenamedMakes(version) {
+        if (!(version > 1)) return []
+        const {renamed} = await VersionHistory.diff(version - 1, version)
+        return renamed.length ? [finding("renamedMakes", "info",
+            `${renamed.length} makes were renamed since the previous sync.`, renamed)] : []
+    }
+}
@@ -1,255 +1,1068 @@
-import axios from "axios";
-import xml2js from "xml2js";
 import {VehicleMake, VehicleType} from "../models/vehicleMake.js";
-import {arrayToMap, logger, mapToArray, shuffle} from "../utils/helpers.js";
+import {arrayToMap, escapeRegExp, mapToArray, runWithRetryRounds, shuffle} from "../utils/helpers.js";
+import {addLogContext, createLogger, runWithLogContext} from "../utils/logger.js";
 import MongoDBFacade from "../db/mongo.js";
+import {buildCursorQuery, DEFAULT_PAGE_SIZE, encodeCursor} from "../utils/pagination.js";
+import VersionHistory, {diffVehicleTypes} from "./versionHistory.js";
+import ModelDataLoader from "./modelDataLoader.js";
+import Webhooks, {createEvent} from "./webhooks.js";
+import MakeOverrides from "./makeOverrides.js";
+import Quarantine from "./quarantine.js";
+import CatalogGenerations from "./catalogGenerations.js";
+import {createDataSource} from "../sources/index.js";
+import {config} from "../utils/config.js";
+import {readCache} from "../utils/cache.js";
+import {normalizeName} from "../utils/search.js";
+import {validateSchema} from "../utils/schema.js";
+import {BadRequestError, ConflictError, InvalidPayloadError, ServiceUnavailableError} from "../utils/errors.js";
 
-const CONCURRENT_REQUESTS = 5
-const SLEEP_SECONDS = 1
-const TEST_REQUESTS = -1 // -1 to load all vehicle types
-const DB_COLLECTION_NAME = "vehicle_makes"
+const logger = createLogger("sync")
+
+export const MAKE_SORT_FIELDS = ["makeId", "makeName"]
+// the internal search fields aren't part of the makes returned by the API
+export const MAKE_PROJECTION = {_id: 0, searchName: 0, searchTokens: 0}
+// the dates of the saved makes, strings once exported
+const MAKE_DATE_FIELDS = ["firstSeenAt", "lastSeenAt", "updatedAt", "deletedAt"]
+// the added and removed makes listed by the stats, the first sync adds all of them
+const STATS_MAKES_LIMIT = 100
+const DATE = {type: "string", minLength: 1}
+// a saved make, e.g. from an export, as accepted by `importMakes`
+const MAKE_DOCUMENT_SCHEMA = {
+    type: "object",
+    required: ["makeId", "makeName"],
+    properties: {
+        makeId: {type: "integer", min: 1},
+        makeName: {type: "string", minLength: 1},
+        vehicleTypes: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["typeId", "typeName"],
+                properties: {typeId: {type: "integer", min: 1}, typeName: {type: "string", minLength: 1}},
+            },
+        },
+        ...Object.fromEntries(MAKE_DATE_FIELDS.map(field => [field, DATE])),
+    },
+}
 
 /**
  * Provides methods to load, process, and save vehicle make and type data.
+ * Each sync builds a new catalog generation (see `CatalogGenerations`), which is promoted once
+ * it's complete and valid, and the makes are always read from the active generation.
+ * The results of the find methods are kept in the read cache, which is invalidated
+ * whenever a generation is promoted.
  * @class
  */
 export default class MakeDataLoader {
 
     /**
-     * Starts the process of loading, saving, and processing vehicle make and type data.
+     * The source the makes, vehicle types and models are loaded from.
+     * @type {MakeDataSource}
+     */
+    static dataSource = createDataSource()
+
+    /**
+     * Replaces the source the makes, vehicle types and models are loaded from.
+     * @param {MakeDataSource} dataSource - The new data source.
+     */
+    static useDataSource(dataSource) {
+        this.dataSource = dataSource
+    }
+
+    /**
+     * Starts the process of loading, saving, and processing vehicle make and type data,
+     * then the models of the makes (see `ModelDataLoader`) unless `sync.loadModels` is off.
+     * The makes and types are saved into a new catalog generation, promoted only if it passes
+     * `_validateGeneration`; the version history and the webhook events of the changes are
+     * recorded when it's promoted, so they never describe a catalog the readers didn't get.
+     * The version is completed once the generation is promoted, the model phase doesn't fail it.
+     * The sync holds the lease of the catalog (see `CatalogGenerations.withLease`) until it's done.
      * @async
+     * @param {object} [options={}] - The sync options.
+     * @param {number[]} [options.makeIds] - Only sync these makes (without removing the others), all makes if omitted.
+     * @param {SyncRun} [options.run] - Receives the progress of the sync, and cancels it when aborted.
+     * @param {boolean} [options.allowMassRemoval=false] - Whether a full sync may remove more than `sync.maxRemovedPercent` of the makes.
      * @returns {VehicleMake[]} - An array of vehicle make and type data.
+     * @throws {InvalidPayloadError} - If the makes response is rejected, in which case nothing is saved.
+     * @throws {ConflictError} - If only some makes are synced while the catalog has no generation yet,
+     * or another process is changing the catalog.
      */
-    static async startLoading() {
-        const allMakes = await this._loadAllMakes()
-        logger.log(`${allMakes?.length} makes retrieved, saving to db...`)
-        await this._saveMakes(allMakes)
-        logger.log("Makes data successfully saved to db...")
-        logger.log("Reading and saving vehicle types...")
-        // read types and save them into the db
-        return await this._loadAndSaveVehicleTypes(allMakes)
+    static async startLoading(options = {}) {
+        return CatalogGenerations.withLease("sync", () => this._load(options))
     }
 
     /**
-     * Loads all vehicle makes data from an external API.
+     * Runs a sync while holding the lease of the catalog, see `startLoading`.
      * @async
-     * @returns {VehicleMake} - Parsed JSON response from the API.
+     * @param {object} [options={}] - The sync options, see `startLoading`.
+     * @returns {VehicleMake[]} - An array of vehicle make and type data.
      */
-    static async _loadAllMakes() {
-        const jsonResponse = await this._readMakesFromAPI()
-        logger.log("All makes data read successfully.")
-        return this._extractMakeObjects(jsonResponse?.Response)
+    static async _load({makeIds, run, allowMassRemoval = false} = {}) {
+        const isPartial = makeIds?.length > 0
+        // a partial sync would promote a catalog of just its makes
+        if (isPartial && !(await CatalogGenerations.getState())?.activeCollection)
+            throw new ConflictError("The catalog isn't ready yet, a full sync must complete before syncing some makes.")
+        const version = await VersionHistory.startVersion(isPartial ? {type: "partial", makeIds} : {type: "full"})
+        run?.setVersion(version)
+        addLogContext({version})
+        let generation = null
+        let allMakes, result
+        try {
+            allMakes = await this._loadAllMakes(version)
+            if (!isPartial && !allowMassRemoval) await this._checkRemovals(allMakes, version)
+            if (isPartial) {
+                const selectedMakeIds = new Set(makeIds)
+                allMakes = allMakes.filter(make => selectedMakeIds.has(make.makeId))
+                if (allMakes.length < selectedMakeIds.size)
+                    logger.warn(`${selectedMakeIds.size - allMakes.length} of the requested makes don't exist upstream.`)
+            }
+            run?.signal.throwIfAborted()
+            generation = await this._createGeneration(version, isPartial ? "partial" : "full")
+            await this._saveMakes(allMakes, generation, {partial: isPartial})
+            // read types and save them into the db
+            result = await this._loadAndSaveVehicleTypes(allMakes, generation, run)
+            run?.signal.throwIfAborted()
+            const problems = await this._validateGeneration(generation, {partial: isPartial})
+            if (problems.length) {
+                await CatalogGenerations.discard(version, "rejected", {problems})
+                generation = null
+                throw new Error(`The catalog generation ${version} was rejected: ${problems.join(", ")}.`)
+            }
+            await this._promoteGeneration(generation)
+            generation = null
+            await VersionHistory.finishVersion(version, "completed", {makeCount: allMakes.length})
+        } catch (e) {
+            const status = run?.signal.aborted ? "cancelled" : "failed"
+            const error = String(e?.message ?? e)
+            if (generation) await CatalogGenerations.discard(version, status, {error})
+            await VersionHistory.finishVersion(version, status, {error})
+            throw e
+        }
+        if (config.sync.loadModels) await this._loadModels(allMakes, version, run)
+        return result
     }
 
     /**
-     * Reads vehicle makes data from an external API.
+     * Runs the model phase of a sync (see `ModelDataLoader`), once its catalog generation is
+     * promoted and its version completed. A failed or cancelled model phase doesn't fail the
+     * version, whose makes are already served: it's reported as the error of the phase in the run.
      * @async
-     * @returns {object} - Parsed XML response from the API.
+     * @param {VehicleMake[]} allMakes - The makes of the sync.
+     * @param {number} version - The version of the sync.
+     * @param {SyncRun} [run] - Receives the progress of the sync, and cancels it when aborted.
      */
-    static async _readMakesFromAPI() {
-        logger.log("Reading all make data...")
-        const url = "https://vpic.nhtsa.dot.gov/api/vehicles/getallmakes?format=XML"
-        const response = await axios.get(url, {
-            headers: {
-                // prevent getting blocked by firewall
-                'User-Agent': `bla-bla-bla-${Math.random()}`
-            }
-        })
-        return await this._xml2Json(response?.data)
+    static async _loadModels(allMakes, version, run) {
+        try {
+            const {changeCount} = await ModelDataLoader.loadAndSaveModels(allMakes, version, {run, dataSource: this.dataSource})
+            // once for the whole phase, the ETags and the read cache would change with every make otherwise
+            if (changeCount > 0) await CatalogGenerations.markChanged()
+        } catch (e) {
+            logger.error("The model phase of version", version, "didn't complete:", e)
+            run?.phaseFailed(e)
+            // some makes may have saved their models before
+            await CatalogGenerations.markChanged()
+        }
     }
 
     /**
-     * Loads and saves vehicle types for all makes.
+     * Starts building the catalog generation of a sync, as a copy of the active one with the
+     * indexes of the makes queries.
      * @async
-     * @param {object[]} allMakes - An array of vehicle makes.
-     * @returns {VehicleMake[]} - An array of updated vehicle make and type data.
+     * @param {number} version - The version of the running sync.
+     * @param {string} type - The type of the sync ("full" or "partial"), or "import" or "seed".
+     * @param {object} [options={}] - The build options, see `CatalogGenerations.createGeneration`.
+     * @returns {{version: number, collection: string, changes: object[], events: object[], processedCount: number, failedMakeIds: number[]}}
+     * - The generation being built, which collects the changes and events to record once it's promoted.
      */
-    static async _loadAndSaveVehicleTypes(allMakes = []) {
-        const makesMap = arrayToMap(allMakes, "makeId")
-        let i = 0
-        let promises = []
+    static async _createGeneration(version, type, options = {}) {
+        const collection = await CatalogGenerations.createGeneration(version, {type}, options)
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await this._createIndexes(db, collection)
+        db?.close()
+        return {version, collection, changes: [], events: [], processedCount: 0, failedMakeIds: []}
+    }
 
-        // Shuffling the array to prevent starting each time from the same makes
-        for (const make of shuffle([...allMakes])) {
-            // save make into db
-            const readAndSave = async () => {
-                try {
-                    const vehicleTypes = await this._readVehicleTypesFromAPI(make.makeId)
-                    const updatedMake = {...makesMap?.[make.makeId], vehicleTypes}
-                    makesMap[make.makeId] = updatedMake
-                    await this._saveVehicleTypes(updatedMake)
-                    logger.log("Types for make id", make?.makeId, "saved to the db.")
-                } catch (e) {
-                    logger.log("Error occurred while processing make id", make?.makeId, ", Error:", e)
-                }
-            }
-            promises.push(readAndSave())
+    /**
+     * Checks a built catalog generation before it's promoted: it must have makes, and a full sync
+     * must not have given up on more than `sync.maxFailedPercent` of the makes, whose vehicle
+     * types would be missing or stale.
+     * @async
+     * @param {object} generation - The generation being built, see `_createGeneration`.
+     * @param {object} [options={}] - The validation options.
+     * @param {boolean} [options.partial=false] - Whether only some makes are synced.
+     * @returns {string[]} - The problems found, empty if the generation can be promoted.
+     */
+    static async _validateGeneration({collection, failedMakeIds, processedCount}, {partial = false} = {}) {
+        const problems = []
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const makeCount = await db.count(collection, {deletedAt: null})
+        db?.close()
+        if (!makeCount) problems.push("it has no makes")
+        const failedPercent = processedCount ? failedMakeIds.length / processedCount * 100 : 0
+        const {maxFailedPercent} = config.sync
+        if (!partial && failedPercent > maxFailedPercent)
+            problems.push(`the vehicle types of ${failedMakeIds.length} of the ${processedCount} makes (${failedPercent.toFixed(1)}%) ` +
+                `couldn't be read, more than the maximum of ${maxFailedPercent}%`)
+        return problems
+    }
 
-            if (promises.length > CONCURRENT_REQUESTS) {
-                await Promise.all(promises)
-                promises = []
-                // sleep to respect the API rate limit
-                await new Promise(r => setTimeout(r, SLEEP_SECONDS));
-            }
-            if (i++ === TEST_REQUESTS) break
-        }
-        logger.log("All vehicle types read and saved.")
-        return mapToArray(makesMap)
+    /**
+     * Promotes a built catalog generation, then records its changes in the version history and
+     * publishes their webhook events.
+     * @async
+     * @param {object} generation - The generation being built, see `_createGeneration`.
+     */
+    static async _promoteGeneration({version, collection, changes, events, failedMakeIds}) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const makeCount = await db.count(collection, {deletedAt: null})
+        db?.close()
+        await CatalogGenerations.promote(version, {makeCount, failedMakeIds})
+        await VersionHistory.recordChanges(version, changes)
+        // the stats read the changes of the last sync, possibly in between
+        await CatalogGenerations.markChanged()
+        await Webhooks.publish(events)
+        logger.info({makeCount, changeCount: changes.length}, "Catalog generation", version, "promoted with", changes.length, "changed makes.")
     }
 
     /**
-     * Reads vehicle types for a specific make from an external API.
+     * Loads all vehicle makes data from the data source, and keeps the list for the audit (see
+     * `VersionHistory.saveUpstreamMakes`). A response which doesn't match its schema is quarantined.
      * @async
-     * @param {string} makeId - The ID of the vehicle make.
-     * @returns {VehicleType[]} - An array of vehicle type data.
+     * @param {number} [version] - The version of the running sync.
+     * @returns {VehicleMake[]} - An array of vehicle makes.
+     * @throws {InvalidPayloadError} - If the response is invalid.
      */
-    static async _readVehicleTypesFromAPI(makeId = "") {
-        logger.log("Reading vehicle types for make id:", makeId)
-        const url = `https://vpic.nhtsa.dot.gov/api/vehicles/GetVehicleTypesForMakeId/${makeId}?format=xml`
-        const response = await axios.get(url, {
-            headers: {
-                // prevent getting blocked by firewall
-                'User-Agent': `bla-bla-bla-${Math.random()}`
-            }
-        });
-        const jsonResponse = await this._xml2Json(response?.data)
-        logger.log("Vehicle types for make id", makeId, "read successfully.")
-        return this._extractVehicleTypeObjects(jsonResponse)
+    static async _loadAllMakes(version) {
+        const startedAt = Date.now()
+        const allMakes = await Quarantine.guard(() => this.dataSource.getAllMakes(), version)
+        await VersionHistory.saveUpstreamMakes(version, allMakes)
+        logger.info({makeCount: allMakes.length, durationMs: Date.now() - startedAt}, allMakes.length, "makes read.")
+        return allMakes
     }
 
     /**
-     * Extracts vehicle make objects from a JSON response.
-     * @param {object} jsObject - Parsed JSON response.
-     * @returns {VehicleMake[]} - An array of vehicle make objects.
+     * Rejects the makes list of a full sync if it would remove more than `sync.maxRemovedPercent`
+     * of the saved makes, which is far more likely a broken response than vPIC dropping them.
+     * The rejected list is quarantined.
+     * @async
+     * @param {VehicleMake[]} remoteMakes - The makes read from the data source.
+     * @param {number} version - The version of the running sync.
+     * @throws {InvalidPayloadError} - If too many makes would be removed.
      */
-    static _extractMakeObjects(jsObject) {
-        return jsObject?.Results?.AllVehicleMakes?.map(make => new VehicleMake(make?.Make_ID, make?.Make_Name))
+    static async _checkRemovals(remoteMakes, version) {
+        const state = await CatalogGenerations.getState()
+        if (!state?.activeCollection) return
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const savedMakes = await db.find(state.activeCollection, {deletedAt: null}, {projection: {_id: 0, makeId: 1, makeName: 1}})
+        db?.close()
+        const remoteMakeIds = new Set(remoteMakes.map(make => make.makeId))
+        const removedMakes = savedMakes.filter(make => !remoteMakeIds.has(make.makeId))
+        const removedPercent = savedMakes.length ? removedMakes.length / savedMakes.length * 100 : 0
+        const {maxRemovedPercent} = config.sync
+        if (removedPercent <= maxRemovedPercent) return
+        const error = new InvalidPayloadError("getallmakes", [
+            `the sync would remove ${removedMakes.length} of the ${savedMakes.length} makes (${removedPercent.toFixed(1)}%), ` +
+            `more than the maximum of ${maxRemovedPercent}%`
+        ], {makes: remoteMakes, removedMakes}, "massRemoval")
+        await Quarantine.add(error, version)
+        throw error
     }
 
     /**
-     * Extracts vehicle type objects from a JSON response.
-     * @param {object} jsObject - Parsed JSON response.
-     * @returns {VehicleType[]} - An array of vehicle type objects.
+     * Loads and saves vehicle types for all makes. The makes which failed are put in a retry
+     * queue and retried after the others, up to `sync.retryRounds` times.
+     * @async
+     * @param {object[]} allMakes - An array of vehicle makes.
+     * @param {object} generation - The generation being built, see `_createGeneration`.
+     * @param {SyncRun} [run] - Receives the progress of the sync, and cancels it when aborted.
+     * @returns {VehicleMake[]} - An array of updated vehicle make and type data.
      */
-    static _extractVehicleTypeObjects(jsObject) {
-        // because of xml conversion if there is only one child,
-        // it won't return an array or empty array(if it's empty)
-        if (jsObject?.Response?.Count == 0) return []
-        if (jsObject?.Response?.Count == 1) {
-            const onlyVehicleType = jsObject?.Response?.Results?.VehicleTypesForMakeIds
-            return [new VehicleType(onlyVehicleType?.VehicleTypeId, onlyVehicleType?.VehicleTypeName)]
-        }
-        return jsObject?.Response?.Results?.VehicleTypesForMakeIds?.map(
-            vehicleType => new VehicleType(vehicleType?.VehicleTypeId, vehicleType?.VehicleTypeName))
-    }
-
-    /**
-     * Converts XML to JSON with specified options.
-     * @async
-     * @param {string} xml - XML data to be converted.
-     * @param {object} [options={}] - Options for XML to JSON conversion.
-     * @returns {object} - Parsed JSON data.
-     */
-    static async _xml2Json(xml, options = {}) {
-        const _options = {
-            ignoreAttrs: true,
-            normalize: true,
-            parseNumbers: true,
-            parseBooleans: true,
-            trim: true,
-            explicitArray: false,
-            ...options
-        };
-        const result = await new Promise((resolve, reject) => {
-            xml2js.parseString(xml, _options, (err, result) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(result);
-                }
-            });
-        });
-        return result
+    static async _loadAndSaveVehicleTypes(allMakes = [], generation, run) {
+        const {concurrentRequests, retryRounds, retryRoundDelaySeconds, testRequests} = config.sync
+        const makesMap = arrayToMap(allMakes, "makeId")
+
+        // Shuffling the array to prevent starting each time from the same makes
+        const shuffledMakes = shuffle([...allMakes])
+        const queue = testRequests === -1 ? shuffledMakes : shuffledMakes.slice(0, testRequests)
+        run?.startPhase("vehicleTypes", queue.length)
+        logger.info(`Reading and saving the vehicle types of ${queue.length} makes...`)
+        const startedAt = Date.now()
+        const logSaved = logger.progress("Vehicle types of %d of %d makes saved.", {total: queue.length})
+
+        // the lines logged while a make is processed, e.g. by the vPIC client, carry its ID
+        const failedMakes = await runWithRetryRounds(queue, make => runWithLogContext({makeId: make.makeId}, async () => {
+            const makeStartedAt = Date.now()
+            const vehicleTypes = await this._readVehicleTypes(make.makeId, generation.version)
+            const updatedMake = {...makesMap?.[make.makeId], vehicleTypes}
+            makesMap[make.makeId] = updatedMake
+            await this._saveVehicleTypes(updatedMake, generation)
+            run?.makeProcessed(make.makeId)
+            logSaved({vehicleTypeCount: vehicleTypes.length, durationMs: Date.now() - makeStartedAt},
+                "Vehicle types for make id", make.makeId, "saved.")
+        }), {
+            concurrency: concurrentRequests,
+            retryRounds,
+            retryDelayMs: retryRoundDelaySeconds * 1000,
+            signal: run?.signal,
+            onError: (make, e) => {
+                logger.warn({makeId: make.makeId}, `Couldn't read or save the vehicle types of make id ${make.makeId}:`, e)
+                run?.makeFailed(make.makeId)
+            },
+            onRetry: (failed, round) =>
+                logger.info({failedCount: failed.length, round}, `Retrying ${failed.length} failed makes (round ${round} of ${retryRounds})...`),
+        })
+        generation.processedCount = queue.length
+        generation.failedMakeIds = failedMakes.map(make => make.makeId)
+        if (failedMakes.length > 0)
+            logger.error({failedMakeIds: generation.failedMakeIds}, `Giving up on ${failedMakes.length} makes:`, generation.failedMakeIds.join(", "))
+        logger.info({makeCount: queue.length, failedCount: failedMakes.length, durationMs: Date.now() - startedAt},
+            "Vehicle types of", queue.length - failedMakes.length, "makes read and saved.")
+        return mapToArray(makesMap)
+    }
+
+    /**
+     * Reads vehicle types for a specific make from the data source. A response which doesn't
+     * match its schema is quarantined, and the make failed so it's retried.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {number} [version] - The version of the running sync.
+     * @returns {VehicleType[]} - An array of vehicle type data.
+     * @throws {InvalidPayloadError} - If the response is invalid.
+     */
+    static async _readVehicleTypes(makeId, version) {
+        return Quarantine.guard(() => this.dataSource.getVehicleTypes(makeId), version)
     }
 
     /**
-     * Saves vehicle make data to the database.
+     * Saves vehicle make data into the generation being built, and collects the changed makes
+     * for the version history and their added, renamed and removed webhook events.
+     * New makes get `firstSeenAt`, every remote make gets `lastSeenAt` and `updatedAt` is set when
+     * a make is renamed or comes back. Makes missing from the remote list are soft-deleted by
+     * setting `deletedAt`. Only the upstream data is written; the overrides are kept apart by
+     * MakeOverrides, so the sync never changes them.
      * @async
      * @param {VehicleMake[]} remoteMakes - An array of vehicle makes.
+     * @param {object} generation - The generation being built, see `_createGeneration`.
+     * @param {object} [options={}] - The save options.
+     * @param {boolean} [options.partial=false] - Whether only some makes are synced, so the others must not be removed.
      * @returns {object[]} - An array of saved vehicle make data.
+     * @throws {Error} - If the makes couldn't be written, so the generation is discarded.
      */
-    static async _saveMakes(remoteMakes) {
-        // the versioning logic and timestamps can be implemented
+    static async _saveMakes(remoteMakes, {version, collection, changes, events}, {partial = false} = {}) {
+        const now = new Date()
         const db = new MongoDBFacade()
         await db?.connect()
-        const dbMakes = await db.find(DB_COLLECTION_NAME)
+        const dbMakes = await db.find(collection,
+            partial ? {makeId: {$in: remoteMakes.map(make => make.makeId)}} : {})
 
         // creating maps to have search time in O(1)
         const remoteMakesMap = arrayToMap(remoteMakes, "makeId")
         const dbMakesMap = arrayToMap(dbMakes, "makeId")
+        const operations = []
+        const changedMakes = []
 
+        // soft delete old makes which are removed in the new version
+        for (const make of dbMakes) {
+            if (remoteMakesMap?.[make?.makeId] || make.deletedAt) continue
+            operations.push({
+                updateOne: {
+                    filter: {makeId: make.makeId},
+                    update: {$set: {deletedAt: now, updatedAt: now}},
+                }
+            })
+            changedMakes.push({...make, deleted: true})
+            events.push(createEvent("make.removed", version, {makeId: make.makeId, makeName: make.makeName}))
+        }
 
-        // delete old makes which are removed in the new version
-        await Promise.all(dbMakes?.map(async make => {
-            if (!remoteMakesMap?.[make?.makeId]) await db?.deleteOne(DB_COLLECTION_NAME, {makeId: make.makeId})
-        }))
-
-        // prevent changing back to the empty vehicleType (bc on first
-        // call the default value is an empty array for vehicleTypes),
-        // if the types already retrieved.
-        const makesToSave = remoteMakes.map(make => {
-            if (dbMakesMap?.[make?.makeId]?.vehicleTypes?.length > 0 && make?.vehicleTypes?.length === 0) {
-                delete make?.vehicleTypes
+        // the vehicle types are only set for new makes, so the already
+        // retrieved types don't change back to the empty default array.
+        for (const make of remoteMakes) {
+            const dbMake = dbMakesMap?.[make?.makeId]
+            // makes saved before versioning have no history yet
+            const isUntracked = !dbMake || dbMake.firstSeenVersion === undefined
+            const isChanged = isUntracked || dbMake.deletedAt || dbMake.makeName !== make.makeName
+            const update = {
+                $set: {
+                    makeName: make.makeName,
+                    ...this._searchFields(make.makeName),
+                    lastSeenAt: now,
+                    lastSeenVersion: version,
+                    deletedAt: null,
+                },
+                ...(!dbMake ? {$setOnInsert: {vehicleTypes: make.vehicleTypes ?? []}} : {}),
             }
-            return make
-        })
-        const result = await db.insertOrUpdateMany(DB_COLLECTION_NAME, "makeId", makesToSave)
+            if (isUntracked) Object.assign(update.$set, {firstSeenAt: now, firstSeenVersion: version})
+            if (isChanged) {
+                update.$set.updatedAt = now
+                changedMakes.push({...make, vehicleTypes: dbMake?.vehicleTypes ?? make.vehicleTypes})
+            }
+            const data = {makeId: make.makeId, makeName: make.makeName}
+            if (!dbMake || dbMake.deletedAt)
+                events.push(createEvent("make.added", version, {...data, restored: Boolean(dbMake)}))
+            else if (dbMake.makeName !== make.makeName)
+                events.push(createEvent("make.renamed", version, {...data, previousName: dbMake.makeName}))
+            operations.push({updateOne: {filter: {makeId: make.makeId}, update, upsert: true}})
+        }
+
+        const isSaved = await db.bulkWrite(collection, operations)
         db?.close()
-        logger.log("Makes data saved to the database.")
-        return result
+        if (!isSaved) throw new Error(`Couldn't save the makes into ${collection}.`)
+        changes.push(...changedMakes)
+        logger.info({makeCount: remoteMakes.length, changeCount: changedMakes.length},
+            remoteMakes.length, "makes saved,", changedMakes.length, "makes changed.")
+        return remoteMakes
     }
 
     /**
-     * Saves vehicle types for a make in the database.
+     * Saves vehicle types for a make into the generation being built. If the types changed,
+     * `updatedAt` is set, and the make and a vehicleTypesChanged event are collected.
      * @async
      * @param {object} make - Vehicle make data with types.
+     * @param {object} generation - The generation being built, see `_createGeneration`.
      * @returns {object} - Saved vehicle make data with types.
+     * @throws {Error} - If the types couldn't be written, so the make is retried or counted as failed.
      */
-    static async _saveVehicleTypes(make) {
+    static async _saveVehicleTypes(make, {version, collection, changes, events}) {
         const db = new MongoDBFacade()
         await db?.connect()
-        const result = await db.insertOrUpdate(DB_COLLECTION_NAME, {makeId: make.makeId}, make);
+        const dbMake = await db.findOne(collection, {makeId: make.makeId})
+        const {added, removed} = diffVehicleTypes(dbMake?.vehicleTypes, make.vehicleTypes)
+        const isChanged = added.length > 0 || removed.length > 0
+        const result = await db.insertOrUpdate(collection, {makeId: make.makeId}, {
+            vehicleTypes: make.vehicleTypes,
+            ...(isChanged ? {updatedAt: new Date()} : {}),
+        });
         db?.close()
-        logger.log("Vehicle types for make id", make.makeId, "saved to the database.")
+        if (!result) throw new Error(`Couldn't save the vehicle types of make id ${make.makeId}.`)
+        if (isChanged) {
+            changes.push(make)
+            events.push(createEvent("make.vehicleTypesChanged", version, {
+                makeId: make.makeId,
+                makeName: make.makeName,
+                added,
+                removed,
+                vehicleTypes: make.vehicleTypes,
+            }))
+        }
         return result
     }
 
     /**
-     * Retrieves all vehicle makes from the database.
+     * Builds the fields used to search a make by name.
+     * @param {string} makeName - The name of the vehicle make.
+     * @returns {{searchName: string, searchTokens: string[]}} - The normalized name and its words.
+     */
+    static _searchFields(makeName) {
+        const searchName = normalizeName(makeName)
+        return {searchName, searchTokens: searchName ? searchName.split(" ") : []}
+    }
+
+    /**
+     * Retrieves all vehicle makes from the database, with their overrides merged.
      * @async
+     * @param {object} [options={}] - The read options.
+     * @param {boolean} [options.withOverrides=true] - Whether to merge the overrides, false for the upstream data only.
      * @returns {VehicleMake[]} - An array of vehicle makes and types data.
      */
-    static async getAllMakes() {
+    static async getAllMakes({withOverrides = true} = {}) {
+        const collection = await CatalogGenerations.getActiveCollection()
         const db = new MongoDBFacade()
         await db?.connect()
-        const data = await db.find(DB_COLLECTION_NAME)
+        const data = withOverrides
+            ? await db.aggregate(collection, [...this._makesPipeline(), {$project: {_id: 0}}])
+            : await db.find(collection, {deletedAt: null})
         db?.close()
-        logger.log("Result length:", data?.length)
         return data?.map(d => delete d?._id && d) // remove the _id from the data
     }
 
     /**
-     * Tests the transformation of vehicle make data.
+     * Counts the vehicle makes in the database.
+     * @async
+     * @returns {number} - The number of makes which aren't deleted.
+     */
+    static async countMakes() {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const count = await db.count(collection, {deletedAt: null})
+        db?.close()
+        return count
+    }
+
+    /**
+     * Retrieves a single vehicle make from the database.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {VehicleMake|null} - The vehicle make or null if it doesn't exist.
+     */
+    static async findMake(makeId) {
+        return readCache.get(`findMake:${makeId}`, async () => {
+            const [make] = await this.findMakesByIds([makeId])
+            return make ?? null
+        })
+    }
+
+    /**
+     * Retrieves the vehicle makes with the given IDs, e.g. the results of a search.
+     * @async
+     * @param {number[]} makeIds - The IDs of the vehicle makes.
+     * @returns {VehicleMake[]} - The makes which exist and aren't hidden, in no particular order.
+     */
+    static async findMakesByIds(makeIds) {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const makes = await db.aggregate(collection, [
+            ...this._makesPipeline({makeId: {$in: makeIds}}),
+            {$project: MAKE_PROJECTION},
+        ])
+        db?.close()
+        return makes
+    }
+
+    /**
+     * Retrieves the distinct vehicle types of all makes, with the number of makes having each type.
+     * @async
+     * @returns {{typeId: number, typeName: string, makeCount: number}[]} - The vehicle types sorted by typeId.
+     */
+    static async findVehicleTypes() {
+        return readCache.get("findVehicleTypes", async () => {
+            const collection = await CatalogGenerations.getActiveCollection()
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const types = await db.aggregate(collection, [
+                ...this._makesPipeline(),
+                {$unwind: "$vehicleTypes"},
+                {$group: {
+                    _id: "$vehicleTypes.typeId",
+                    typeName: {$first: "$vehicleTypes.typeName"},
+                    makeCount: {$sum: 1},
+                }},
+                {$sort: {_id: 1}},
+                {$project: {_id: 0, typeId: "$_id", typeName: 1, makeCount: 1}},
+            ])
+            db?.close()
+            return types
+        })
+    }
+
+    /**
+     * Computes the statistics of the catalog, as served (with the overrides merged): the number
+     * of makes, the makes having each vehicle type, the makes without vehicle types, the
+     * distribution of the number of vehicle types per make, and the makes added and removed by
+     * the last change of the catalog. They are cached until the data changes, like the other reads.
+     * @async
+     * @returns {object} - The statistics, see the Statistics section of the readme.
+     */
+    static async getStats() {
+        return readCache.get("getStats", async () => {
+            const collection = await CatalogGenerations.getActiveCollection()
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const [stats] = await db.aggregate(collection, [
+                ...this._makesPipeline(),
+                {$project: {vehicleTypes: 1, vehicleTypeCount: {$size: {$ifNull: ["$vehicleTypes", []]}}}},
+                {$facet: {
+                    makes: [{$count: "count"}],
+                    vehicleTypes: [
+                        {$unwind: "$vehicleTypes"},
+                        {$group: {
+                            _id: "$vehicleTypes.typeId",
+                            typeName: {$first: "$vehicleTypes.typeName"},
+                            makeCount: {$sum: 1},
+                        }},
+                        {$sort: {_id: 1}},
+                        {$project: {_id: 0, typeId: "$_id", typeName: 1, makeCount: 1}},
+                    ],
+                    vehicleTypeCounts: [
+                        {$group: {_id: "$vehicleTypeCount", makeCount: {$sum: 1}}},
+                        {$sort: {_id: 1}},
+                        {$project: {_id: 0, vehicleTypeCount: "$_id", makeCount: 1}},
+                    ],
+                }},
+            ])
+            db?.close()
+            const vehicleTypeCounts = stats?.vehicleTypeCounts ?? []
+            return {
+                makeCount: stats?.makes?.[0]?.count ?? 0,
+                makesWithoutVehicleTypes: vehicleTypeCounts.find(({vehicleTypeCount}) => vehicleTypeCount === 0)?.makeCount ?? 0,
+                vehicleTypes: stats?.vehicleTypes ?? [],
+                vehicleTypeCounts,
+                lastSync: await this._lastSyncStats(),
+                computedAt: new Date(),
+            }
+        })
+    }
+
+    /**
+     * Summarizes the makes added and removed by the last change of the catalog, from the version
+     * history: the newest promoted generation, of a sync, an import or a seed, or a later rollback.
+     * @async
+     * @returns {{version: number, type: string, promotedAt: Date, addedCount: number, removedCount: number,
+     * added: object[], removed: object[]}|null} - The change with its first STATS_MAKES_LIMIT added and
+     * removed makes by makeId, or null if no generation was promoted yet.
+     */
+    static async _lastSyncStats() {
+        const [generation, rollback] = await Promise.all([
+            CatalogGenerations.getLastPromotedGeneration(),
+            VersionHistory.getLastCompletedVersion("rollback"),
+        ])
+        if (!generation) return null
+        // a rollback is a version of its own, without a generation
+        const {version, type, promotedAt} = rollback?.version > generation.generation
+            ? {version: rollback.version, type: "rollback", promotedAt: rollback.finishedAt}
+            : {version: generation.generation, type: generation.type, promotedAt: generation.promotedAt}
+        const {added, removed} = await VersionHistory.diff(version - 1, version)
+        const byMakeId = (a, b) => a.makeId - b.makeId
+        return {
+            version,
+            type,
+            promotedAt,
+            addedCount: added.length,
+            removedCount: removed.length,
+            added: added.sort(byMakeId).slice(0, STATS_MAKES_LIMIT),
+            removed: removed.sort(byMakeId).slice(0, STATS_MAKES_LIMIT),
+        }
+    }
+
+    /**
+     * Retrieves a single vehicle type by its ID.
+     * @async
+     * @param {number} typeId - The ID of the vehicle type.
+     * @returns {VehicleType|null} - The vehicle type or null if no make has it.
+     */
+    static async findVehicleType(typeId) {
+        return readCache.get(`findVehicleType:${typeId}`, async () => {
+            const collection = await CatalogGenerations.getActiveCollection()
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const [type] = await db.aggregate(collection, [
+                ...this._makesPipeline(),
+                {$unwind: "$vehicleTypes"},
+                {$match: {"vehicleTypes.typeId": typeId}},
+                {$limit: 1},
+                {$project: {_id: 0, typeId: "$vehicleTypes.typeId", typeName: "$vehicleTypes.typeName"}},
+            ])
+            db?.close()
+            return type ?? null
+        })
+    }
+
+    /**
+     * Finds a page of vehicle makes matching the given filter. Filtering, sorting and
+     * pagination are all done by MongoDB, on the makes with their overrides merged; the makes
+     * are narrowed down before the merge, see `_buildUpstreamQuery`.
+     * @async
+     * @param {object} [filter={}] - The filter criteria, see `_buildMakesQuery`.
+     * @param {object} [page={}] - The sort and pagination options.
+     * @param {string} [page.sortBy="makeId"] - The field to sort by, one of MAKE_SORT_FIELDS.
+     * @param {number} [page.direction=1] - 1 for ascending and -1 for descending order.
+     * @param {number} [page.limit=DEFAULT_PAGE_SIZE] - The maximum number of makes to return.
+     * @param {string} [page.after] - The cursor of the last make of the previous page.
+     * @returns {{makes: VehicleMake[], totalCount: number, hasNextPage: boolean, endCursor: string|null}}
+     * - A page of vehicle makes and the cursor of its last make.
+     */
+    static async findMakes(filter = {}, {sortBy = "makeId", direction = 1, limit = DEFAULT_PAGE_SIZE, after} = {}) {
+        return readCache.get(JSON.stringify(["findMakes", filter, {sortBy, direction, limit, after}]), async () => {
+            const collection = await CatalogGenerations.getActiveCollection()
+            const upstreamQuery = this._buildUpstreamQuery(filter, await MakeOverrides.getOverrides())
+            const query = this._buildMakesQuery(filter)
+            const cursorQuery = buildCursorQuery(sortBy, direction, "makeId", after)
+            // the makeId is never overridden, so its cursor is matched before the merge too
+            const pagePipeline = sortBy === "makeId"
+                ? [...this._makesPipeline({$and: [upstreamQuery, cursorQuery]}), {$match: query}]
+                : [...this._makesPipeline(upstreamQuery), {$match: query}, {$match: cursorQuery}]
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const [makes, [{totalCount} = {totalCount: 0}]] = await Promise.all([
+                db.aggregate(collection, [
+                    ...pagePipeline,
+                    {$sort: {[sortBy]: direction, makeId: direction}},
+                    {$limit: limit + 1}, // one extra make to find out if there is a next page
+                    {$project: MAKE_PROJECTION},
+                ]),
+                db.aggregate(collection, [...this._makesPipeline(upstreamQuery), {$match: query}, {$count: "totalCount"}]),
+            ])
+            db?.close()
+            const hasNextPage = makes.length > limit
+            const pageMakes = makes.slice(0, limit)
+            const lastMake = pageMakes[pageMakes.length - 1]
+            return {
+                makes: pageMakes,
+                totalCount,
+                hasNextPage,
+                endCursor: lastMake ? encodeCursor(lastMake[sortBy], lastMake.makeId) : null,
+            }
+        })
+    }
+
+    /**
+     * Streams all the vehicle makes matching the given filter, e.g. for exports.
+     * @async
+     * @param {object} [filter={}] - The filter criteria, see `_buildMakesQuery`.
+     * @param {object} [sort={}] - The sort options.
+     * @param {string} [sort.sortBy="makeId"] - The field to sort by, one of MAKE_SORT_FIELDS.
+     * @param {number} [sort.direction=1] - 1 for ascending and -1 for descending order.
+     * @returns {Readable} - An object mode stream of vehicle makes.
+     */
+    static async streamMakes(filter = {}, {sortBy = "makeId", direction = 1} = {}) {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const upstreamQuery = this._buildUpstreamQuery(filter, await MakeOverrides.getOverrides())
+        const db = new MongoDBFacade()
+        await db?.connect()
+        return db.streamAggregate(collection, [
+            ...this._makesPipeline(upstreamQuery),
+            {$match: this._buildMakesQuery(filter)},
+            {$sort: {[sortBy]: direction, makeId: direction}},
+            {$project: MAKE_PROJECTION},
+        ]).on("close", () => db?.close())
+    }
+
+    /**
+     * Streams the makes as they are saved in the active generation, the deleted ones included
+     * and without their overrides, e.g. for a backup which `importMakes` restores.
+     * @async
+     * @returns {Readable} - An object mode stream of the saved makes, sorted by makeId.
+     */
+    static async streamSavedMakes() {
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        return db.stream(collection, {}, {sort: {makeId: 1}, projection: MAKE_PROJECTION}).on("close", () => db?.close())
+    }
+
+    /**
+     * Builds the aggregation stages reading the makes which aren't deleted or hidden, with their
+     * overrides merged.
+     * @param {object} [match={}] - More criteria on the upstream fields, matched before the merge
+     * so they can use the indexes of the makes.
+     * @returns {object[]} - The aggregation stages.
+     */
+    static _makesPipeline(match = {}) {
+        return [
+            {$match: {$and: [{deletedAt: null}, match]}},
+            ...MakeOverrides.mergeStages(),
+        ]
+    }
+
+    /**
+     * Builds the conditions of a makes filter, on the name and on the vehicle types.
+     * @param {object} [filter={}] - The filter criteria.
+     * @param {string} [filter.namePrefix] - Case-insensitive prefix of the make name.
+     * @param {string} [filter.nameContains] - Case-insensitive part of the make name.
+     * @param {number} [filter.vehicleTypeId] - Only makes having a vehicle type with this id.
+     * @param {string} [filter.typeName] - Only makes having a vehicle type with this name (case-insensitive).
+     * @returns {{nameConditions: object[], typeConditions: object[]}} - The MongoDB conditions.
+     */
+    static _filterConditions({namePrefix, nameContains, vehicleTypeId, typeName} = {}) {
+        const nameConditions = []
+        const typeConditions = []
+        if (namePrefix)
+            nameConditions.push({makeName: {$regex: `^${escapeRegExp(namePrefix)}`, $options: "i"}})
+        if (nameContains)
+            nameConditions.push({makeName: {$regex: escapeRegExp(nameContains), $options: "i"}})
+        if (vehicleTypeId !== undefined && vehicleTypeId !== null)
+            typeConditions.push({"vehicleTypes.typeId": vehicleTypeId})
+        if (typeName)
+            typeConditions.push({"vehicleTypes.typeName": {$regex: `^${escapeRegExp(typeName)}$`, $options: "i"}})
+        return {nameConditions, typeConditions}
+    }
+
+    /**
+     * Builds the MongoDB query for a makes filter, on the makes with their overrides merged.
+     * @param {object} [filter={}] - The filter criteria, see `_filterConditions`.
+     * @returns {object} - The MongoDB query.
+     */
+    static _buildMakesQuery(filter = {}) {
+        const {nameConditions, typeConditions} = this._filterConditions(filter)
+        // skip the soft-deleted makes
+        return {$and: [{deletedAt: null}, ...nameConditions, ...typeConditions]}
+    }
+
+    /**
+     * Builds the MongoDB query narrowing the makes down before their overrides are merged: the
+     * makes matching the filter upstream, and those whose display name or added vehicle types
+     * may match it. `_buildMakesQuery` then matches the merged makes exactly.
+     * @param {object} [filter={}] - The filter criteria, see `_filterConditions`.
+     * @param {object[]} [overrides=[]] - The overrides, see `MakeOverrides.getOverrides`.
+     * @returns {object} - The MongoDB query.
+     */
+    static _buildUpstreamQuery(filter = {}, overrides = []) {
+        const {nameConditions, typeConditions} = this._filterConditions(filter)
+        const {renamed, retyped} = MakeOverrides.overriddenMakeIds(overrides)
+        const conditions = []
+        if (nameConditions.length) conditions.push({$or: [{$and: nameConditions}, {makeId: {$in: renamed}}]})
+        if (typeConditions.length) conditions.push({$or: [{$and: typeConditions}, {makeId: {$in: retyped}}]})
+        return conditions.length ? {$and: conditions} : {}
+    }
+
+    /**
+     * Rolls the catalog back to the previous generation, as a version of its own: the makes
+     * which differ between the two generations are recorded in the version history and their
+     * webhook events are published, as if a sync had brought the previous catalog back.
+     * Rolling back again restores the generation rolled back from.
+     * @async
+     * @returns {object} - The version of the rollback and the new state of the generations.
+     * @throws {ConflictError} - If there is no previous generation, or another process is changing the catalog.
+     */
+    static async rollback() {
+        return CatalogGenerations.withLease("rollback", () => this._rollback())
+    }
+
+    /**
+     * Rolls the catalog back while holding its lease, see `rollback`.
+     * @async
+     * @returns {object} - The version of the rollback and the new state of the generations.
+     */
+    static async _rollback() {
+        const state = await CatalogGenerations.getState()
+        if (!state?.previousCollection) throw new ConflictError("There is no previous catalog generation to roll back to.")
+        const version = await VersionHistory.startVersion({
+            type: "rollback",
+            fromGeneration: state.activeGeneration,
+            toGeneration: state.previousGeneration,
+        })
+        try {
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const [currentMakes, restoredMakes] = await Promise.all([
+                db.find(state.activeCollection, {}, {projection: MAKE_PROJECTION}),
+                db.find(state.previousCollection, {}, {projection: MAKE_PROJECTION}),
+            ])
+            db?.close()
+            const {changes, events} = this._diffGenerations(currentMakes, restoredMakes, version)
+            const newState = await CatalogGenerations.rollback()
+            await VersionHistory.recordChanges(version, changes)
+            await Webhooks.publish(events)
+            const makeCount = restoredMakes.filter(make => !make.deletedAt).length
+            await VersionHistory.finishVersion(version, "completed", {makeCount})
+            return {version, ...newState}
+        } catch (e) {
+            await VersionHistory.finishVersion(version, "failed", {error: String(e?.message ?? e)})
+            throw e
+        }
+    }
+
+    /**
+     * Replaces the catalog with the given makes, e.g. a backup from `streamSavedMakes`, as a
+     * version of its own: the makes are saved into a new generation, which is promoted like
+     * the one of a sync, with the changes recorded in the version history and their webhook
+     * events published. The replaced generation is kept, so the import can be rolled back.
+     * @async
+     * @param {object[]} makes - The makes, with their vehicle types and, optionally, their dates.
+     * @param {object} [options={}] - The import options.
+     * @param {string} [options.source] - Where the makes come from, e.g. the file name, stored on the version.
+     * @param {string} [options.type="import"] - The type of the version and the generation, e.g. "seed".
+     * @returns {{version: number, makeCount: number, changeCount: number}} - The version of the import,
+     * the number of makes which aren't deleted and of changed makes.
+     * @throws {BadRequestError} - If a make is invalid or a makeId is repeated, in which case nothing is saved.
+     * @throws {ConflictError} - If another process is changing the catalog.
+     */
+    static async importMakes(makes, {source, type = "import"} = {}) {
+        const problems = this._validateDocuments(makes)
+        if (problems.length) throw new BadRequestError("The makes to import are invalid.", {problems})
+        return CatalogGenerations.withLease(type, () => this._importMakes(makes, {source, type}))
+    }
+
+    /**
+     * Imports valid makes while holding the lease of the catalog, see `importMakes`.
+     * @async
+     * @param {object[]} makes - The makes.
+     * @param {object} options - The import options, see `importMakes`.
+     * @returns {{version: number, makeCount: number, changeCount: number}} - The version of the import and its counts.
+     */
+    static async _importMakes(makes, {source, type}) {
+        const state = await CatalogGenerations.getState()
+        const version = await VersionHistory.startVersion({type, source})
+        let generation = null
+        try {
+            generation = await this._createGeneration(version, type, {copyActive: false})
+            const documents = makes.map(make => ({
+                ...make,
+                ...Object.fromEntries(MAKE_DATE_FIELDS.map(field => [field, make[field] ? new Date(make[field]) : null])),
+                vehicleTypes: make.vehicleTypes ?? [],
+                ...this._searchFields(make.makeName),
+            }))
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const inserted = documents.length ? await db.insertMany(generation.collection, documents) : []
+            const currentMakes = state?.activeCollection
+                ? await db.find(state.activeCollection, {}, {projection: MAKE_PROJECTION})
+                : []
+            db?.close()
+            if (inserted.length < documents.length) throw new Error(`Couldn't save the makes into ${generation.collection}.`)
+            Object.assign(generation, this._diffGenerations(currentMakes, makes, version))
+            const generationProblems = await this._validateGeneration(generation)
+            if (generationProblems.length) {
+                await CatalogGenerations.discard(version, "rejected", {problems: generationProblems})
+                generation = null
+                throw new Error(`The catalog generation ${version} was rejected: ${generationProblems.join(", ")}.`)
+            }
+            await this._promoteGeneration(generation)
+            const makeCount = makes.filter(make => !make.deletedAt).length
+            const changeCount = generation.changes.length
+            generation = null
+            await VersionHistory.finishVersion(version, "completed", {makeCount})
+            return {version, makeCount, changeCount}
+        } catch (e) {
+            const error = String(e?.message ?? e)
+            if (generation) await CatalogGenerations.discard(version, "failed", {error})
+            await VersionHistory.finishVersion(version, "failed", {error})
+            throw e
+        }
+    }
+
+    /**
+     * Deletes all makes of the active generation, leaving an empty catalog until the next sync.
+     * The previous generation is kept, so it can still be rolled back to.
+     * @async
+     * @returns {number} - The number of deleted makes.
+     * @throws {ServiceUnavailableError} - If no generation was promoted yet.
+     * @throws {ConflictError} - If another process is changing the catalog.
+     */
+    static async purgeMakes() {
+        return CatalogGenerations.withLease("purge", async () => {
+            // read fresh, not from the read cache: the lease keeps the pointer from switching meanwhile
+            const state = await CatalogGenerations.getState()
+            if (!state?.activeCollection)
+                throw new ServiceUnavailableError("The catalog isn't ready yet: its first sync hasn't completed.", {ready: false})
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const deletedCount = await db.truncateCollection(state.activeCollection)
+            db?.close()
+            await CatalogGenerations.markPurged(state.activeGeneration)
+            logger.info(deletedCount, "makes purged from", state.activeCollection)
+            return deletedCount
+        })
+    }
+
+    /**
+     * Checks the makes to import against MAKE_DOCUMENT_SCHEMA, that their dates are valid and
+     * that no makeId is repeated.
+     * @param {object[]} makes - The makes.
+     * @returns {string[]} - The problems found, at most 20.
+     */
+    static _validateDocuments(makes) {
+        const problems = validateSchema(makes, {type: "array", items: MAKE_DOCUMENT_SCHEMA})
+        if (problems.length || !makes.length) return problems
+        const seen = new Set()
+        makes.forEach((make, i) => {
+            for (const field of MAKE_DATE_FIELDS) {
+                if (make[field] && isNaN(Date.parse(make[field]))) problems.push(`$[${i}].${field} must be a date`)
+            }
+            if (seen.has(make.makeId)) problems.push(`$[${i}].makeId ${make.makeId} is repeated`)
+            seen.add(make.makeId)
+        })
+        return problems.slice(0, 20)
+    }
+
+    /**
+     * Compares the makes of two generations.
+     * @param {object[]} currentMakes - The makes of the active generation.
+     * @param {object[]} restoredMakes - The makes of the generation replacing it.
+     * @param {number} version - The version the changes belong to.
+     * @returns {{changes: object[], events: object[]}} - The snapshots of the changed makes and their webhook events.
+     */
+    static _diffGenerations(currentMakes, restoredMakes, version) {
+        const currentMap = arrayToMap(currentMakes.filter(make => !make.deletedAt), "makeId")
+        const restoredMap = arrayToMap(restoredMakes.filter(make => !make.deletedAt), "makeId")
+        const changes = []
+        const events = []
+        for (const make of mapToArray(currentMap)) {
+            if (restoredMap[make.makeId]) continue
+            changes.push({...make, deleted: true})
+            events.push(createEvent("make.removed", version, {makeId: make.makeId, makeName: make.makeName}))
+        }
+        for (const make of mapToArray(restoredMap)) {
+            const currentMake = currentMap[make.makeId]
+            const data = {makeId: make.makeId, makeName: make.makeName}
+            const {added, removed} = diffVehicleTypes(currentMake?.vehicleTypes, make.vehicleTypes)
+            const isRenamed = currentMake && currentMake.makeName !== make.makeName
+            const isTypesChanged = currentMake && (added.length > 0 || removed.length > 0)
+            if (!currentMake)
+                events.push(createEvent("make.added", version,
+                    {...data, restored: currentMakes.some(({makeId}) => makeId === make.makeId)}))
+            if (isRenamed)
+                events.push(createEvent("make.renamed", version, {...data, previousName: currentMake.makeName}))
+            if (isTypesChanged)
+                events.push(createEvent("make.vehicleTypesChanged", version,
+                    {...data, added, removed, vehicleTypes: make.vehicleTypes}))
+            if (!currentMake || isRenamed || isTypesChanged) changes.push(make)
+        }
+        return {changes, events}
+    }
+
+    /**
+     * Adopts the makes saved before the catalog generations, migrates the active generation's
+     * makes saved with string IDs and creates the indexes used by the makes queries.
+     * @async
+     */
+    static async ensureIndexes() {
+        await CatalogGenerations.ensureIndexes()
+        const state = await CatalogGenerations.getState()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        if (state?.activeCollection) {
+            await this._migrateMakes(db, state.activeCollection)
+            await this._createIndexes(db, state.activeCollection)
+        }
+        db?.close()
+        await VersionHistory.ensureIndexes()
+    }
+
+    /**
+     * Migrates the makes saved by older versions: with string IDs or without search fields.
+     * @async
+     * @param {MongoDBFacade} db - The connected database.
+     * @param {string} collection - The makes collection.
+     */
+    static async _migrateMakes(db, collection) {
+        // makes saved by older versions have string IDs (the xml parser doesn't convert them)
+        const migrated = await db.updateMany(collection, {makeId: {$type: "string"}}, [{
+            $set: {
+                makeId: {$toInt: "$makeId"},
+                vehicleTypes: {
+                    $map: {
+                        input: {$ifNull: ["$vehicleTypes", []]},
+                        in: {typeId: {$toInt: "$$this.typeId"}, typeName: "$$this.typeName"},
+                    }
+                },
+            }
+        }])
+        if (migrated) {
+            logger.info(migrated, "makes migrated to numeric IDs.")
+            await CatalogGenerations.markChanged()
+        }
+        // makes saved by older versions have no search fields
+        const unsearchable = await db.find(collection, {searchName: {$exists: false}},
+            {projection: {_id: 0, makeId: 1, makeName: 1}})
+        if (unsearchable.length) {
+            await db.bulkWrite(collection, unsearchable.map(make => ({
+                updateOne: {filter: {makeId: make.makeId}, update: {$set: this._searchFields(make.makeName)}}
+            })))
+            logger.info(unsearchable.length, "makes made searchable.")
+            await CatalogGenerations.markChanged()
+        }
+    }
+
+    /**
+     * Creates the indexes used by the makes queries. A generation is a new collection, so they
+     * are created for each one.
      * @async
+     * @param {MongoDBFacade} db - The connected database.
+     * @param {string} collection - The makes collection.
      */
-    static async testTheMakesDataTransform() {
-        // simple test to make sure all makes are saved
-        const remoteMakesResponse = await this._readMakesFromAPI()
-        const makesInDB = await this.getAllMakes()
-        if (remoteMakesResponse?.Response?.Count != makesInDB.length)
-            logger.error(remoteMakesResponse?.Response?.Count !== makesInDB.length,
-                `Test Failed, DB Count: ${makesInDB.length} vs Remote Count: ${remoteMakesResponse?.Response?.Count}`)
-        else
-            logger.info("Data transform test passed successfully.")
+    static async _createIndexes(db, collection) {
+        await db.createIndexes(collection, [
+            {key: {makeId: 1}, unique: true},
+            {key: {makeName: 1, makeId: 1}},
+            {key: {"vehicleTypes.typeId": 1}},
+            {key: {searchName: 1, makeId: 1}},
+            {key: {searchTokens: 1}},
+        ])
     }
-}
\ No newline at end of file
+}
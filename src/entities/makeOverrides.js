@@ -0,0 +1,233 @@
+import MongoDBFacade from "../db/mongo.js";
+import {createLogger} from "../utils/logger.js";
+import {BadRequestError} from "../utils/errors.js";
+import {readCache} from "../utils/cache.js";
+import CatalogGenerations from "./catalogGenerations.js";
+
+const logger = createLogger("overrides")
+
+export const OVERRIDES_COLLECTION_NAME = "make_overrides"
+const OVERRIDE_PROJECTION = {_id: 0}
+const MAX_ALIASES = 50
+
+/**
+ * Keeps our own corrections of the upstream makes: a display name, aliases, hidden makes and
+ * vehicle types added or removed. The overrides live in their own collection, so the sync
+ * never overwrites them, and are merged into the makes at read time by `mergeStages`.
+ * @class
+ */
+export default class MakeOverrides {
+
+    /**
+     * Retrieves all overrides, cached until they or the makes change.
+     * @async
+     * @returns {object[]} - The overrides, sorted by makeId.
+     */
+    static async getOverrides() {
+        return readCache.get("makeOverrides", async () => {
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const overrides = await db.find(OVERRIDES_COLLECTION_NAME, {},
+                {sort: {makeId: 1}, projection: OVERRIDE_PROJECTION})
+            db?.close()
+            return overrides
+        })
+    }
+
+    /**
+     * Retrieves the override of a make.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {object|null} - The override or null if the make has none.
+     */
+    static async getOverride(makeId) {
+        return (await this.getOverrides()).find(override => override.makeId === makeId) ?? null
+    }
+
+    /**
+     * Creates or replaces the override of a make. The fields not given are cleared.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make, which must have been synced.
+     * @param {object} fields - The override fields.
+     * @param {string|null} [fields.displayName=null] - The name shown instead of the upstream one.
+     * @param {string[]} [fields.aliases=[]] - Other names the make is found by.
+     * @param {boolean} [fields.hidden=false] - Whether the make is left out of every response.
+     * @param {VehicleType[]} [fields.addVehicleTypes=[]] - The vehicle types added to the upstream ones.
+     * @param {number[]} [fields.removeVehicleTypeIds=[]] - The IDs of the upstream vehicle types removed.
+     * @param {string} [fields.note=""] - Why the make is overridden.
+     * @param {object} [options={}] - The write options.
+     * @param {string|null} [options.updatedBy=null] - Who changed the override, e.g. the name of the API key.
+     * @returns {object|null} - The override, or null if the make doesn't exist.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static async setOverride(makeId, fields = {}, {updatedBy = null} = {}) {
+        const override = this._validateFields(fields)
+        const now = new Date()
+        const collection = await CatalogGenerations.getActiveCollection()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const make = await db.findOne(collection, {makeId}, {projection: {_id: 0, makeId: 1}})
+        const isSaved = make && await db.bulkWrite(OVERRIDES_COLLECTION_NAME, [{
+            updateOne: {
+                filter: {makeId},
+                update: {$set: {...override, updatedAt: now, updatedBy}, $setOnInsert: {createdAt: now}},
+                upsert: true,
+            }
+        }])
+        db?.close()
+        if (!make) return null
+        if (!isSaved) throw new Error(`Couldn't save the override of make id ${makeId}.`)
+        await CatalogGenerations.markChanged()
+        logger.info("Override of make id", makeId, "saved by", updatedBy ?? "an anonymous client")
+        return this.getOverride(makeId)
+    }
+
+    /**
+     * Deletes the override of a make, which shows the upstream data again.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {boolean} - True if the override was deleted, false if the make had none.
+     */
+    static async deleteOverride(makeId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const isDeleted = await db.deleteOne(OVERRIDES_COLLECTION_NAME, {makeId})
+        db?.close()
+        if (isDeleted) await CatalogGenerations.markChanged()
+        return isDeleted
+    }
+
+    /**
+     * The IDs of the makes with an override of their name or an added vehicle type, which may
+     * match a filter on the merged fields without matching it upstream.
+     * @param {object[]} overrides - The overrides.
+     * @returns {{renamed: number[], retyped: number[]}} - The IDs of the makes with a display name, and with added vehicle types.
+     */
+    static overriddenMakeIds(overrides) {
+        const visible = overrides.filter(override => !override.hidden)
+        return {
+            renamed: visible.filter(override => override.displayName).map(override => override.makeId),
+            retyped: visible.filter(override => override.addVehicleTypes?.length).map(override => override.makeId),
+        }
+    }
+
+    /**
+     * The IDs of the hidden makes, to leave out of the queries.
+     * @param {object[]} overrides - The overrides.
+     * @returns {number[]} - The IDs of the hidden makes.
+     */
+    static hiddenMakeIds(overrides) {
+        return overrides.filter(override => override.hidden).map(override => override.makeId)
+    }
+
+    /**
+     * Builds the aggregation stages merging the overrides into the makes, looked up by makeId
+     * (see `ensureIndexes`), and leaving out the hidden makes. The merged makes get the `aliases`,
+     * each vehicle type its `source` ("upstream" or "override") and `sources` tells where the
+     * `makeName`, `aliases` and `vehicleTypes` come from. A make with a display name keeps its
+     * upstream name in `upstreamMakeName`.
+     * @returns {object[]} - The aggregation stages, to run after matching the makes.
+     */
+    static mergeStages() {
+        const fromOverride = (condition) => ({$cond: [condition, "override", "upstream"]})
+        const upstreamTypes = {$ifNull: ["$vehicleTypes", []]}
+        return [
+            {$lookup: {from: OVERRIDES_COLLECTION_NAME, localField: "makeId", foreignField: "makeId", as: "_override"}},
+            {$addFields: {_override: {$arrayElemAt: ["$_override", 0]}}},
+            {$match: {"_override.hidden": {$ne: true}}},
+            {
+                $addFields: {
+                    makeName: {$ifNull: ["$_override.displayName", "$makeName"]},
+                    upstreamMakeName: {$cond: [{$ifNull: ["$_override.displayName", false]}, "$makeName", "$$REMOVE"]},
+                    aliases: {$ifNull: ["$_override.aliases", []]},
+                    vehicleTypes: {
+                        $concatArrays: [
+                            {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: upstreamTypes,
+                                            as: "type",
+                                            cond: {$not: [{$in: ["$$type.typeId", {$ifNull: ["$_override.removeVehicleTypeIds", []]}]}]},
+                                        }
+                                    },
+                                    as: "type",
+                                    in: {typeId: "$$type.typeId", typeName: "$$type.typeName", source: "upstream"},
+                                }
+                            },
+                            {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: {$ifNull: ["$_override.addVehicleTypes", []]},
+                                            as: "type",
+                                            // a type already found upstream stays an upstream one
+                                            cond: {$not: [{$in: ["$$type.typeId", {$ifNull: ["$vehicleTypes.typeId", []]}]}]},
+                                        }
+                                    },
+                                    as: "type",
+                                    in: {typeId: "$$type.typeId", typeName: "$$type.typeName", source: "override"},
+                                }
+                            },
+                        ]
+                    },
+                    sources: {
+                        makeName: fromOverride({$ifNull: ["$_override.displayName", false]}),
+                        aliases: fromOverride({$gt: [{$size: {$ifNull: ["$_override.aliases", []]}}, 0]}),
+                        vehicleTypes: fromOverride({
+                            $gt: [{
+                                $add: [
+                                    {$size: {$ifNull: ["$_override.addVehicleTypes", []]}},
+                                    {$size: {$ifNull: ["$_override.removeVehicleTypeIds", []]}},
+                                ]
+                            }, 0]
+                        }),
+                    },
+                }
+            },
+            {$project: {_override: 0}},
+        ]
+    }
+
+    /**
+     * Validates the fields of an override.
+     * @param {object} fields - The fields.
+     * @returns {object} - The override fields, with the defaults of the fields not given.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static _validateFields({displayName = null, aliases = [], hidden = false, addVehicleTypes = [], removeVehicleTypeIds = [], note = ""}) {
+        if (displayName !== null && (typeof displayName !== "string" || !displayName.trim()))
+            throw new BadRequestError("The displayName must be null or a non-empty string.")
+        if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES
+            || !aliases.every(alias => typeof alias === "string" && alias.trim()))
+            throw new BadRequestError(`The aliases must be an array of at most ${MAX_ALIASES} non-empty strings.`)
+        if (typeof hidden !== "boolean") throw new BadRequestError("The hidden must be a boolean.")
+        if (!Array.isArray(addVehicleTypes) || !addVehicleTypes.every(type =>
+            Number.isInteger(type?.typeId) && typeof type.typeName === "string" && type.typeName.trim()))
+            throw new BadRequestError("The addVehicleTypes must be an array of {typeId, typeName} with an integer typeId.")
+        if (!Array.isArray(removeVehicleTypeIds) || !removeVehicleTypeIds.every(Number.isInteger))
+            throw new BadRequestError("The removeVehicleTypeIds must be an array of integers.")
+        if (typeof note !== "string") throw new BadRequestError("The note must be a string.")
+        return {
+            displayName: displayName?.trim() ?? null,
+            aliases: [...new Set(aliases.map(alias => alias.trim()))],
+            hidden,
+            addVehicleTypes: addVehicleTypes.map(({typeId, typeName}) => ({typeId, typeName: typeName.trim()})),
+            removeVehicleTypeIds: [...new Set(removeVehicleTypeIds)],
+            note,
+        }
+    }
+
+    /**
+     * Creates the indexes used by the overrides.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(OVERRIDES_COLLECTION_NAME, [
+            {key: {makeId: 1}, unique: true},
+        ])
+        db?.close()
+    }
+}
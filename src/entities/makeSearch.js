@@ -0,0 +1,206 @@
+import MongoDBFacade from "../db/mongo.js";
+import MakeDataLoader from "./makeDataLoader.js";
+import MakeOverrides from "./makeOverrides.js";
+import CatalogGenerations from "./catalogGenerations.js";
+import {escapeRegExp} from "../utils/helpers.js";
+import {readCache} from "../utils/cache.js";
+import {BadRequestError} from "../utils/errors.js";
+import {editDistance, highlightMatch, normalizeName, normalizeWithOffsets} from "../utils/search.js";
+
+/**
+ * The maximum length of a search query, in the REST API and GraphQL alike.
+ * @type {number}
+ */
+export const SEARCH_MAX_QUERY_LENGTH = 100
+
+/**
+ * The maximum edit distance of a fuzzy match, growing with the length of the query.
+ * @param {string} query - The normalized query.
+ * @returns {number} - The maximum number of typos.
+ */
+function maxTypos(query) {
+    return query.length <= 4 ? 1 : query.length <= 8 ? 2 : 3
+}
+
+/**
+ * Searches the makes by name, tolerating the differences in casing, punctuation, legal form
+ * suffixes and typos between the user input and the vPIC names.
+ *
+ * The names are normalized when the makes are saved (`searchName`, `searchTokens`). Exact and
+ * prefix matches are found through the indexes of those fields, best first: the exact names,
+ * then the names starting with the query and then those with a later word starting with it,
+ * each in `searchName` order, until there are enough. The fuzzy (edit distance) matches are only
+ * looked for when they are not enough, over the cached list of the names.
+ * The display names and aliases of the overrides are searched too, a make with a display name
+ * by it instead of its upstream name, which isn't shown; the hidden makes are never searched.
+ * @class
+ */
+export default class MakeSearch {
+
+    /**
+     * Searches the makes whose names match a query, best matches first.
+     * Exact matches score 1, matches of the start of the name 0.8 to 0.95, matches of the
+     * start of a later word 0.6 to 0.75 and fuzzy matches up to 0.5.
+     * @async
+     * @param {string} query - The user input.
+     * @param {object} [options={}] - The search options.
+     * @param {number} [options.limit=10] - The maximum number of results.
+     * @returns {{make: VehicleMake, score: number, matchType: string, highlight: string, match: object, matchedAlias: string|null}[]}
+     * - The matching makes with their score, match type ("exact", "prefix" or "fuzzy") and highlighted name.
+     * When the best match is an alias rather than the shown name, it's the `matchedAlias`.
+     * @throws {BadRequestError} - If the query is empty or longer than SEARCH_MAX_QUERY_LENGTH.
+     */
+    static async search(query, {limit = 10} = {}) {
+        if (!query.trim()) throw new BadRequestError("The search query must not be empty.")
+        if (query.length > SEARCH_MAX_QUERY_LENGTH)
+            throw new BadRequestError(`The search query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters long.`)
+        const normalized = normalizeName(query)
+        if (!normalized) return []
+        return readCache.get(JSON.stringify(["searchMakes", normalized, limit]), async () => {
+            const overrides = await MakeOverrides.getOverrides()
+            const hidden = new Set(MakeOverrides.hiddenMakeIds(overrides))
+            // only the displayed name and the aliases of a renamed make are scored
+            const skipped = new Set([...hidden, ...MakeOverrides.overriddenMakeIds(overrides).renamed])
+            const collection = await CatalogGenerations.getActiveCollection()
+            const firstToken = normalized.split(" ")[0]
+            // very short queries match thousands of makes, so the matches are read best first
+            const matches = []
+            const db = new MongoDBFacade()
+            await db?.connect()
+            for (const query of [
+                {searchName: normalized},
+                {searchName: {$regex: `^${escapeRegExp(normalized)}`}},
+                {searchTokens: {$regex: `^${escapeRegExp(firstToken)}`}},
+            ]) {
+                if (matches.length >= limit) break
+                const makes = await db.find(collection, {
+                    deletedAt: null,
+                    makeId: {$nin: [...skipped, ...matches.map(match => match.makeId)]},
+                    ...query,
+                }, {
+                    sort: {searchName: 1, makeId: 1},
+                    limit: limit - matches.length,
+                    projection: {_id: 0, makeId: 1, makeName: 1, searchName: 1},
+                })
+                matches.push(...makes.map(make => this._scorePrefix(make, normalized)).filter(Boolean))
+            }
+            db?.close()
+
+            // the best match of each make, whichever of its names matched
+            const best = new Map()
+            const keepBest = (result) => {
+                if (result && !(best.get(result.makeId)?.score >= result.score)) best.set(result.makeId, result)
+            }
+            matches.forEach(keepBest)
+            this._overrideNames(overrides)
+                .forEach(name => keepBest(this._scorePrefix(name, normalized) ?? this._scoreFuzzy(name, normalized)))
+
+            if (best.size < limit) {
+                const fuzzy = (await this._getSearchNames())
+                    .filter(make => make.searchName && !best.has(make.makeId) && !skipped.has(make.makeId))
+                    .map(make => this._scoreFuzzy(make, normalized))
+                    .filter(Boolean)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, limit - best.size)
+                fuzzy.forEach(keepBest)
+            }
+
+            const makes = await MakeDataLoader.findMakesByIds([...best.keys()])
+            const makesById = new Map(makes.map(make => [make.makeId, make]))
+            const results = [...best.values()]
+                .filter(result => makesById.has(result.makeId))
+                .map(({makeId, matchedName, ...result}) => {
+                    const make = makesById.get(makeId)
+                    return {make, ...result, matchedAlias: matchedName === make.makeName ? null : matchedName}
+                })
+
+            return results
+                .sort((a, b) => b.score - a.score
+                    || a.make.makeName.length - b.make.makeName.length
+                    || a.make.makeName.localeCompare(b.make.makeName))
+                .slice(0, limit)
+                .map(result => ({...result, score: Math.round(result.score * 1000) / 1000}))
+        })
+    }
+
+    /**
+     * Scores an exact or prefix match of a make name.
+     * @param {{makeId: number, makeName: string, searchName: string}} make - The make name.
+     * @param {string} normalized - The normalized query.
+     * @returns {object|null} - The search result without the make, or null if the query only matches inside a word.
+     */
+    static _scorePrefix({makeId, makeName, searchName}, normalized) {
+        const {offsets} = normalizeWithOffsets(makeName)
+        const lengthRatio = normalized.length / searchName.length
+        let result
+        if (searchName === normalized) {
+            result = {score: 1, matchType: "exact", start: 0}
+        } else if (searchName.startsWith(normalized)) {
+            result = {score: 0.8 + 0.15 * lengthRatio, matchType: "prefix", start: 0}
+        } else {
+            // e.g. "benz" in "mercedes benz"
+            const start = searchName.indexOf(" " + normalized) + 1
+            if (start === 0) return null
+            result = {score: 0.6 + 0.15 * lengthRatio, matchType: "prefix", start}
+        }
+        const {start, ...scored} = result
+        return {makeId, matchedName: makeName, ...scored, ...highlightMatch(makeName, offsets, start, start + normalized.length)}
+    }
+
+    /**
+     * Scores a fuzzy match, comparing the query with the whole name and with its start.
+     * @param {{makeId: number, makeName: string, searchName: string}} make - The make name.
+     * @param {string} normalized - The normalized query.
+     * @returns {object|null} - The search result without the make, or null if the name doesn't match.
+     */
+    static _scoreFuzzy({makeId, makeName, searchName}, normalized) {
+        const max = maxTypos(normalized)
+        const whole = editDistance(normalized, searchName, max)
+        // the start of the name is compared for the autocomplete, e.g. "mercedez" with "mercedes benz",
+        // and ranked a bit lower than a match of the whole name
+        const prefixLength = Math.min(normalized.length, searchName.length)
+        const startDistance = editDistance(normalized, searchName.slice(0, prefixLength), max)
+        const distance = Math.min(whole, startDistance + (prefixLength < searchName.length ? 0.5 : 0))
+        if (distance > max) return null
+        const matchedLength = whole <= distance ? searchName.length : prefixLength
+        const {offsets} = normalizeWithOffsets(makeName)
+        return {
+            makeId,
+            matchedName: makeName,
+            score: 0.5 * (1 - distance / Math.max(normalized.length, matchedLength)),
+            matchType: "fuzzy",
+            ...highlightMatch(makeName, offsets, 0, matchedLength),
+        }
+    }
+
+    /**
+     * Lists the display names and aliases of the overrides, to search them like the upstream names.
+     * @param {object[]} overrides - The overrides.
+     * @returns {{makeId: number, makeName: string, searchName: string}[]} - The names.
+     */
+    static _overrideNames(overrides) {
+        return overrides
+            .filter(override => !override.hidden)
+            .flatMap(({makeId, displayName, aliases}) => [displayName, ...aliases]
+                .filter(Boolean)
+                .map(makeName => ({makeId, makeName, searchName: normalizeName(makeName)})))
+            .filter(name => name.searchName)
+    }
+
+    /**
+     * Retrieves the names of all makes, cached until the next sync.
+     * @async
+     * @returns {{makeId: number, makeName: string, searchName: string}[]} - The names.
+     */
+    static async _getSearchNames() {
+        return readCache.get("searchNames", async () => {
+            const collection = await CatalogGenerations.getActiveCollection()
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const names = await db.find(collection, {deletedAt: null},
+                {projection: {_id: 0, makeId: 1, makeName: 1, searchName: 1}})
+            db?.close()
+            return names
+        })
+    }
+}
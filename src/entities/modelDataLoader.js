@@ -0,0 +1,185 @@
+import {VehicleModel} from "../models/vehicleMake.js";
+import {runWithRetryRounds, shuffle} from "../utils/helpers.js";
+import {createLogger, runWithLogContext} from "../utils/logger.js";
+import MongoDBFacade from "../db/mongo.js";
+import {config} from "../utils/config.js";
+import {readCache} from "../utils/cache.js";
+
+const logger = createLogger("sync")
+
+const DB_COLLECTION_NAME = config.mongo.modelsCollection
+const MODEL_PROJECTION = {_id: 0, modelId: 1, modelName: 1, makeId: 1, modelYears: 1}
+
+/**
+ * Provides methods to load, save and find the vehicle models of the makes. The models are
+ * loaded by the sync, after the vehicle types, with the same data source and retry queue,
+ * and kept the same way as the makes: models missing upstream are soft-deleted.
+ * The results of the find methods are kept in the read cache.
+ * @class
+ */
+export default class ModelDataLoader {
+
+    /**
+     * Loads and saves the models of the makes, all of them and those of each of the
+     * `sync.modelYears`. The makes which failed are retried after the others, up to
+     * `sync.retryRounds` times.
+     * @async
+     * @param {VehicleMake[]} allMakes - An array of vehicle makes.
+     * @param {number} version - The version of the running sync.
+     * @param {object} options - The load options.
+     * @param {MakeDataSource} options.dataSource - The source the models are loaded from.
+     * @param {SyncRun} [options.run] - Receives the progress of the sync, and cancels it when aborted.
+     * @returns {{failedMakeIds: number[], changeCount: number}} - The IDs of the makes whose models couldn't
+     * be loaded, and the number of models changed.
+     */
+    static async loadAndSaveModels(allMakes = [], version, {dataSource, run}) {
+        const {concurrentRequests, retryRounds, retryRoundDelaySeconds, testRequests, modelYears} = config.sync
+        const shuffledMakes = shuffle([...allMakes])
+        const queue = testRequests === -1 ? shuffledMakes : shuffledMakes.slice(0, testRequests)
+        run?.startPhase("models", queue.length)
+        logger.info(`Reading and saving the models of ${queue.length} makes` +
+            (modelYears.length ? ` for ${modelYears.length} model years...` : "..."))
+        const startedAt = Date.now()
+        const logSaved = logger.progress("Models of %d of %d makes saved.", {total: queue.length})
+        let changeCount = 0
+
+        const failedMakes = await runWithRetryRounds(queue, make => runWithLogContext({makeId: make.makeId}, async () => {
+            const makeStartedAt = Date.now()
+            const models = await this._readModels(dataSource, make.makeId, modelYears)
+            const changed = await this._saveModels(make.makeId, models, version)
+            changeCount += changed
+            run?.makeProcessed(make.makeId)
+            logSaved({modelCount: models.length, changeCount: changed, durationMs: Date.now() - makeStartedAt},
+                models.length, "models for make id", make.makeId, "saved,", changed, "changed.")
+        }), {
+            concurrency: concurrentRequests,
+            retryRounds,
+            retryDelayMs: retryRoundDelaySeconds * 1000,
+            signal: run?.signal,
+            onError: (make, e) => {
+                logger.warn({makeId: make.makeId}, `Couldn't read or save the models of make id ${make.makeId}:`, e)
+                run?.makeFailed(make.makeId)
+            },
+            onRetry: (failed, round) =>
+                logger.info({failedCount: failed.length, round}, `Retrying the models of ${failed.length} failed makes (round ${round} of ${retryRounds})...`),
+        })
+        const failedMakeIds = failedMakes.map(make => make.makeId)
+        if (failedMakes.length > 0)
+            logger.error({failedMakeIds}, `Giving up on the models of ${failedMakes.length} makes:`, failedMakeIds.join(", "))
+        logger.info({makeCount: queue.length, failedCount: failedMakes.length, durationMs: Date.now() - startedAt},
+            "Models of", queue.length - failedMakes.length, "makes read and saved.")
+        return {failedMakeIds, changeCount}
+    }
+
+    /**
+     * Reads all models of a make and the models of each model year, and merges them.
+     * @async
+     * @param {MakeDataSource} dataSource - The source the models are loaded from.
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {number[]} modelYears - The model years to read the models of.
+     * @returns {VehicleModel[]} - The models of the make, with the model years they were found in.
+     */
+    static async _readModels(dataSource, makeId, modelYears) {
+        const modelsById = new Map()
+        const addModels = (models, year) => {
+            for (const {modelId, modelName} of models ?? []) {
+                if (!modelsById.has(modelId)) modelsById.set(modelId, new VehicleModel(modelId, modelName, makeId))
+                if (year !== undefined) modelsById.get(modelId).modelYears.push(year)
+            }
+        }
+        addModels(await dataSource.getModels(makeId))
+        // one year at a time, the requests of the other makes already use the concurrency
+        for (const year of modelYears) addModels(await dataSource.getModels(makeId, {year}), year)
+        return [...modelsById.values()]
+    }
+
+    /**
+     * Saves the models of a make. New models get `firstSeenAt`, every model gets `lastSeenAt` and
+     * `updatedAt` is set when a model is renamed, its model years change or it comes back. The
+     * models of the make missing from the list are soft-deleted by setting `deletedAt`.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {VehicleModel[]} models - The models of the make.
+     * @param {number} version - The version of the running sync.
+     * @returns {number} - The number of models changed.
+     * @throws {Error} - If the models couldn't be written.
+     */
+    static async _saveModels(makeId, models, version) {
+        const now = new Date()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const dbModels = await db.find(DB_COLLECTION_NAME, {makeId})
+        const dbModelsById = new Map(dbModels.map(model => [model.modelId, model]))
+        const modelIds = new Set(models.map(model => model.modelId))
+        const operations = []
+        let changed = 0
+
+        for (const model of dbModels) {
+            if (modelIds.has(model.modelId) || model.deletedAt) continue
+            changed++
+            operations.push({
+                updateOne: {
+                    filter: {makeId, modelId: model.modelId},
+                    update: {$set: {deletedAt: now, updatedAt: now}},
+                }
+            })
+        }
+        for (const model of models) {
+            const dbModel = dbModelsById.get(model.modelId)
+            const isChanged = !dbModel || dbModel.deletedAt || dbModel.modelName !== model.modelName
+                || String(dbModel.modelYears) !== String(model.modelYears)
+            if (isChanged) changed++
+            const update = {
+                $set: {
+                    modelName: model.modelName,
+                    modelYears: model.modelYears,
+                    lastSeenAt: now,
+                    lastSeenVersion: version,
+                    deletedAt: null,
+                    ...(isChanged ? {updatedAt: now} : {}),
+                },
+                $setOnInsert: {firstSeenAt: now, firstSeenVersion: version},
+            }
+            operations.push({updateOne: {filter: {makeId, modelId: model.modelId}, update, upsert: true}})
+        }
+
+        const isSaved = await db.bulkWrite(DB_COLLECTION_NAME, operations)
+        db?.close()
+        if (!isSaved) throw new Error(`Couldn't save the models of make id ${makeId}.`)
+        return changed
+    }
+
+    /**
+     * Retrieves the models of a make, sorted by name.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {object} [options={}] - The filter options.
+     * @param {number} [options.year] - Only the models of this model year.
+     * @returns {VehicleModel[]} - The models, an empty array if the make has none.
+     */
+    static async findModels(makeId, {year} = {}) {
+        return readCache.get(JSON.stringify(["findModels", makeId, year ?? null]), async () => {
+            const db = new MongoDBFacade()
+            await db?.connect()
+            const models = await db.find(DB_COLLECTION_NAME,
+                {makeId, deletedAt: null, ...(year !== undefined && year !== null ? {modelYears: year} : {})},
+                {sort: {modelName: 1, modelId: 1}, projection: MODEL_PROJECTION})
+            db?.close()
+            return models
+        })
+    }
+
+    /**
+     * Creates the indexes used by the models queries.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(DB_COLLECTION_NAME, [
+            {key: {makeId: 1, modelId: 1}, unique: true},
+            {key: {makeId: 1, modelYears: 1, modelName: 1}},
+        ])
+        db?.close()
+    }
+}
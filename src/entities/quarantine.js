@@ -0,0 +1,150 @@
+import {createHash, randomUUID} from "crypto";
+import MongoDBFacade from "../db/mongo.js";
+import {createLogger} from "../utils/logger.js";
+import {InvalidPayloadError} from "../utils/errors.js";
+import {upstreamPayloadsQuarantinedTotal} from "../utils/metrics.js";
+import {config} from "../utils/config.js";
+
+const logger = createLogger("quarantine")
+
+export const QUARANTINE_COLLECTION_NAME = "quarantined_payloads"
+export const QUARANTINE_REASONS = ["invalidPayload", "massRemoval"]
+const MAX_PAYLOAD_LENGTH = 4 * 1024 * 1024 // well below the 16 MB limit of a document
+const ENTRY_LIST_PROJECTION = {_id: 0, payload: 0}
+
+/**
+ * Keeps the vPIC responses the sync rejected, for inspection: those which don't match their
+ * schema (see `checkPayload`) and those which would remove too many makes. A rejected payload
+ * is never applied, the same payload rejected again only counts one more occurrence, and the
+ * entries expire `sync.quarantineRetentionDays` after they were last seen.
+ * @class
+ */
+export default class Quarantine {
+
+    /**
+     * Runs an upstream read and quarantines its payload if it's rejected.
+     * @async
+     * @param {Function} read - An async function reading from the data source.
+     * @param {number} [version] - The version of the running sync.
+     * @returns {*} - The result of the read.
+     * @throws {InvalidPayloadError} - If the payload is rejected, after quarantining it.
+     */
+    static async guard(read, version) {
+        try {
+            return await read()
+        } catch (e) {
+            if (e instanceof InvalidPayloadError) await this.add(e, version)
+            throw e
+        }
+    }
+
+    /**
+     * Quarantines a rejected payload and raises an alert, through the error log and the
+     * `vpic_payloads_quarantined_total` metric. Never throws, the rejection itself matters more.
+     * @async
+     * @param {InvalidPayloadError} error - The rejection, with the payload.
+     * @param {number} [version] - The version of the running sync.
+     * @returns {string|null} - The ID of the quarantine entry, or null if it couldn't be saved.
+     */
+    static async add(error, version = null) {
+        upstreamPayloadsQuarantinedTotal.inc({endpoint: error.endpoint, reason: error.reason})
+        logger.error({requestPath: error.requestPath, reason: error.reason, alert: true}, `ALERT: vPIC response to ${error.requestPath} quarantined (${error.reason}):`, error.problems.join("; "))
+        const serialized = typeof error.payload === "string" ? error.payload : JSON.stringify(error.payload) ?? ""
+        const payloadHash = createHash("sha256").update(serialized).digest("hex")
+        const now = new Date()
+        try {
+            const db = new MongoDBFacade()
+            await db?.connect()
+            await db.bulkWrite(QUARANTINE_COLLECTION_NAME, [{
+                updateOne: {
+                    filter: {requestPath: error.requestPath, payloadHash},
+                    update: {
+                        $setOnInsert: {
+                            quarantineId: randomUUID(),
+                            endpoint: error.endpoint,
+                            reason: error.reason,
+                            problems: error.problems,
+                            payload: serialized.slice(0, MAX_PAYLOAD_LENGTH),
+                            payloadLength: serialized.length,
+                            truncated: serialized.length > MAX_PAYLOAD_LENGTH,
+                            firstSeenAt: now,
+                        },
+                        $set: {lastSeenAt: now, version},
+                        $inc: {occurrences: 1},
+                    },
+                    upsert: true,
+                }
+            }])
+            const entry = await db.findOne(QUARANTINE_COLLECTION_NAME, {requestPath: error.requestPath, payloadHash},
+                {projection: {_id: 0, quarantineId: 1}})
+            db?.close()
+            return entry?.quarantineId ?? null
+        } catch (e) {
+            logger.error("Couldn't quarantine the vPIC response to", error.requestPath, e)
+            return null
+        }
+    }
+
+    /**
+     * Retrieves the quarantine entries without their payloads, the last seen first.
+     * @async
+     * @param {object} [options={}] - The filter options.
+     * @param {string} [options.reason] - Only the entries rejected for this reason, one of QUARANTINE_REASONS.
+     * @param {string} [options.endpoint] - Only the entries of this vPIC endpoint, e.g. "getallmakes".
+     * @param {number} [options.limit=100] - The maximum number of entries.
+     * @returns {object[]} - The entries.
+     */
+    static async getEntries({reason, endpoint, limit = 100} = {}) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const entries = await db.find(QUARANTINE_COLLECTION_NAME, {
+            ...(reason ? {reason} : {}),
+            ...(endpoint ? {endpoint} : {}),
+        }, {sort: {lastSeenAt: -1}, limit, projection: ENTRY_LIST_PROJECTION})
+        db?.close()
+        return entries
+    }
+
+    /**
+     * Retrieves a quarantine entry with its payload.
+     * @async
+     * @param {string} quarantineId - The ID of the entry.
+     * @returns {object|null} - The entry, or null if it doesn't exist.
+     */
+    static async getEntry(quarantineId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const entry = await db.findOne(QUARANTINE_COLLECTION_NAME, {quarantineId}, {projection: {_id: 0}})
+        db?.close()
+        return entry
+    }
+
+    /**
+     * Deletes a quarantine entry, once it's been dealt with.
+     * @async
+     * @param {string} quarantineId - The ID of the entry.
+     * @returns {boolean} - True if the entry was deleted, false if it doesn't exist.
+     */
+    static async deleteEntry(quarantineId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const isDeleted = await db.deleteOne(QUARANTINE_COLLECTION_NAME, {quarantineId})
+        db?.close()
+        return isDeleted
+    }
+
+    /**
+     * Creates the indexes used by the quarantine, including the one expiring the old entries.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(QUARANTINE_COLLECTION_NAME, [
+            {key: {quarantineId: 1}, unique: true},
+            {key: {requestPath: 1, payloadHash: 1}, unique: true},
+            {key: {lastSeenAt: 1}, expireAfterSeconds: config.sync.quarantineRetentionDays * 24 * 3600},
+        ])
+        db?.close()
+    }
+}
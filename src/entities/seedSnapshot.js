@@ -0,0 +1,105 @@
+import {readFile, writeFile} from "fs/promises";
+import {promisify} from "util";
+import {gunzip, gzip} from "zlib";
+import {basename} from "path";
+import MakeDataLoader from "./makeDataLoader.js";
+import CatalogGenerations from "./catalogGenerations.js";
+import {createLogger} from "../utils/logger.js";
+import {config} from "../utils/config.js";
+
+const logger = createLogger("catalog")
+
+// bumped when the layout of the snapshot files changes
+const SNAPSHOT_FORMAT = 1
+const gunzipAsync = promisify(gunzip)
+const gzipAsync = promisify(gzip)
+
+/**
+ * Reads and writes the seed snapshots: versioned NDJSON files of the makes with their vehicle
+ * types, gzipped if their name ends with ".gz". The first line is the header,
+ * `{"snapshot": {"format": 1, "version": "2026-10-19", "createdAt": "...", "makeCount": 11000}}`,
+ * followed by a `{makeId, makeName, vehicleTypes}` make per line.
+ *
+ * A snapshot seeds an empty database (see `bootstrap`), so a new environment serves a catalog
+ * right away, without the network. The seed is a catalog generation of type "seed", which the
+ * next sync builds on and replaces like any other generation.
+ * @class
+ */
+export default class SeedSnapshot {
+
+    /**
+     * Loads the snapshot into the catalog if the catalog is empty, i.e. has no active generation.
+     * @async
+     * @param {object} [options={}] - The bootstrap options.
+     * @param {string} [options.file=config.seed.file] - The snapshot file.
+     * @returns {{version: number, makeCount: number, snapshotVersion: string}|null} - The version of the seed,
+     * the number of makes and the version of the snapshot, or null if there is no file or the catalog isn't empty.
+     * @throws {Error} - If the snapshot can't be read or is invalid, in which case the catalog stays empty.
+     */
+    static async bootstrap({file = config.seed.file} = {}) {
+        if (!file) return null
+        if ((await CatalogGenerations.getState())?.activeCollection) {
+            logger.info("The catalog isn't empty, the seed snapshot", file, "isn't loaded.")
+            return null
+        }
+        const {header, makes} = await this.read(file)
+        const snapshotVersion = String(header.version)
+        logger.info("Loading the seed snapshot", file, "version", snapshotVersion, "with", makes.length, "makes...")
+        const {version, makeCount} = await MakeDataLoader.importMakes(makes,
+            {source: `${basename(file)}@${snapshotVersion}`, type: "seed"})
+        logger.info("Seed snapshot", snapshotVersion, "loaded as version", version)
+        return {version, makeCount, snapshotVersion}
+    }
+
+    /**
+     * Reads a snapshot file.
+     * @async
+     * @param {string} file - The snapshot file.
+     * @returns {{header: object, makes: object[]}} - The header and the makes.
+     * @throws {Error} - If the file can't be read, has no header, another format or fewer makes than its header says.
+     */
+    static async read(file) {
+        const content = await readFile(file)
+        const text = String(file.endsWith(".gz") ? await gunzipAsync(content) : content)
+        let header = null
+        const makes = []
+        for (const [i, line] of text.split("\n").entries()) {
+            if (!line.trim()) continue
+            let value
+            try {
+                value = JSON.parse(line)
+            } catch (e) {
+                throw new Error(`Line ${i + 1} of the seed snapshot ${file} isn't valid JSON: ${e.message}`)
+            }
+            if (header) makes.push(value)
+            else header = value?.snapshot ?? null
+            if (!header) throw new Error(`The seed snapshot ${file} doesn't start with its header.`)
+        }
+        if (!header) throw new Error(`The seed snapshot ${file} is empty.`)
+        if (header.format !== SNAPSHOT_FORMAT)
+            throw new Error(`The seed snapshot ${file} has the format ${header.format}, only ${SNAPSHOT_FORMAT} is supported.`)
+        if (header.makeCount !== undefined && header.makeCount !== makes.length)
+            throw new Error(`The seed snapshot ${file} has ${makes.length} makes but its header says ${header.makeCount}.`)
+        return {header, makes}
+    }
+
+    /**
+     * Writes the current catalog (the upstream makes which aren't deleted, without the overrides)
+     * into a snapshot file.
+     * @async
+     * @param {string} file - The snapshot file, gzipped if it ends with ".gz".
+     * @param {object} [options={}] - The snapshot options.
+     * @param {string} [options.version] - The version of the snapshot, the current date (YYYY-MM-DD) if omitted.
+     * @returns {object} - The header of the snapshot.
+     */
+    static async write(file, {version = new Date().toISOString().slice(0, 10)} = {}) {
+        const makes = (await MakeDataLoader.getAllMakes({withOverrides: false}))
+            .sort((a, b) => a.makeId - b.makeId)
+            .map(({makeId, makeName, vehicleTypes = []}) => ({makeId, makeName, vehicleTypes}))
+        const header = {format: SNAPSHOT_FORMAT, version, createdAt: new Date(), makeCount: makes.length}
+        const text = [{snapshot: header}, ...makes].map(line => JSON.stringify(line) + "\n").join("")
+        await writeFile(file, file.endsWith(".gz") ? await gzipAsync(text) : text)
+        logger.info("Seed snapshot", version, "written to", file, "with", makes.length, "makes.")
+        return header
+    }
+}
@@ -0,0 +1,243 @@
+import {AsyncTask, SimpleIntervalJob, ToadScheduler} from "toad-scheduler";
+import MakeDataLoader from "./makeDataLoader.js";
+import SyncRun from "./syncRun.js";
+import DataAudit from "./dataAudit.js";
+import {createLogger, runWithLogContext} from "../utils/logger.js";
+import {BadRequestError, ConflictError} from "../utils/errors.js";
+import {config} from "../utils/config.js";
+
+const logger = createLogger("sync")
+
+const TASK_ID = "LOAD_MAKES_TASK"
+
+/**
+ * Schedules the sync runs and lets them be started, monitored and cancelled on demand.
+ * Scheduled and on-demand runs share one task, and the task is never executed while it's
+ * already running (the `preventOverrun` semantics), so runs never overlap.
+ * @class
+ */
+export default class SyncManager {
+    static scheduler = null
+    static task = null
+    static intervalHours = config.sync.intervalHours
+    static paused = false
+    static scheduleStartedAt = null
+    static currentRun = null
+    static currentExecution = null
+    static lastRun = null
+    static pendingRequest = null
+
+    /**
+     * Creates the scheduler and the sync task and starts the periodic job.
+     * @param {object} [options={}] - The schedule options.
+     * @param {number} [options.intervalHours=config.sync.intervalHours] - The hours between two runs.
+     * @param {boolean} [options.runImmediately=config.sync.runOnStart] - Whether to run the task right away to populate the database.
+     * @returns {ToadScheduler} - The scheduler instance.
+     */
+    static start({intervalHours = config.sync.intervalHours, runImmediately = config.sync.runOnStart} = {}) {
+        this.scheduler = new ToadScheduler()
+        this.task = new AsyncTask(
+            TASK_ID, () => this._run(),
+            (err) => {
+                logger.error("Error on scheduled function:", err)
+            }
+        )
+        this.intervalHours = intervalHours
+        this._scheduleJob()
+        // runs the task immediately after running the service
+        // to populate the database
+        if (runImmediately) this.task.execute()
+        return this.scheduler
+    }
+
+    /**
+     * Stops the scheduler and cancels the running sync, if any, waiting for it to stop: the run
+     * stops after the requests in flight finish, then releases the lease of the catalog.
+     * @async
+     * @param {object} [options={}] - The stop options.
+     * @param {number} [options.timeoutMs=0] - How long to wait for the run to stop, 0 not to wait.
+     * @returns {boolean} - True if no run is left running, false if the wait timed out.
+     */
+    static async stop({timeoutMs = 0} = {}) {
+        this.currentRun?.cancel()
+        this.scheduler?.stop()
+        const execution = this.currentExecution
+        if (!execution) return true
+        let timer
+        const timeout = new Promise(resolve => timer = setTimeout(resolve, timeoutMs, false))
+        // the failure of the run is reported by the run
+        const isStopped = await Promise.race([execution.then(() => true, () => true), timeout])
+        clearTimeout(timer)
+        return isStopped
+    }
+
+    /**
+     * Starts a sync run on demand.
+     * @param {object} [options={}] - The run options.
+     * @param {number[]} [options.makeIds] - The makes to sync, all makes if omitted.
+     * @param {boolean} [options.allowMassRemoval=false] - Whether the sync may remove more than `sync.maxRemovedPercent`
+     * of the makes, e.g. when vPIC really dropped many of them.
+     * @returns {SyncRun} - The started run.
+     * @throws {ConflictError} - If a sync is already running.
+     */
+    static trigger({makeIds, allowMassRemoval = false} = {}) {
+        if (this.task?.isExecuting)
+            throw new ConflictError("A sync is already running.", {runId: this.currentRun?.runId})
+        this.pendingRequest = {makeIds, trigger: "manual", allowMassRemoval}
+        this.task.execute()
+        return this.currentRun
+    }
+
+    /**
+     * Runs a sync right away and waits for it to finish, without the scheduler, e.g. from the CLI.
+     * @async
+     * @param {object} [options={}] - The run options, see `trigger`.
+     * @param {string} [options.trigger="cli"] - What started the run.
+     * @returns {SyncRun} - The finished run, whose status tells whether it completed.
+     */
+    static async runOnce({makeIds, allowMassRemoval = false, trigger = "cli"} = {}) {
+        this.pendingRequest = {makeIds, trigger, allowMassRemoval}
+        try {
+            await this._run()
+        } catch (e) {
+            // reported by the run
+        }
+        return this.lastRun
+    }
+
+    /**
+     * Cancels the running sync. The run stops after the requests in flight finish.
+     * @returns {SyncRun} - The cancelled run.
+     * @throws {ConflictError} - If no sync is running.
+     */
+    static cancel() {
+        if (!this.currentRun) throw new ConflictError("No sync is running.")
+        this.currentRun.cancel()
+        logger.info({runId: this.currentRun.runId}, "Sync run", this.currentRun.runId, "cancellation requested.")
+        return this.currentRun
+    }
+
+    /**
+     * Rolls the catalog back to its previous generation, see `MakeDataLoader.rollback`.
+     * @async
+     * @returns {object} - The version of the rollback and the new state of the generations.
+     * @throws {ConflictError} - If a sync is running, or there is no previous generation.
+     */
+    static async rollback() {
+        // the running sync would promote a generation built on the one rolled back from
+        if (this.task?.isExecuting)
+            throw new ConflictError("A sync is running, the catalog can't be rolled back.", {runId: this.currentRun?.runId})
+        return MakeDataLoader.rollback()
+    }
+
+    /**
+     * Changes the interval of the periodic job, or pauses and resumes it.
+     * @param {object} changes - The schedule changes.
+     * @param {number} [changes.intervalHours] - The new hours between two runs.
+     * @param {boolean} [changes.paused] - Whether the periodic job is paused.
+     * @returns {object} - The new schedule.
+     * @throws {BadRequestError} - If the interval is invalid.
+     */
+    static updateSchedule({intervalHours, paused} = {}) {
+        if (intervalHours !== undefined) {
+            // setInterval can't handle more than 24.8 days
+            if (typeof intervalHours !== "number" || !(intervalHours > 0) || intervalHours > 24 * 24)
+                throw new BadRequestError("The intervalHours must be a number between 0 and 576.")
+            this.intervalHours = intervalHours
+        }
+        if (paused !== undefined) {
+            if (typeof paused !== "boolean") throw new BadRequestError("The paused must be a boolean.")
+            this.paused = paused
+        }
+        this._scheduleJob()
+        logger.info("Sync schedule changed:", this.getSchedule())
+        return this.getSchedule()
+    }
+
+    /**
+     * Retrieves the schedule of the periodic job.
+     * @returns {{intervalHours: number, paused: boolean, nextRunAt: Date|null}} - The schedule.
+     */
+    static getSchedule() {
+        let nextRunAt = null
+        if (!this.paused && this.scheduleStartedAt) {
+            const intervalMs = this.intervalHours * 3600 * 1000
+            const elapsedIntervals = Math.floor((Date.now() - this.scheduleStartedAt) / intervalMs) + 1
+            nextRunAt = new Date(this.scheduleStartedAt + elapsedIntervals * intervalMs)
+        }
+        return {intervalHours: this.intervalHours, paused: this.paused, nextRunAt}
+    }
+
+    /**
+     * Retrieves the state of the sync: the running and the last finished run and the schedule.
+     * @returns {object} - The sync status.
+     */
+    static getStatus() {
+        return {
+            running: Boolean(this.currentRun),
+            currentRun: this.currentRun,
+            lastRun: this.lastRun,
+            schedule: this.getSchedule(),
+        }
+    }
+
+    /**
+     * (Re)creates the periodic job with the current interval, unless the schedule is paused.
+     */
+    static _scheduleJob() {
+        if (this.scheduler.existsById(TASK_ID)) this.scheduler.removeById(TASK_ID)
+        this.scheduleStartedAt = null
+        if (this.paused) return
+        const job = new SimpleIntervalJob({hours: this.intervalHours}, this.task, {
+            id: TASK_ID,
+            preventOverrun: true, // run after the finish of the previous task
+        })
+        this.scheduler.addSimpleIntervalJob(job)
+        this.scheduleStartedAt = Date.now()
+    }
+
+    /**
+     * Runs a sync, either requested through `trigger` or by the schedule. Every line it logs
+     * carries the ID of the run.
+     * @async
+     */
+    static async _run() {
+        // read synchronously, before the first await, so a scheduled run can't take it
+        const run = new SyncRun(this.pendingRequest ?? {})
+        this.pendingRequest = null
+        this.currentRun = run
+        // not the request which triggered the run, or changed the schedule the run was started by
+        const execution = runWithLogContext({requestId: undefined, runId: run.runId}, () => this._execute(run))
+        this.currentExecution = execution
+        try {
+            await execution
+        } finally {
+            if (this.currentExecution === execution) this.currentExecution = null
+        }
+    }
+
+    /**
+     * Executes a sync run, then audits the data if it completed.
+     * @async
+     * @param {SyncRun} run - The run.
+     */
+    static async _execute(run) {
+        logger.info({type: run.type, trigger: run.trigger, makeIds: run.makeIds}, "Sync run", run.runId, "started.")
+        try {
+            await MakeDataLoader.startLoading({makeIds: run.makeIds, run, allowMassRemoval: run.allowMassRemoval})
+            run.finish("completed")
+        } catch (e) {
+            run.finish(run.signal.aborted ? "cancelled" : "failed", e)
+            if (!run.signal.aborted) throw e
+        } finally {
+            const level = run.status === "failed" ? "error" : "info"
+            logger[level]({status: run.status, durationMs: run.finishedAt - run.startedAt, error: run.error ?? undefined},
+                "Sync run", run.runId, run.status + ".")
+            this.lastRun = run
+            this.currentRun = null
+        }
+
+        if (run.status === "completed")
+            await DataAudit.run({trigger: "sync", version: run.version})
+    }
+}
@@ -0,0 +1,170 @@
+import {randomUUID} from "crypto";
+import {
+    syncLastSuccessTimestamp,
+    syncMakesFailedTotal,
+    syncMakesProcessedTotal,
+    syncRunDuration,
+    syncRunsTotal
+} from "../utils/metrics.js";
+
+/**
+ * Tracks the state and progress of a single sync run and allows cancelling it.
+ * The data loaders report the progress to it while the run is going on, in phases
+ * ("vehicleTypes", then "models"), each going through the makes once.
+ * @class
+ */
+export default class SyncRun {
+    /**
+     * Creates a new SyncRun instance.
+     * @constructor
+     * @param {object} [options={}] - The run options.
+     * @param {number[]} [options.makeIds] - The makes to sync, all makes if omitted.
+     * @param {string} [options.trigger="schedule"] - What started the run ("schedule", "manual" or "cli").
+     * @param {boolean} [options.allowMassRemoval=false] - Whether the run may remove more than `sync.maxRemovedPercent` of the makes.
+     */
+    constructor({makeIds, trigger = "schedule", allowMassRemoval = false} = {}) {
+        this.runId = randomUUID();
+        this.type = makeIds?.length ? "partial" : "full";
+        this.makeIds = makeIds?.length ? makeIds : undefined;
+        this.trigger = trigger;
+        this.allowMassRemoval = allowMassRemoval;
+        this.status = "running";
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.version = null;
+        this.error = null;
+        this.phase = null;
+        this.phases = {};
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * The signal aborted when the run is cancelled.
+     * @type {AbortSignal}
+     */
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    /**
+     * Sets the version the run records its changes in.
+     * @param {number} version - The version number.
+     */
+    setVersion(version) {
+        this.version = version;
+    }
+
+    /**
+     * Starts a phase of the run, which the following progress reports belong to.
+     * @param {string} phase - The name of the phase, e.g. "vehicleTypes".
+     * @param {number} total - The number of makes processed in the phase.
+     */
+    startPhase(phase, total) {
+        this.phase = phase;
+        this.phases[phase] = {total, processed: 0, failedMakeIds: new Set(), startedAt: new Date(), error: null};
+    }
+
+    /**
+     * Reports a make whose data was saved in the current phase.
+     * @param {number} makeId - The ID of the vehicle make.
+     */
+    makeProcessed(makeId) {
+        const progress = this.phases[this.phase];
+        progress.failedMakeIds.delete(makeId);
+        progress.processed++;
+        syncMakesProcessedTotal.inc({phase: this.phase});
+    }
+
+    /**
+     * Reports a make which failed in the current phase; it stays failed unless a retry succeeds.
+     * @param {number} makeId - The ID of the vehicle make.
+     */
+    makeFailed(makeId) {
+        this.phases[this.phase].failedMakeIds.add(makeId);
+        syncMakesFailedTotal.inc({phase: this.phase});
+    }
+
+    /**
+     * Reports that the current phase stopped before going through its makes, without failing the run.
+     * @param {Error} error - The error which stopped the phase.
+     */
+    phaseFailed(error) {
+        this.phases[this.phase].error = String(error?.message ?? error);
+    }
+
+    /**
+     * Requests the cancellation of the run.
+     */
+    cancel() {
+        this.abortController.abort(new Error("The sync run was cancelled."));
+    }
+
+    /**
+     * Marks the run as finished and records it in the sync metrics.
+     * @param {string} status - "completed", "failed" or "cancelled".
+     * @param {Error} [error] - The error which ended the run.
+     */
+    finish(status, error) {
+        this.status = status;
+        this.finishedAt = new Date();
+        this.error = error ? String(error?.message ?? error) : null;
+        const labels = {type: this.type, status};
+        syncRunsTotal.inc(labels);
+        syncRunDuration.set(labels, (this.finishedAt - this.startedAt) / 1000);
+        if (status === "completed") syncLastSuccessTimestamp.set(this.finishedAt.getTime() / 1000);
+    }
+
+    /**
+     * Estimates the remaining time of the current phase from its processing rate so far.
+     * @returns {number|null} - The estimated remaining seconds, or null if it can't be estimated yet.
+     */
+    estimateRemainingSeconds() {
+        const progress = this.phases[this.phase];
+        if (this.status !== "running" || !progress?.processed) return null;
+        const remaining = progress.total - progress.processed - progress.failedMakeIds.size;
+        const elapsedSeconds = (Date.now() - progress.startedAt.getTime()) / 1000;
+        return Math.round(remaining * elapsedSeconds / progress.processed);
+    }
+
+    /**
+     * Summarizes the progress of a phase.
+     * @param {string} phase - The name of the phase.
+     * @returns {{total: number, processed: number, failed: number, remaining: number, error: string|null}}
+     * - The makes by state, and the error which stopped the phase.
+     */
+    _phaseProgress(phase) {
+        const {total = 0, processed = 0, failedMakeIds = new Set(), error = null} = this.phases[phase] ?? {};
+        return {
+            total,
+            processed,
+            failed: failedMakeIds.size,
+            remaining: Math.max(0, total - processed - failedMakeIds.size),
+            error,
+        };
+    }
+
+    /**
+     * Converts the run into its JSON representation.
+     * @returns {object} - The state and progress of the run.
+     */
+    toJSON() {
+        return {
+            runId: this.runId,
+            type: this.type,
+            makeIds: this.makeIds,
+            trigger: this.trigger,
+            allowMassRemoval: this.allowMassRemoval,
+            status: this.status,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            version: this.version,
+            error: this.error,
+            phase: this.phase,
+            progress: {
+                ...this._phaseProgress(this.phase),
+                etaSeconds: this.estimateRemainingSeconds(),
+            },
+            phases: Object.fromEntries(Object.keys(this.phases).map(phase => [phase, this._phaseProgress(phase)])),
+        };
+    }
+}
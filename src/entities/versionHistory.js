@@ -0,0 +1,295 @@
+import MongoDBFacade from "../db/mongo.js";
+import {arrayToMap} from "../utils/helpers.js";
+import {createLogger} from "../utils/logger.js";
+import {DEFAULT_PAGE_SIZE} from "../utils/pagination.js";
+
+const logger = createLogger("sync")
+
+const VERSIONS_COLLECTION_NAME = "sync_versions"
+const HISTORY_COLLECTION_NAME = "vehicle_make_history"
+const UPSTREAM_MAKES_COLLECTION_NAME = "upstream_makes"
+const UPSTREAM_MAKES_FILTER = {name: "makes"}
+
+/**
+ * Compares two lists of vehicle types.
+ * @param {VehicleType[]} [before=[]] - The old vehicle types.
+ * @param {VehicleType[]} [after=[]] - The new vehicle types.
+ * @returns {{added: VehicleType[], removed: VehicleType[]}} - The types only in `after` and only in `before`.
+ */
+export function diffVehicleTypes(before = [], after = []) {
+    const key = type => `${type?.typeId}:${type?.typeName}`
+    const beforeKeys = new Set(before.map(key))
+    const afterKeys = new Set(after.map(key))
+    return {
+        added: after.filter(type => !beforeKeys.has(key(type))),
+        removed: before.filter(type => !afterKeys.has(key(type))),
+    }
+}
+
+/**
+ * Records a version for every sync run and the history of each make across the versions,
+ * so the catalog can be queried as of a version or a date and compared between versions.
+ *
+ * Every change of a make (added, renamed, vehicle types changed, removed) is stored as a
+ * snapshot of the make in the history collection, keyed by makeId and version.
+ * @class
+ */
+export default class VersionHistory {
+
+    /**
+     * Starts a new version for a sync run.
+     * @async
+     * @param {object} [info={}] - Extra information to store on the version, e.g. the type of the run.
+     * @returns {number} - The new version number.
+     */
+    static async startVersion(info = {}) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const latest = await db.findOne(VERSIONS_COLLECTION_NAME, {}, {sort: {version: -1}})
+        const version = (latest?.version ?? 0) + 1
+        await db.insertOne(VERSIONS_COLLECTION_NAME, {...info, version, startedAt: new Date(), finishedAt: null, status: "running"})
+        db?.close()
+        logger.info("Sync version", version, "started.")
+        return version
+    }
+
+    /**
+     * Marks a version as finished.
+     * @async
+     * @param {number} version - The version number.
+     * @param {string} status - The final status of the run ("completed", "failed" or "cancelled").
+     * @param {object} [info={}] - Extra information to store on the version, e.g. the make count.
+     */
+    static async finishVersion(version, status, info = {}) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.updateOne(VERSIONS_COLLECTION_NAME, {version}, {$set: {...info, status, finishedAt: new Date()}})
+        db?.close()
+        logger.info("Sync version", version, status + ".")
+    }
+
+    /**
+     * Retrieves all versions, newest first.
+     * @async
+     * @returns {object[]} - The versions.
+     */
+    static async getVersions() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const versions = await db.find(VERSIONS_COLLECTION_NAME, {}, {sort: {version: -1}, projection: {_id: 0}})
+        db?.close()
+        return versions
+    }
+
+    /**
+     * Retrieves a single version.
+     * @async
+     * @param {number} version - The version number.
+     * @returns {object|null} - The version or null if it doesn't exist.
+     */
+    static async getVersion(version) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const result = await db.findOne(VERSIONS_COLLECTION_NAME, {version}, {projection: {_id: 0}})
+        db?.close()
+        return result
+    }
+
+    /**
+     * Retrieves the newest completed version of a type of sync run.
+     * @async
+     * @param {string} [type="full"] - The type of the run, e.g. "full", "partial" or "rollback".
+     * @returns {object|null} - The version or null if no run of the type has completed.
+     */
+    static async getLastCompletedVersion(type = "full") {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const result = await db.findOne(VERSIONS_COLLECTION_NAME, {type, status: "completed"},
+            {sort: {version: -1}, projection: {_id: 0}})
+        db?.close()
+        return result
+    }
+
+    /**
+     * Stores the makes list read from upstream by a sync, replacing the previous one, e.g. for
+     * the audit to compare the catalog with it without downloading it again.
+     * @async
+     * @param {number} version - The version of the sync.
+     * @param {VehicleMake[]} makes - The upstream makes, as read.
+     */
+    static async saveUpstreamMakes(version, makes) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.insertOrUpdate(UPSTREAM_MAKES_COLLECTION_NAME, UPSTREAM_MAKES_FILTER, {
+            ...UPSTREAM_MAKES_FILTER,
+            version,
+            readAt: new Date(),
+            makes: makes.map(({makeId, makeName}) => ({makeId, makeName})),
+        })
+        db?.close()
+    }
+
+    /**
+     * Retrieves the makes list read from upstream by the last sync, see `saveUpstreamMakes`.
+     * @async
+     * @returns {{version: number, readAt: Date, makes: {makeId: number, makeName: string}[]}|null}
+     * - The list with the version of the sync which read it, or null if no sync read one yet.
+     */
+    static async getUpstreamMakes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const upstream = await db.findOne(UPSTREAM_MAKES_COLLECTION_NAME, UPSTREAM_MAKES_FILTER, {projection: {_id: 0, name: 0}})
+        db?.close()
+        return upstream
+    }
+
+    /**
+     * Stores the snapshots of changed makes for a version. A later snapshot of the same make
+     * in the same version replaces the earlier one.
+     * @async
+     * @param {number} version - The version the changes belong to.
+     * @param {object[]} snapshots - The changed makes ({makeId, makeName, vehicleTypes, deleted}).
+     */
+    static async recordChanges(version, snapshots) {
+        if (!snapshots?.length) return
+        const recordedAt = new Date()
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.bulkWrite(HISTORY_COLLECTION_NAME, snapshots.map(({makeId, makeName, vehicleTypes = [], deleted = false}) => ({
+            updateOne: {
+                filter: {makeId, version},
+                update: {$set: {makeName, vehicleTypes, deleted, recordedAt}},
+                upsert: true,
+            }
+        })))
+        db?.close()
+    }
+
+    /**
+     * Retrieves all recorded snapshots of a make, oldest first.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {object[]} - The snapshots of the make.
+     */
+    static async getMakeHistory(makeId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const history = await db.find(HISTORY_COLLECTION_NAME, {makeId}, {sort: {version: 1}, projection: {_id: 0}})
+        db?.close()
+        return history
+    }
+
+    /**
+     * Finds a page of the makes as they were at a version or a date.
+     * @async
+     * @param {object} asOf - The point in time, either `{version}` or `{date}`.
+     * @param {object} [page={}] - The pagination options.
+     * @param {number} [page.limit=DEFAULT_PAGE_SIZE] - The maximum number of makes to return.
+     * @param {number} [page.afterMakeId] - The makeId of the last make of the previous page.
+     * @returns {{makes: object[], totalCount: number, hasNextPage: boolean}} - A page of makes sorted by makeId.
+     */
+    static async getMakesAsOf(asOf, {limit = DEFAULT_PAGE_SIZE, afterMakeId} = {}) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const [result] = await db.aggregate(HISTORY_COLLECTION_NAME, [
+            ...this._latestSnapshotsPipeline(this._asOfQuery(asOf)),
+            {$facet: {
+                makes: [
+                    ...(afterMakeId !== undefined ? [{$match: {makeId: {$gt: afterMakeId}}}] : []),
+                    {$limit: limit + 1},
+                ],
+                total: [{$count: "count"}],
+            }},
+        ])
+        db?.close()
+        const makes = result?.makes ?? []
+        return {
+            makes: makes.slice(0, limit),
+            totalCount: result?.total?.[0]?.count ?? 0,
+            hasNextPage: makes.length > limit,
+        }
+    }
+
+    /**
+     * Compares the catalog of two versions.
+     * @async
+     * @param {number} fromVersion - The older version.
+     * @param {number} toVersion - The newer version.
+     * @returns {{added: object[], removed: object[], renamed: object[], vehicleTypesChanged: object[]}}
+     * - The makes added, removed and renamed and the makes whose vehicle types changed between the versions.
+     */
+    static async diff(fromVersion, toVersion) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        // only the makes with a snapshot between the two versions can differ
+        const changedMakeIds = await db.distinct(HISTORY_COLLECTION_NAME, "makeId",
+            {version: {$gt: fromVersion, $lte: toVersion}})
+        const stateAt = version => db.aggregate(HISTORY_COLLECTION_NAME, this._latestSnapshotsPipeline(
+            {makeId: {$in: changedMakeIds}, version: {$lte: version}}))
+        const [before, after] = await Promise.all([stateAt(fromVersion), stateAt(toVersion)])
+        db?.close()
+
+        const beforeMap = arrayToMap(before, "makeId")
+        const afterMap = arrayToMap(after, "makeId")
+        const diff = {added: [], removed: [], renamed: [], vehicleTypesChanged: []}
+        for (const make of before) {
+            if (!afterMap[make.makeId]) diff.removed.push({makeId: make.makeId, makeName: make.makeName})
+        }
+        for (const make of after) {
+            const oldMake = beforeMap[make.makeId]
+            if (!oldMake) {
+                diff.added.push({makeId: make.makeId, makeName: make.makeName})
+                continue
+            }
+            if (oldMake.makeName !== make.makeName)
+                diff.renamed.push({makeId: make.makeId, oldName: oldMake.makeName, newName: make.makeName})
+            const {added, removed} = diffVehicleTypes(oldMake.vehicleTypes, make.vehicleTypes)
+            if (added.length || removed.length)
+                diff.vehicleTypesChanged.push({makeId: make.makeId, makeName: make.makeName, added, removed})
+        }
+        return diff
+    }
+
+    /**
+     * Creates the indexes used by the history queries.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(VERSIONS_COLLECTION_NAME, [{key: {version: 1}, unique: true}])
+        await db.createIndexes(HISTORY_COLLECTION_NAME, [
+            {key: {makeId: 1, version: -1}, unique: true},
+            {key: {version: 1}},
+            {key: {recordedAt: 1}},
+        ])
+        db?.close()
+    }
+
+    /**
+     * Builds the history query for a point in time.
+     * @param {object} asOf - Either `{version}` or `{date}`.
+     * @returns {object} - The MongoDB query matching the snapshots recorded up to that point.
+     */
+    static _asOfQuery({version, date}) {
+        return version !== undefined ? {version: {$lte: version}} : {recordedAt: {$lte: date}}
+    }
+
+    /**
+     * Builds the aggregation stages selecting the latest snapshot of each make matching a query
+     * and dropping the removed makes.
+     * @param {object} query - The history query.
+     * @returns {object[]} - The aggregation pipeline stages, producing makes sorted by makeId.
+     */
+    static _latestSnapshotsPipeline(query) {
+        return [
+            {$match: query},
+            {$sort: {makeId: 1, version: -1}},
+            {$group: {_id: "$makeId", snapshot: {$first: "$$ROOT"}}},
+            {$replaceRoot: {newRoot: "$snapshot"}},
+            {$match: {deleted: false}},
+            {$sort: {makeId: 1}},
+            {$project: {_id: 0, deleted: 0}},
+        ]
+    }
+}
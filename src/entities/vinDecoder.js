@@ -0,0 +1,167 @@
+import MongoDBFacade from "../db/mongo.js";
+import MakeDataLoader from "./makeDataLoader.js";
+import {createDataSource} from "../sources/index.js";
+import {runWithConcurrency} from "../utils/helpers.js";
+import {createLogger} from "../utils/logger.js";
+import {normalizeVin, validateVin} from "../utils/vin.js";
+import {BadRequestError, HttpError} from "../utils/errors.js";
+import {config} from "../utils/config.js";
+import {vinDecodingsTotal} from "../utils/metrics.js";
+
+const logger = createLogger("vin")
+
+const DB_COLLECTION_NAME = config.mongo.vinCollection
+
+/**
+ * Decodes VINs through the data source and joins the decoded make to the stored makes and
+ * vehicle types. The decodings are kept in MongoDB for `vin.cacheTtlDays`, since a VIN
+ * always decodes the same way and vPIC is slow and rate limited.
+ * @class
+ */
+export default class VinDecoder {
+
+    /**
+     * The source the VINs are decoded with.
+     * @type {MakeDataSource}
+     */
+    static dataSource = createDataSource(config.vin.source ?? config.dataSource.type)
+
+    /**
+     * Replaces the source the VINs are decoded with.
+     * @param {MakeDataSource} dataSource - The new data source.
+     */
+    static useDataSource(dataSource) {
+        this.dataSource = dataSource
+    }
+
+    /**
+     * Decodes a single VIN.
+     * @async
+     * @param {string} vin - The VIN, in any case.
+     * @returns {{vin: string, decodedAt: Date, decoded: DecodedVin, make: VehicleMake|null, vehicleType: VehicleType|null}}
+     * - The decoding, with the stored make and vehicle type, null if they are not in the catalog.
+     * @throws {BadRequestError} - If the VIN is invalid.
+     * @throws {UpstreamError} - If vPIC couldn't decode it.
+     */
+    static async decode(vin) {
+        const [result] = await this.decodeMany([vin])
+        if (result.error) throw result.error
+        return result
+    }
+
+    /**
+     * Decodes many VINs, reading the cached decodings at once and decoding the others in
+     * parallel. A VIN which is invalid or couldn't be decoded gets an error instead of
+     * failing the others.
+     * @async
+     * @param {string[]} vins - The VINs, in any case.
+     * @returns {object[]} - The result of each VIN, in the given order, see `decode`, or `{vin, error}`.
+     * @throws {BadRequestError} - If there are more than `vin.batchMaxSize` VINs.
+     */
+    static async decodeMany(vins) {
+        const {batchMaxSize} = config.vin
+        if (vins.length > batchMaxSize)
+            throw new BadRequestError(`At most ${batchMaxSize} VINs can be decoded at once, got ${vins.length}.`)
+        const normalizedVins = vins.map(normalizeVin)
+        const errors = new Map()
+        for (const vin of normalizedVins) {
+            const problem = validateVin(vin, {verifyCheckDigit: config.vin.verifyCheckDigit})
+            if (!problem) continue
+            errors.set(vin, new BadRequestError(problem, {vin}))
+            vinDecodingsTotal.inc({result: "invalid"})
+        }
+        const validVins = [...new Set(normalizedVins)].filter(vin => !errors.has(vin))
+
+        const decodings = await this._findCached(validVins)
+        vinDecodingsTotal.inc({result: "cached"}, decodings.size)
+        const uncachedVins = validVins.filter(vin => !decodings.has(vin))
+        const decodedAt = new Date()
+        await runWithConcurrency(uncachedVins, config.vin.concurrentRequests, async vin => {
+            try {
+                decodings.set(vin, {vin, decodedAt, decoded: await this.dataSource.decodeVin(vin)})
+                vinDecodingsTotal.inc({result: "decoded"})
+            } catch (e) {
+                logger.warn({vin}, `Couldn't decode the VIN ${vin}:`, e)
+                errors.set(vin, e)
+                vinDecodingsTotal.inc({result: "failed"})
+            }
+        })
+        await this._cache(uncachedVins.filter(vin => decodings.has(vin)).map(vin => decodings.get(vin)))
+
+        return Promise.all(normalizedVins.map(async vin =>
+            errors.has(vin) ? {vin, error: errors.get(vin)} : await this._joinCatalog(decodings.get(vin))))
+    }
+
+    /**
+     * Converts the error of a VIN into the JSON error of a batch result.
+     * @param {Error} error - The error.
+     * @returns {{status: number, message: string}} - The status code and message.
+     */
+    static toErrorJSON(error) {
+        return error instanceof HttpError
+            ? error.toJSON().error
+            : {status: 500, message: "Couldn't decode the VIN."}
+    }
+
+    /**
+     * Joins a decoding to the stored make, and to its vehicle type matching the decoded one by name.
+     * @async
+     * @param {{vin: string, decodedAt: Date, decoded: DecodedVin}} decoding - The decoding.
+     * @returns {object} - The decoding with the `make` and `vehicleType`, null if they are not stored.
+     */
+    static async _joinCatalog(decoding) {
+        const {makeId, vehicleTypeName} = decoding.decoded
+        const make = Number.isInteger(makeId) ? await MakeDataLoader.findMake(makeId) : null
+        // vPIC names the types in uppercase when decoding, e.g. "PASSENGER CAR" for "Passenger Car"
+        const vehicleType = make?.vehicleTypes?.find(type =>
+            type.typeName?.toLowerCase() === vehicleTypeName?.toLowerCase()) ?? null
+        return {...decoding, make: make ?? null, vehicleType}
+    }
+
+    /**
+     * Reads the cached decodings of VINs which haven't expired.
+     * @async
+     * @param {string[]} vins - The normalized VINs.
+     * @returns {Map<string, object>} - The decodings by VIN.
+     */
+    static async _findCached(vins) {
+        if (!vins.length) return new Map()
+        const {cacheTtlDays} = config.vin
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const decodings = await db.find(DB_COLLECTION_NAME, {
+            vin: {$in: vins},
+            ...(cacheTtlDays ? {decodedAt: {$gt: new Date(Date.now() - cacheTtlDays * 24 * 3600 * 1000)}} : {}),
+        }, {projection: {_id: 0}})
+        db?.close()
+        return new Map(decodings.map(decoding => [decoding.vin, decoding]))
+    }
+
+    /**
+     * Caches new decodings, replacing the expired ones.
+     * @async
+     * @param {object[]} decodings - The decodings.
+     */
+    static async _cache(decodings) {
+        if (!decodings.length) return
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.bulkWrite(DB_COLLECTION_NAME, decodings.map(decoding => ({
+            updateOne: {filter: {vin: decoding.vin}, update: {$set: decoding}, upsert: true}
+        })))
+        db?.close()
+    }
+
+    /**
+     * Creates the indexes used by the decodings cache.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(DB_COLLECTION_NAME, [
+            {key: {vin: 1}, unique: true},
+        ])
+        db?.close()
+    }
+}
@@ -0,0 +1,212 @@
+import axios from "axios";
+import {createHmac} from "crypto";
+import {AsyncTask, SimpleIntervalJob, ToadScheduler} from "toad-scheduler";
+import MongoDBFacade from "../db/mongo.js";
+import {DELIVERIES_COLLECTION_NAME, SUBSCRIPTIONS_COLLECTION_NAME} from "./webhooks.js";
+import {runWithConcurrency} from "../utils/helpers.js";
+import {createLogger} from "../utils/logger.js";
+import {config} from "../utils/config.js";
+import {webhookDeliveryAttemptsTotal} from "../utils/metrics.js";
+import {assertPublicUrl, lookupPublicAddress} from "../utils/network.js";
+
+const logger = createLogger("webhooks")
+
+const TASK_ID = "DELIVER_WEBHOOKS_TASK"
+const BATCH_SIZE = 100
+const LEASE_MARGIN_MS = 30 * 1000
+
+/**
+ * Signs the body of a delivery: the HMAC-SHA256 of `<timestamp>.<body>` with the secret of
+ * the subscription, so the receiver can check both the sender and the freshness.
+ * @param {string} secret - The secret of the subscription.
+ * @param {number} timestamp - The Unix time of the attempt, in seconds.
+ * @param {string} body - The JSON body.
+ * @returns {string} - The `X-Webhook-Signature` header value, "sha256=<hex digest>".
+ */
+export function signPayload(secret, timestamp, body) {
+    return "sha256=" + createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+/**
+ * Sends the pending webhook deliveries, every `webhooks.pollIntervalSeconds` and right away
+ * when events are published. A failed delivery is retried with exponential backoff until
+ * `webhooks.maxAttempts`. A delivery is claimed before it's sent, so several instances of
+ * the service can share the queue.
+ * @class
+ */
+export default class WebhookDispatcher {
+    static scheduler = null
+    static task = null
+    static pollAgain = false
+
+    /**
+     * Creates the scheduler and the delivery task, and sends the deliveries left pending.
+     * @returns {ToadScheduler} - The scheduler instance.
+     */
+    static start() {
+        this.scheduler = new ToadScheduler()
+        this.task = new AsyncTask(
+            TASK_ID, () => this._deliverPending(),
+            (err) => {
+                logger.error("Error on webhook deliveries:", err)
+            }
+        )
+        const job = new SimpleIntervalJob({seconds: config.webhooks.pollIntervalSeconds}, this.task, {
+            id: TASK_ID,
+            preventOverrun: true,
+        })
+        this.scheduler.addSimpleIntervalJob(job)
+        this.task.execute()
+        return this.scheduler
+    }
+
+    /**
+     * Stops the scheduler. The deliveries in flight are left to finish.
+     */
+    static stop() {
+        this.scheduler?.stop()
+        this.task = null
+    }
+
+    /**
+     * Sends the pending deliveries now, or right after the ones being sent, e.g. when new
+     * events are published. Does nothing if the dispatcher isn't started.
+     */
+    static poke() {
+        if (!this.task) return
+        if (this.task.isExecuting) this.pollAgain = true
+        else this.task.execute()
+    }
+
+    /**
+     * Sends the deliveries due, in batches, until none is left.
+     * @async
+     */
+    static async _deliverPending() {
+        let deliveries
+        do {
+            this.pollAgain = false
+            const db = new MongoDBFacade()
+            await db?.connect()
+            deliveries = await db.find(DELIVERIES_COLLECTION_NAME, {status: "pending", nextAttemptAt: {$lte: new Date()}},
+                {sort: {nextAttemptAt: 1}, limit: BATCH_SIZE, projection: {_id: 0, attempts: 0}})
+            db?.close()
+            await runWithConcurrency(deliveries, config.webhooks.concurrentDeliveries, async delivery => {
+                try {
+                    await this._deliver(delivery)
+                } catch (e) {
+                    logger.error({deliveryId: delivery.deliveryId}, `Couldn't process the webhook delivery ${delivery.deliveryId}:`, e)
+                }
+            })
+        } while (this.task && (this.pollAgain || deliveries.length === BATCH_SIZE))
+    }
+
+    /**
+     * Claims a delivery, sends it and records the attempt: delivered on a 2xx response,
+     * otherwise retried later or, after the last attempt, failed.
+     * @async
+     * @param {object} delivery - The pending delivery.
+     */
+    static async _deliver(delivery) {
+        const {deliveryId, subscriptionId} = delivery
+        const {timeoutMs, maxAttempts} = config.webhooks
+        const db = new MongoDBFacade()
+        await db?.connect()
+        // moves the next attempt past the request, so no one else sends it meanwhile
+        const isClaimed = await db.updateOne(DELIVERIES_COLLECTION_NAME,
+            {deliveryId, status: "pending", nextAttemptAt: delivery.nextAttemptAt},
+            {$set: {nextAttemptAt: new Date(Date.now() + timeoutMs + LEASE_MARGIN_MS)}})
+        if (!isClaimed) {
+            db?.close()
+            return
+        }
+        const subscription = await db.findOne(SUBSCRIPTIONS_COLLECTION_NAME, {subscriptionId})
+        if (!subscription?.active) {
+            await db.updateOne(DELIVERIES_COLLECTION_NAME, {deliveryId},
+                {$set: {status: "cancelled", error: "The subscription was deleted or deactivated."}})
+            db?.close()
+            return
+        }
+
+        const attempt = await this._send(subscription, delivery)
+        const attemptCount = delivery.attemptCount + 1
+        let update
+        if (attempt.error === null) {
+            update = {status: "delivered", deliveredAt: attempt.attemptedAt, error: null}
+            webhookDeliveryAttemptsTotal.inc({result: "delivered"})
+        } else if (attemptCount >= maxAttempts) {
+            update = {status: "failed", error: attempt.error}
+            webhookDeliveryAttemptsTotal.inc({result: "failed"})
+            logger.warn({deliveryId, subscriptionId: subscription.subscriptionId, attemptCount},
+                "Webhook delivery", deliveryId, "to", subscription.url, "failed after", attemptCount, "attempts:", attempt.error)
+        } else {
+            update = {nextAttemptAt: new Date(Date.now() + this._retryDelayMs(attemptCount)), error: attempt.error}
+            webhookDeliveryAttemptsTotal.inc({result: "retried"})
+        }
+        await db.updateOne(DELIVERIES_COLLECTION_NAME, {deliveryId},
+            {$set: {...update, attemptCount}, $push: {attempts: attempt}})
+        db?.close()
+    }
+
+    /**
+     * Posts the event of a delivery to the URL of its subscription. Unless
+     * `webhooks.allowPrivateTargets`, the host must resolve to public addresses, checked again
+     * when connecting. The response body isn't read.
+     * @async
+     * @param {object} subscription - The subscription, with its secret.
+     * @param {object} delivery - The delivery.
+     * @returns {{attemptedAt: Date, durationMs: number, statusCode: number|null, error: string|null}}
+     * - The attempt, with the error of a non-2xx response, a refused address or a failed request.
+     */
+    static async _send(subscription, {deliveryId, event}) {
+        const body = JSON.stringify(event)
+        const attemptedAt = new Date()
+        const timestamp = Math.floor(attemptedAt.getTime() / 1000)
+        const {allowPrivateTargets, timeoutMs} = config.webhooks
+        try {
+            if (!allowPrivateTargets) await assertPublicUrl(subscription.url)
+            const response = await axios.post(subscription.url, body, {
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-Webhook-Id": subscription.subscriptionId,
+                    "X-Webhook-Delivery": deliveryId,
+                    "X-Webhook-Event": event.type,
+                    "X-Webhook-Timestamp": String(timestamp),
+                    "X-Webhook-Signature": signPayload(subscription.secret, timestamp, body),
+                },
+                timeout: timeoutMs,
+                maxRedirects: 0,
+                ...(allowPrivateTargets ? {} : {lookup: lookupPublicAddress}),
+                responseType: "stream",
+                validateStatus: () => true,
+            })
+            response.data.destroy()
+            const isOk = response.status >= 200 && response.status < 300
+            return {
+                attemptedAt,
+                durationMs: Date.now() - attemptedAt.getTime(),
+                statusCode: response.status,
+                error: isOk ? null : `The endpoint responded with status ${response.status}.`,
+            }
+        } catch (e) {
+            return {
+                attemptedAt,
+                durationMs: Date.now() - attemptedAt.getTime(),
+                statusCode: null,
+                error: e?.message ?? String(e),
+            }
+        }
+    }
+
+    /**
+     * The wait before the next attempt: doubling from `webhooks.retryBaseDelaySeconds` up to
+     * `webhooks.retryMaxDelaySeconds`, half of it random so the retries of an outage spread out.
+     * @param {number} attemptCount - The number of attempts made.
+     * @returns {number} - The delay in milliseconds.
+     */
+    static _retryDelayMs(attemptCount) {
+        const {retryBaseDelaySeconds, retryMaxDelaySeconds} = config.webhooks
+        const delayMs = Math.min(retryBaseDelaySeconds * 2 ** (attemptCount - 1), retryMaxDelaySeconds) * 1000
+        return delayMs / 2 + Math.random() * delayMs / 2
+    }
+}
@@ -0,0 +1,386 @@
+import {randomBytes, randomUUID} from "crypto";
+import MongoDBFacade from "../db/mongo.js";
+import WebhookDispatcher from "./webhookDispatcher.js";
+import {createLogger} from "../utils/logger.js";
+import {BadRequestError, ConflictError} from "../utils/errors.js";
+import {assertPublicUrl} from "../utils/network.js";
+import {config} from "../utils/config.js";
+
+const logger = createLogger("webhooks")
+
+export const SUBSCRIPTIONS_COLLECTION_NAME = "webhook_subscriptions"
+export const DELIVERIES_COLLECTION_NAME = "webhook_deliveries"
+const SUBSCRIPTIONS_CACHE_MS = 30 * 1000 // the sync publishes events for every make
+const MIN_SECRET_LENGTH = 16
+// the response bodies recorded by older versions aren't returned, they may hold internal data
+const DELIVERY_PROJECTION = {_id: 0, "attempts.responseBody": 0}
+
+/**
+ * The types of the catalog change events.
+ * @type {string[]}
+ */
+export const WEBHOOK_EVENTS = ["make.added", "make.removed", "make.renamed", "make.vehicleTypesChanged"]
+
+/**
+ * The statuses of a webhook delivery.
+ * @type {string[]}
+ */
+export const DELIVERY_STATUSES = ["pending", "delivered", "failed", "cancelled"]
+
+// a pending delivery is still being sent, redelivering it would reset its attempts
+const REDELIVERABLE_STATUSES = ["delivered", "failed", "cancelled"]
+
+/**
+ * Creates a catalog change event.
+ * @param {string} type - One of WEBHOOK_EVENTS.
+ * @param {number} version - The sync version which made the change.
+ * @param {object} data - The event data, with at least the `makeId` and `makeName`.
+ * @returns {{eventId: string, type: string, occurredAt: Date, version: number, data: object}} - The event.
+ */
+export function createEvent(type, version, data) {
+    return {eventId: randomUUID(), type, occurredAt: new Date(), version, data}
+}
+
+/**
+ * Manages the webhook subscriptions and turns the catalog change events into deliveries,
+ * which WebhookDispatcher sends. A subscription receives the events of its `events` types
+ * and `makeIds`, or all of them if these are null.
+ * @class
+ */
+export default class Webhooks {
+    static subscriptionsCache = null
+
+    /**
+     * Creates a subscription. The secret signing its deliveries is generated unless given.
+     * @async
+     * @param {object} fields - The subscription fields.
+     * @param {string} fields.url - The http(s) URL the events are posted to, see `_validateUrl`.
+     * @param {string[]|null} [fields.events=null] - The event types to receive, all if null.
+     * @param {number[]|null} [fields.makeIds=null] - The makes to receive the events of, all if null.
+     * @param {string} [fields.description=""] - A description, e.g. the owner of the endpoint.
+     * @param {string} [fields.secret] - The secret of the HMAC signatures.
+     * @returns {object} - The new subscription, the only time its secret is returned.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static async createSubscription(fields = {}) {
+        const now = new Date()
+        const subscription = {
+            subscriptionId: randomUUID(),
+            events: null,
+            makeIds: null,
+            description: "",
+            ...this._validateFields(fields, {required: ["url"]}),
+            secret: fields.secret === undefined ? randomBytes(32).toString("hex") : this._validateSecret(fields.secret),
+            active: true,
+            createdAt: now,
+            updatedAt: now,
+        }
+        await this._validateUrl(subscription.url)
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.insertOne(SUBSCRIPTIONS_COLLECTION_NAME, {...subscription})
+        db?.close()
+        this.subscriptionsCache = null
+        logger.info("Webhook subscription", subscription.subscriptionId, "created for", subscription.url)
+        return subscription
+    }
+
+    /**
+     * Retrieves all subscriptions, without their secrets.
+     * @async
+     * @returns {object[]} - The subscriptions, oldest first.
+     */
+    static async getSubscriptions() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const subscriptions = await db.find(SUBSCRIPTIONS_COLLECTION_NAME, {},
+            {sort: {createdAt: 1}, projection: {_id: 0, secret: 0}})
+        db?.close()
+        return subscriptions
+    }
+
+    /**
+     * Retrieves a subscription, without its secret.
+     * @async
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @returns {object|null} - The subscription or null if it doesn't exist.
+     */
+    static async getSubscription(subscriptionId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const subscription = await db.findOne(SUBSCRIPTIONS_COLLECTION_NAME, {subscriptionId},
+            {projection: {_id: 0, secret: 0}})
+        db?.close()
+        return subscription
+    }
+
+    /**
+     * Changes a subscription. Deactivating it cancels its pending deliveries.
+     * @async
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @param {object} changes - The changed fields: url, events, makeIds, description, secret and active.
+     * @returns {object|null} - The changed subscription, or null if it doesn't exist.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static async updateSubscription(subscriptionId, changes = {}) {
+        const update = this._validateFields(changes)
+        if (update.url !== undefined) await this._validateUrl(update.url)
+        if (changes.secret !== undefined) update.secret = this._validateSecret(changes.secret)
+        if (changes.active !== undefined) {
+            if (typeof changes.active !== "boolean") throw new BadRequestError("The active must be a boolean.")
+            update.active = changes.active
+        }
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const exists = await db.findOne(SUBSCRIPTIONS_COLLECTION_NAME, {subscriptionId})
+        if (exists) {
+            await db.updateOne(SUBSCRIPTIONS_COLLECTION_NAME, {subscriptionId}, {$set: {...update, updatedAt: new Date()}})
+            if (update.active === false) await this._cancelPendingDeliveries(db, subscriptionId, "The subscription was deactivated.")
+        }
+        db?.close()
+        this.subscriptionsCache = null
+        return exists ? this.getSubscription(subscriptionId) : null
+    }
+
+    /**
+     * Deletes a subscription and cancels its pending deliveries. The delivery log is kept.
+     * @async
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @returns {boolean} - True if the subscription was deleted, false if it doesn't exist.
+     */
+    static async deleteSubscription(subscriptionId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const isDeleted = await db.deleteOne(SUBSCRIPTIONS_COLLECTION_NAME, {subscriptionId})
+        if (isDeleted) await this._cancelPendingDeliveries(db, subscriptionId, "The subscription was deleted.")
+        db?.close()
+        this.subscriptionsCache = null
+        return isDeleted
+    }
+
+    /**
+     * Retrieves the deliveries of a subscription, newest first.
+     * @async
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @param {object} [options={}] - The filter options.
+     * @param {string} [options.status] - Only the deliveries with this status, one of DELIVERY_STATUSES.
+     * @param {string} [options.eventType] - Only the deliveries of this event type.
+     * @param {number} [options.limit=100] - The maximum number of deliveries.
+     * @returns {object[]} - The deliveries with their attempts.
+     */
+    static async getDeliveries(subscriptionId, {status, eventType, limit = 100} = {}) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const deliveries = await db.find(DELIVERIES_COLLECTION_NAME, {
+            subscriptionId,
+            ...(status ? {status} : {}),
+            ...(eventType ? {"event.type": eventType} : {}),
+        }, {sort: {createdAt: -1}, limit, projection: DELIVERY_PROJECTION})
+        db?.close()
+        return deliveries
+    }
+
+    /**
+     * Retrieves a single delivery of a subscription.
+     * @async
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @param {string} deliveryId - The ID of the delivery.
+     * @returns {object|null} - The delivery with its attempts, or null if it doesn't exist.
+     */
+    static async getDelivery(subscriptionId, deliveryId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const delivery = await db.findOne(DELIVERIES_COLLECTION_NAME, {subscriptionId, deliveryId}, {projection: DELIVERY_PROJECTION})
+        db?.close()
+        return delivery
+    }
+
+    /**
+     * Sends a delivery again, e.g. after the endpoint was fixed, with a new set of attempts.
+     * Only a delivered, failed or cancelled delivery can be sent again.
+     * @async
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @param {string} deliveryId - The ID of the delivery.
+     * @returns {object|null} - The delivery, pending again, or null if it doesn't exist.
+     * @throws {ConflictError} - If the delivery is still pending.
+     */
+    static async redeliver(subscriptionId, deliveryId) {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        // the status is part of the filter, so a delivery being sent meanwhile isn't reset
+        const isReset = await db.updateOne(DELIVERIES_COLLECTION_NAME,
+            {subscriptionId, deliveryId, status: {$in: REDELIVERABLE_STATUSES}},
+            {$set: {status: "pending", attemptCount: 0, nextAttemptAt: new Date()}})
+        db?.close()
+        if (!isReset) {
+            const delivery = await this.getDelivery(subscriptionId, deliveryId)
+            if (!delivery) return null
+            throw new ConflictError(`The delivery is ${delivery.status}, only a delivered, failed or cancelled delivery can be sent again.`)
+        }
+        WebhookDispatcher.poke()
+        return this.getDelivery(subscriptionId, deliveryId)
+    }
+
+    /**
+     * Creates the deliveries of catalog change events for the matching subscriptions and
+     * starts sending them. Never throws, so a failure doesn't stop the sync.
+     * @async
+     * @param {object[]} events - The events, see `createEvent`.
+     * @returns {number} - The number of deliveries created.
+     */
+    static async publish(events) {
+        if (!events.length) return 0
+        try {
+            const subscriptions = await this._getActiveSubscriptions()
+            const now = new Date()
+            const deliveries = []
+            for (const subscription of subscriptions) {
+                for (const event of events) {
+                    if (subscription.events && !subscription.events.includes(event.type)) continue
+                    if (subscription.makeIds && !subscription.makeIds.includes(event.data.makeId)) continue
+                    deliveries.push({
+                        deliveryId: randomUUID(),
+                        subscriptionId: subscription.subscriptionId,
+                        event,
+                        status: "pending",
+                        attemptCount: 0,
+                        attempts: [],
+                        nextAttemptAt: now,
+                        createdAt: now,
+                    })
+                }
+            }
+            if (!deliveries.length) return 0
+            const db = new MongoDBFacade()
+            await db?.connect()
+            await db.insertMany(DELIVERIES_COLLECTION_NAME, deliveries)
+            db?.close()
+            WebhookDispatcher.poke()
+            return deliveries.length
+        } catch (e) {
+            logger.error("Couldn't publish the webhook events:", e?.message ?? e)
+            return 0
+        }
+    }
+
+    /**
+     * Retrieves the active subscriptions, cached for a short time since the sync publishes
+     * events for every make.
+     * @async
+     * @returns {object[]} - The active subscriptions.
+     */
+    static async _getActiveSubscriptions() {
+        if (this.subscriptionsCache && this.subscriptionsCache.expiresAt > Date.now())
+            return this.subscriptionsCache.subscriptions
+        const db = new MongoDBFacade()
+        await db?.connect()
+        const subscriptions = await db.find(SUBSCRIPTIONS_COLLECTION_NAME, {active: true},
+            {projection: {_id: 0, subscriptionId: 1, events: 1, makeIds: 1}})
+        db?.close()
+        this.subscriptionsCache = {subscriptions, expiresAt: Date.now() + SUBSCRIPTIONS_CACHE_MS}
+        return subscriptions
+    }
+
+    /**
+     * Cancels the pending deliveries of a subscription.
+     * @async
+     * @param {MongoDBFacade} db - A connected database.
+     * @param {string} subscriptionId - The ID of the subscription.
+     * @param {string} reason - Why the deliveries are cancelled.
+     */
+    static async _cancelPendingDeliveries(db, subscriptionId, reason) {
+        const cancelled = await db.updateMany(DELIVERIES_COLLECTION_NAME, {subscriptionId, status: "pending"},
+            {$set: {status: "cancelled", error: reason}})
+        if (cancelled) logger.info(cancelled, "pending deliveries of the webhook subscription", subscriptionId, "cancelled.")
+    }
+
+    /**
+     * Validates the fields of a new or changed subscription, other than the secret and active.
+     * @param {object} fields - The fields.
+     * @param {object} [options={}] - The validation options.
+     * @param {string[]} [options.required=[]] - The fields which must be given.
+     * @returns {object} - The given fields.
+     * @throws {BadRequestError} - If a field is invalid.
+     */
+    static _validateFields({url, events, makeIds, description}, {required = []} = {}) {
+        const fields = {}
+        for (const name of required) {
+            if ({url, events, makeIds, description}[name] === undefined) throw new BadRequestError(`The ${name} is required.`)
+        }
+        if (url !== undefined) {
+            let protocol
+            try {
+                protocol = new URL(url).protocol
+            } catch {
+                protocol = null
+            }
+            if (typeof url !== "string" || !["http:", "https:"].includes(protocol))
+                throw new BadRequestError("The url must be an http or https URL.")
+            fields.url = url
+        }
+        if (events !== undefined) {
+            if (events !== null && (!Array.isArray(events) || !events.length || !events.every(event => WEBHOOK_EVENTS.includes(event))))
+                throw new BadRequestError(`The events must be null or a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}.`)
+            fields.events = events
+        }
+        if (makeIds !== undefined) {
+            if (makeIds !== null && (!Array.isArray(makeIds) || !makeIds.length || !makeIds.every(Number.isInteger)))
+                throw new BadRequestError("The makeIds must be null or a non-empty array of integers.")
+            fields.makeIds = makeIds
+        }
+        if (description !== undefined) {
+            if (typeof description !== "string") throw new BadRequestError("The description must be a string.")
+            fields.description = description
+        }
+        return fields
+    }
+
+    /**
+     * Checks that the host of a subscription URL resolves to public addresses only, unless
+     * `webhooks.allowPrivateTargets`, so the deliveries can't reach this host or the internal
+     * network. WebhookDispatcher checks it again when it sends.
+     * @async
+     * @param {string} url - The http(s) URL, see `_validateFields`.
+     * @throws {BadRequestError} - If the host doesn't resolve or isn't public.
+     */
+    static async _validateUrl(url) {
+        if (config.webhooks.allowPrivateTargets) return
+        try {
+            await assertPublicUrl(url)
+        } catch (e) {
+            throw new BadRequestError(e?.code === "ENOTFOUND"
+                ? "The host of the url doesn't resolve."
+                : `The url must point to a public address. ${e?.message ?? e}`)
+        }
+    }
+
+    /**
+     * Validates a secret given by the client.
+     * @param {*} secret - The secret.
+     * @returns {string} - The secret.
+     * @throws {BadRequestError} - If the secret is too short.
+     */
+    static _validateSecret(secret) {
+        if (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH)
+            throw new BadRequestError(`The secret must be a string of at least ${MIN_SECRET_LENGTH} characters.`)
+        return secret
+    }
+
+    /**
+     * Creates the indexes used by the subscriptions and the delivery queries.
+     * @async
+     */
+    static async ensureIndexes() {
+        const db = new MongoDBFacade()
+        await db?.connect()
+        await db.createIndexes(SUBSCRIPTIONS_COLLECTION_NAME, [
+            {key: {subscriptionId: 1}, unique: true},
+        ])
+        await db.createIndexes(DELIVERIES_COLLECTION_NAME, [
+            {key: {deliveryId: 1}, unique: true},
+            {key: {subscriptionId: 1, createdAt: -1}},
+            {key: {status: 1, nextAttemptAt: 1}},
+        ])
+        db?.close()
+    }
+}
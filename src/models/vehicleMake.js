@@ -5,13 +5,13 @@
 export class VehicleType {
     /**
      * Creates a new instance of the VehicleType class.
-     * @param {string} typeId - The unique identifier for the vehicle type.
+     * @param {number} typeId - The unique identifier for the vehicle type.
      * @param {string} typeName - The name of the vehicle type.
      */
     constructor(typeId = "", typeName = "") {
         /**
          * The unique identifier for the vehicle type.
-         * @type {string}
+         * @type {number}
          */
         this.typeId = typeId;
 
@@ -30,14 +30,14 @@ export class VehicleType {
 export class VehicleMake {
     /**
      * Creates a new instance of the VehicleMake class.
-     * @param {string} makeId - The unique identifier for the vehicle make.
+     * @param {number} makeId - The unique identifier for the vehicle make.
      * @param {string} makeName - The name of the vehicle make.
      * @param {VehicleType[]} vehicleTypes - An array of associated vehicle types.
      */
     constructor(makeId = "", makeName = "", vehicleTypes = []) {
         /**
          * The unique identifier for the vehicle make.
-         * @type {string}
+         * @type {number}
          */
         this.makeId = makeId;
 
@@ -56,3 +56,95 @@ export class VehicleMake {
         );
     }
 }
+
+/**
+ * Represents the decoding of a VIN by vPIC (`DecodeVinValues`).
+ * @class
+ */
+export class DecodedVin {
+    /**
+     * Creates a new instance of the DecodedVin class.
+     * @param {object} [values={}] - The decoded values.
+     * @param {number|null} [values.makeId=null] - The unique identifier for the vehicle make.
+     * @param {string} [values.makeName=""] - The name of the vehicle make.
+     * @param {number|null} [values.modelId=null] - The unique identifier for the vehicle model.
+     * @param {string} [values.modelName=""] - The name of the vehicle model.
+     * @param {number|null} [values.modelYear=null] - The model year.
+     * @param {string} [values.manufacturer=""] - The name of the manufacturer.
+     * @param {string} [values.vehicleTypeName=""] - The name of the vehicle type, e.g. "PASSENGER CAR".
+     * @param {string} [values.bodyClass=""] - The body class, e.g. "Sedan/Saloon".
+     * @param {string} [values.trim=""] - The trim.
+     * @param {string} [values.series=""] - The series.
+     * @param {string} [values.errorCode="0"] - The vPIC error codes, "0" if the VIN was decoded cleanly.
+     * @param {string} [values.errorText=""] - The descriptions of the vPIC error codes.
+     * @param {Object<string, string>} [values.attributes={}] - All the non-empty values returned by vPIC.
+     */
+    constructor({
+                    makeId = null,
+                    makeName = "",
+                    modelId = null,
+                    modelName = "",
+                    modelYear = null,
+                    manufacturer = "",
+                    vehicleTypeName = "",
+                    bodyClass = "",
+                    trim = "",
+                    series = "",
+                    errorCode = "0",
+                    errorText = "",
+                    attributes = {},
+                } = {}) {
+        this.makeId = makeId;
+        this.makeName = makeName;
+        this.modelId = modelId;
+        this.modelName = modelName;
+        this.modelYear = modelYear;
+        this.manufacturer = manufacturer;
+        this.vehicleTypeName = vehicleTypeName;
+        this.bodyClass = bodyClass;
+        this.trim = trim;
+        this.series = series;
+        this.errorCode = errorCode;
+        this.errorText = errorText;
+        this.attributes = attributes;
+    }
+}
+
+/**
+ * Represents a vehicle model of a make, with the model years it's known to be made in.
+ * @class
+ */
+export class VehicleModel {
+    /**
+     * Creates a new instance of the VehicleModel class.
+     * @param {number} modelId - The unique identifier for the vehicle model.
+     * @param {string} modelName - The name of the vehicle model.
+     * @param {number} makeId - The unique identifier for the vehicle make of the model.
+     * @param {number[]} modelYears - The model years of the model, among the loaded ones.
+     */
+    constructor(modelId = "", modelName = "", makeId = "", modelYears = []) {
+        /**
+         * The unique identifier for the vehicle model.
+         * @type {number}
+         */
+        this.modelId = modelId;
+
+        /**
+         * The name of the vehicle model.
+         * @type {string}
+         */
+        this.modelName = modelName;
+
+        /**
+         * The unique identifier for the vehicle make of the model.
+         * @type {number}
+         */
+        this.makeId = makeId;
+
+        /**
+         * The model years of the model, among the loaded ones.
+         * @type {number[]}
+         */
+        this.modelYears = [...modelYears];
+    }
+}
@@ -0,0 +1,115 @@
+import express from "express";
+import SyncManager from "../entities/syncManager.js";
+import CatalogGenerations from "../entities/catalogGenerations.js";
+import {apiKeysRouter} from "./apiKeys.js";
+import {quarantineRouter} from "./quarantine.js";
+import {asyncHandler} from "../utils/http.js";
+import {BadRequestError} from "../utils/errors.js";
+
+export const adminRouter = express.Router()
+adminRouter.use(express.json())
+
+/**
+ * Serves the management of the API keys under '/api/v1/admin/api-keys'.
+ */
+adminRouter.use('/api-keys', apiKeysRouter)
+
+/**
+ * Serves the vPIC responses rejected by the sync under '/api/v1/admin/quarantine'.
+ */
+adminRouter.use('/quarantine', quarantineRouter)
+
+/**
+ * Validates the makeIds of a sync request.
+ * @param {*} makeIds - The makeIds from the request body.
+ * @returns {number[]|undefined} - The makeIds, or undefined for a full sync.
+ * @throws {BadRequestError} - If the makeIds are not an array of integers.
+ */
+function parseMakeIds(makeIds) {
+    if (makeIds === undefined || makeIds === null) return undefined
+    if (!Array.isArray(makeIds) || !makeIds.every(Number.isInteger))
+        throw new BadRequestError("The makeIds must be an array of integers.")
+    return makeIds
+}
+
+/**
+ * Handles POST requests to '/api/v1/admin/sync', starting a sync run. The body may hold
+ * `{"makeIds": [...]}` to only sync some makes, and `{"allowMassRemoval": true}` to apply a makes
+ * list removing more than `sync.maxRemovedPercent` of the makes.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the started run, or a 409 error if a sync is running.
+ */
+adminRouter.post('/sync', asyncHandler(async (req, res) => {
+    const allowMassRemoval = req.body?.allowMassRemoval ?? false
+    if (typeof allowMassRemoval !== "boolean") throw new BadRequestError("The allowMassRemoval must be a boolean.")
+    const run = SyncManager.trigger({makeIds: parseMakeIds(req.body?.makeIds), allowMassRemoval})
+    res.status(202).json(run)
+}))
+
+/**
+ * Handles GET requests to '/api/v1/admin/sync', returning the progress of the running sync,
+ * the last finished run and the schedule.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the sync status.
+ */
+adminRouter.get('/sync', asyncHandler(async (req, res) => {
+    res.json(SyncManager.getStatus())
+}))
+
+/**
+ * Handles POST requests to '/api/v1/admin/sync/cancel', cancelling the running sync.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the cancelled run, or a 409 error if no sync is running.
+ */
+adminRouter.post('/sync/cancel', asyncHandler(async (req, res) => {
+    res.status(202).json(SyncManager.cancel())
+}))
+
+/**
+ * Handles GET requests to '/api/v1/admin/schedule', returning the schedule of the periodic sync.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the schedule.
+ */
+adminRouter.get('/schedule', asyncHandler(async (req, res) => {
+    res.json(SyncManager.getSchedule())
+}))
+
+/**
+ * Handles PATCH requests to '/api/v1/admin/schedule', changing the interval (`intervalHours`)
+ * of the periodic sync or pausing and resuming it (`paused`).
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the new schedule.
+ */
+adminRouter.patch('/schedule', asyncHandler(async (req, res) => {
+    const {intervalHours, paused} = req.body ?? {}
+    res.json(SyncManager.updateSchedule({intervalHours, paused}))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/admin/generations', returning the state of the catalog
+ * (the active and the previous generation) and all its generations, newest first.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the catalog generations.
+ */
+adminRouter.get('/generations', asyncHandler(async (req, res) => {
+    const [state, generations] = await Promise.all([CatalogGenerations.getState(), CatalogGenerations.getGenerations()])
+    res.json({ready: Boolean(state?.activeCollection), state, data: generations})
+}))
+
+/**
+ * Handles POST requests to '/api/v1/admin/generations/rollback', making the previous catalog
+ * generation the active one again.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the rollback version and the new state, or a 409 error
+ * if a sync is running or there is no previous generation.
+ */
+adminRouter.post('/generations/rollback', asyncHandler(async (req, res) => {
+    res.json(await SyncManager.rollback())
+}))
@@ -0,0 +1,99 @@
+import express from "express";
+import ApiKeys from "../entities/apiKeys.js";
+import {asyncHandler} from "../utils/http.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+
+export const apiKeysRouter = express.Router()
+apiKeysRouter.use(express.json())
+
+/**
+ * Throws if an API key doesn't exist.
+ * @param {object|null} key - The key, null if it wasn't found.
+ * @param {string} keyId - The requested key ID.
+ * @returns {object} - The key.
+ * @throws {NotFoundError} - If the key is null.
+ */
+function found(key, keyId) {
+    if (!key) throw new NotFoundError(`API key ${keyId} not found.`)
+    return key
+}
+
+/**
+ * Handles GET requests to '/api/v1/admin/api-keys', returning the API keys without their secrets.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the keys.
+ */
+apiKeysRouter.get('/', asyncHandler(async (req, res) => {
+    res.json({data: await ApiKeys.getKeys()})
+}))
+
+/**
+ * Handles POST requests to '/api/v1/admin/api-keys', creating an API key. The body holds the
+ * `name` and optionally the `scopes`, `rateLimitPerMinute`, `quotaPerDay` and `expiresAt`.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the key, with the `apiKey` itself, or a 400 error.
+ */
+apiKeysRouter.post('/', asyncHandler(async (req, res) => {
+    res.status(201).json(await ApiKeys.createKey(req.body ?? {}))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/admin/api-keys/:keyId', returning an API key.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the key, or a 404 error.
+ */
+apiKeysRouter.get('/:keyId', asyncHandler(async (req, res) => {
+    res.json(found(await ApiKeys.getKey(req.params.keyId), req.params.keyId))
+}))
+
+/**
+ * Handles PATCH requests to '/api/v1/admin/api-keys/:keyId', changing the name, scopes, limits
+ * or expiry of an API key.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the key, or a 400 or 404 error.
+ */
+apiKeysRouter.patch('/:keyId', asyncHandler(async (req, res) => {
+    res.json(found(await ApiKeys.updateKey(req.params.keyId, req.body ?? {}), req.params.keyId))
+}))
+
+/**
+ * Handles POST requests to '/api/v1/admin/api-keys/:keyId/revoke', cutting off an API key.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the revoked key, or a 404 error.
+ */
+apiKeysRouter.post('/:keyId/revoke', asyncHandler(async (req, res) => {
+    res.json(found(await ApiKeys.revokeKey(req.params.keyId), req.params.keyId))
+}))
+
+/**
+ * Handles POST requests to '/api/v1/admin/api-keys/:keyId/rotate', replacing the secret of an
+ * API key. The body may hold `{"graceSeconds": 3600}` to keep the old secret working meanwhile.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the key with the new `apiKey`, or a 404 error.
+ */
+apiKeysRouter.post('/:keyId/rotate', asyncHandler(async (req, res) => {
+    const {keyId} = req.params
+    const key = await ApiKeys.rotateKey(keyId, {graceSeconds: req.body?.graceSeconds ?? 0})
+    res.json(found(key, keyId))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/admin/api-keys/:keyId/usage', returning the requests made with
+ * an API key per UTC day, newest first. Accepts a `days` query parameter, 30 by default.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the daily usage, or a 404 error.
+ */
+apiKeysRouter.get('/:keyId/usage', asyncHandler(async (req, res) => {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days)
+    if (!Number.isInteger(days) || days < 1 || days > 366)
+        throw new BadRequestError("The days must be an integer between 1 and 366.")
+    const {keyId} = found(await ApiKeys.getKey(req.params.keyId), req.params.keyId)
+    res.json({data: await ApiKeys.getUsage(keyId, {days})})
+}))
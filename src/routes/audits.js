@@ -0,0 +1,52 @@
+import express from "express";
+import DataAudit from "../entities/dataAudit.js";
+import {asyncHandler} from "../utils/http.js";
+import {NotFoundError} from "../utils/errors.js";
+import {normalizeLimit} from "../utils/pagination.js";
+
+export const auditsRouter = express.Router()
+
+/**
+ * Handles GET requests to '/api/v1/audits', returning the audit reports newest first, with the
+ * summary and findings but without the bad records. Accepts a `limit` query parameter.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the reports.
+ */
+auditsRouter.get('/', asyncHandler(async (req, res) => {
+    res.json(await DataAudit.getReports(normalizeLimit(req.query.limit)))
+}))
+
+/**
+ * Handles POST requests to '/api/v1/audits', running an audit of the current data.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the new report.
+ */
+auditsRouter.post('/', asyncHandler(async (req, res) => {
+    res.status(201).json(await DataAudit.run({trigger: "manual"}))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/audits/latest', returning the latest audit report.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the report, or a 404 error if no audit ran yet.
+ */
+auditsRouter.get('/latest', asyncHandler(async (req, res) => {
+    const report = await DataAudit.getReport()
+    if (!report) throw new NotFoundError("No audit has run yet.")
+    res.json(report)
+}))
+
+/**
+ * Handles GET requests to '/api/v1/audits/:auditId', returning a single audit report with the bad records.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the report, or a 404 error.
+ */
+auditsRouter.get('/:auditId', asyncHandler(async (req, res) => {
+    const report = await DataAudit.getReport(req.params.auditId)
+    if (!report) throw new NotFoundError(`Audit ${req.params.auditId} not found.`)
+    res.json(report)
+}))
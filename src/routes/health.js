@@ -0,0 +1,57 @@
+import express from "express";
+import MongoDBFacade from "../db/mongo.js";
+import CatalogGenerations from "../entities/catalogGenerations.js";
+import {asyncHandler} from "../utils/http.js";
+
+export const healthRouter = express.Router()
+
+/**
+ * Handles GET requests to '/healthz', the liveness probe. It only checks that the process
+ * responds, so a database outage doesn't get the service restarted.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the status.
+ */
+healthRouter.get('/healthz', asyncHandler(async (req, res) => {
+    res.json({status: "ok"})
+}))
+
+/**
+ * Handles GET requests to '/readyz', the readiness probe. The service is ready when MongoDB is
+ * reachable and a catalog generation is active, i.e. the seed snapshot is loaded or the first
+ * full sync has completed, and its makes weren't purged, so it never serves an empty catalog.
+ * The active generation is reported as the `catalog`.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the checks, with status 503 if the service isn't ready.
+ */
+healthRouter.get('/readyz', asyncHandler(async (req, res) => {
+    const checks = {mongodb: false, catalogReady: false}
+    let catalog = null
+    const db = new MongoDBFacade()
+    try {
+        await db.connect()
+        checks.mongodb = await db.ping()
+    } catch (e) {
+        // reported by the check
+    } finally {
+        db.close()
+    }
+    if (checks.mongodb) {
+        try {
+            const generation = await CatalogGenerations.getActiveGeneration()
+            checks.catalogReady = Boolean(generation) && !generation.purgedAt
+            if (generation) catalog = {
+                generation: generation.generation,
+                type: generation.type,
+                seed: generation.type === "seed",
+                purged: Boolean(generation.purgedAt),
+            }
+        } catch (e) {
+            // reported by the check
+        }
+    }
+
+    const ready = checks.mongodb && checks.catalogReady
+    res.status(ready ? 200 : 503).json({status: ready ? "ready" : "not ready", checks, ...(catalog ? {catalog} : {})})
+}))
@@ -0,0 +1,115 @@
+import express from "express";
+import VersionHistory from "../entities/versionHistory.js";
+import {asyncHandler, parseIdParam} from "../utils/http.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+import {decodeCursor, encodeCursor, normalizeLimit} from "../utils/pagination.js";
+
+export const historyRouter = express.Router()
+
+/**
+ * Retrieves a version by its number and makes sure it exists.
+ * @param {string} value - The raw version number.
+ * @param {string} name - The name of the parameter, used in the error messages.
+ * @returns {Promise<object>} - Resolves with the version.
+ * @throws {BadRequestError|NotFoundError} - If the version is invalid or doesn't exist.
+ */
+async function findVersion(value, name) {
+    const version = parseIdParam(value, name)
+    const result = await VersionHistory.getVersion(version)
+    if (!result) throw new NotFoundError(`Version ${version} not found.`)
+    return result
+}
+
+/**
+ * Parses the `version` or `date` query parameter into a point in time.
+ * @param {object} query - The Express.js request query.
+ * @returns {Promise<object>} - Resolves with `{version}` or `{date}`.
+ * @throws {BadRequestError|NotFoundError} - If neither or both are given, or they are invalid.
+ */
+async function parseAsOf({version, date}) {
+    if ((version === undefined) === (date === undefined))
+        throw new BadRequestError("Exactly one of version or date must be given.")
+    if (version !== undefined) return {version: (await findVersion(version, "version")).version}
+    const parsedDate = new Date(date)
+    if (typeof date !== "string" || isNaN(parsedDate.getTime()))
+        throw new BadRequestError("The date must be a valid ISO 8601 date.")
+    return {date: parsedDate}
+}
+
+/**
+ * Handles GET requests to '/api/v1/history/versions', returning all sync versions, newest first.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the versions.
+ */
+historyRouter.get('/versions', asyncHandler(async (req, res) => {
+    res.json(await VersionHistory.getVersions())
+}))
+
+/**
+ * Handles GET requests to '/api/v1/history/versions/:version', returning a single sync version.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the version, or a 404 error.
+ */
+historyRouter.get('/versions/:version', asyncHandler(async (req, res) => {
+    res.json(await findVersion(req.params.version, "version"))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/history/makes', returning a page of the makes as they were
+ * at a version (`?version=`) or a date (`?date=`). Paginated by makeId with `limit` and `cursor`.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle makes page.
+ */
+historyRouter.get('/makes', asyncHandler(async (req, res) => {
+    const asOf = await parseAsOf(req.query)
+    const {limit, cursor} = req.query
+    const afterMakeId = cursor ? decodeCursor(cursor).id : undefined
+    const {makes, totalCount, hasNextPage} = await VersionHistory.getMakesAsOf(asOf, {
+        limit: normalizeLimit(limit),
+        afterMakeId,
+    })
+    const lastMake = makes[makes.length - 1]
+    res.json({
+        data: makes,
+        pageInfo: {
+            totalCount,
+            hasNextPage,
+            nextCursor: hasNextPage ? encodeCursor(lastMake.makeId, lastMake.makeId) : null,
+        },
+    })
+}))
+
+/**
+ * Handles GET requests to '/api/v1/history/makes/:makeId', returning every recorded change of a make.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the make snapshots, or a 404 error.
+ */
+historyRouter.get('/makes/:makeId', asyncHandler(async (req, res) => {
+    const makeId = parseIdParam(req.params.makeId, "makeId")
+    const history = await VersionHistory.getMakeHistory(makeId)
+    if (!history.length) throw new NotFoundError(`No history found for make ${makeId}.`)
+    res.json(history)
+}))
+
+/**
+ * Handles GET requests to '/api/v1/history/diff?from=&to=', returning the makes added, removed
+ * and renamed and the vehicle type changes between two versions.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the differences.
+ */
+historyRouter.get('/diff', asyncHandler(async (req, res) => {
+    const from = await findVersion(req.query.from, "from")
+    const to = await findVersion(req.query.to, "to")
+    if (from.version >= to.version)
+        throw new BadRequestError("The from version must be older than the to version.")
+    res.json({
+        from: from.version,
+        to: to.version,
+        ...await VersionHistory.diff(from.version, to.version),
+    })
+}))
@@ -0,0 +1,211 @@
+import express from "express";
+import {pipeline} from "stream/promises";
+import MakeDataLoader, {MAKE_SORT_FIELDS} from "../entities/makeDataLoader.js";
+import MakeSearch from "../entities/makeSearch.js";
+import ModelDataLoader from "../entities/modelDataLoader.js";
+import {asyncHandler, parseIdParam} from "../utils/http.js";
+import {BadRequestError, NotAcceptableError, NotFoundError} from "../utils/errors.js";
+import {normalizeLimit} from "../utils/pagination.js";
+import {createExportStream, CSV_LAYOUTS, EXPORT_FORMATS} from "../utils/exports.js";
+import {createLogger} from "../utils/logger.js";
+
+const logger = createLogger("http")
+
+export const makesRouter = express.Router()
+
+const SEARCH_DEFAULT_LIMIT = 10
+
+/**
+ * Parses the query parameters of the makes list endpoint.
+ * @param {object} query - The Express.js request query.
+ * @returns {{filter: object, page: object}} - The filter and page options for `MakeDataLoader.findMakes`.
+ * @throws {BadRequestError} - If a parameter is invalid.
+ */
+export function parseMakesQuery(query) {
+    const {namePrefix, nameContains, vehicleTypeId, typeName, sort = "makeId", order = "asc", limit, cursor} = query
+    if (!MAKE_SORT_FIELDS.includes(sort))
+        throw new BadRequestError(`The sort must be one of: ${MAKE_SORT_FIELDS.join(", ")}.`)
+    if (!["asc", "desc"].includes(order))
+        throw new BadRequestError("The order must be either asc or desc.")
+    if (vehicleTypeId !== undefined && !/^\d+$/.test(vehicleTypeId))
+        throw new BadRequestError("The vehicleTypeId must be a number.")
+    for (const [name, value] of Object.entries({namePrefix, nameContains, typeName, cursor})) {
+        if (value !== undefined && typeof value !== "string")
+            throw new BadRequestError(`The ${name} must be a single string value.`)
+    }
+    return {
+        filter: {
+            namePrefix,
+            nameContains,
+            typeName,
+            vehicleTypeId: vehicleTypeId === undefined ? undefined : Number(vehicleTypeId),
+        },
+        page: {
+            sortBy: sort,
+            direction: order === "desc" ? -1 : 1,
+            limit: normalizeLimit(limit),
+            after: cursor,
+        },
+    }
+}
+
+/**
+ * The media types of the `Accept` header mapped to the response formats of the makes lists.
+ * The first one is used when any type is accepted.
+ */
+const FORMAT_MEDIA_TYPES = {
+    "application/json": "json",
+    "application/x-ndjson": "ndjson",
+    "application/ndjson": "ndjson",
+    "text/csv": "csv",
+    "application/xml": "xml",
+    "text/xml": "xml",
+}
+
+/**
+ * Chooses the response format of a makes list from the `format` query parameter or,
+ * without it, from the `Accept` header.
+ * @param {express.Request} req - The Express.js request object.
+ * @returns {{format: string, layout: string}} - The format ("json" or one of EXPORT_FORMATS) and the CSV layout.
+ * @throws {BadRequestError|NotAcceptableError} - If the format or layout is invalid, or no accepted type is supported.
+ */
+export function negotiateMakesFormat(req) {
+    const {format, layout = "pairs"} = req.query
+    const formats = ["json", ...Object.keys(EXPORT_FORMATS)]
+    if (!CSV_LAYOUTS.includes(layout))
+        throw new BadRequestError(`The layout must be one of: ${CSV_LAYOUTS.join(", ")}.`)
+    if (format !== undefined) {
+        if (!formats.includes(format))
+            throw new BadRequestError(`The format must be one of: ${formats.join(", ")}.`)
+        return {format, layout}
+    }
+    const mediaType = req.accepts(Object.keys(FORMAT_MEDIA_TYPES))
+    if (!mediaType)
+        throw new NotAcceptableError(`The accepted media types must include one of: ${Object.keys(FORMAT_MEDIA_TYPES).join(", ")}.`)
+    return {format: FORMAT_MEDIA_TYPES[mediaType], layout}
+}
+
+/**
+ * Sends the makes matching a filter in the negotiated format: a JSON page, or an export of
+ * all the matching makes streamed from the database.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @param {object} filter - The filter criteria passed to `MakeDataLoader.findMakes`.
+ * @param {object} page - The sort and pagination options passed to `MakeDataLoader.findMakes`.
+ * @returns {Promise<void>}
+ */
+export async function sendMakes(req, res, filter, page) {
+    const {format, layout} = negotiateMakesFormat(req)
+    res.vary("Accept")
+    if (format === "json") return sendMakesPage(res, filter, page)
+
+    const {contentType, extension} = EXPORT_FORMATS[format]
+    const makes = await MakeDataLoader.streamMakes(filter, page)
+    res.attachment(`makes.${extension}`)
+    res.type(contentType)
+    try {
+        await pipeline(makes, createExportStream(format, {layout}), res)
+    } catch (e) {
+        // once the export started, the error can't be reported and the response is cut off
+        if (!res.headersSent) throw e
+        logger.error("Export of makes aborted:", e.message)
+    }
+}
+
+/**
+ * Finds a page of makes and sends it as the JSON response.
+ * @param {express.Response} res - The Express.js response object.
+ * @param {object} filter - The filter criteria passed to `MakeDataLoader.findMakes`.
+ * @param {object} page - The sort and pagination options passed to `MakeDataLoader.findMakes`.
+ * @returns {Promise<void>}
+ */
+async function sendMakesPage(res, filter, page) {
+    const {makes, totalCount, hasNextPage, endCursor} = await MakeDataLoader.findMakes(filter, page)
+    res.json({
+        data: makes,
+        pageInfo: {
+            totalCount,
+            hasNextPage,
+            nextCursor: hasNextPage ? endCursor : null,
+        },
+    })
+}
+
+/**
+ * Retrieves a make by the ':makeId' path parameter.
+ * @param {express.Request} req - The Express.js request object.
+ * @returns {Promise<VehicleMake>} - Resolves with the vehicle make.
+ * @throws {NotFoundError} - If the make doesn't exist.
+ */
+async function findRequestedMake(req) {
+    const makeId = parseIdParam(req.params.makeId, "makeId")
+    const make = await MakeDataLoader.findMake(makeId)
+    if (!make) throw new NotFoundError(`Make ${makeId} not found.`)
+    return make
+}
+
+/**
+ * Handles GET requests to '/api/v1/makes', returning a page of vehicle makes.
+ * Supports the `namePrefix`, `nameContains`, `vehicleTypeId` and `typeName` filters,
+ * `sort` (makeId|makeName) and `order` (asc|desc), and cursor pagination with `limit` and `cursor`.
+ * With `format` (or the `Accept` header) set to NDJSON, CSV or XML, all the matching makes are exported instead.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle makes page, or the export.
+ */
+makesRouter.get('/', asyncHandler(async (req, res) => {
+    const {filter, page} = parseMakesQuery(req.query)
+    await sendMakes(req, res, filter, page)
+}))
+
+/**
+ * Handles GET requests to '/api/v1/makes/search', searching the makes by name (`q`), e.g. for an
+ * autocomplete. The results are ranked by exact, prefix and fuzzy matches and carry their score
+ * and the highlighted name. Accepts a `limit` query parameter (default 10).
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the search results.
+ */
+makesRouter.get('/search', asyncHandler(async (req, res) => {
+    const {q, limit} = req.query
+    if (typeof q !== "string")
+        throw new BadRequestError("The q query parameter must be a non-empty string.")
+    const results = await MakeSearch.search(q, {limit: limit === undefined ? SEARCH_DEFAULT_LIMIT : normalizeLimit(limit)})
+    res.json({data: results})
+}))
+
+/**
+ * Handles GET requests to '/api/v1/makes/:makeId', returning a single vehicle make.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle make, or a 404 error.
+ */
+makesRouter.get('/:makeId', asyncHandler(async (req, res) => {
+    res.json(await findRequestedMake(req))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/makes/:makeId/vehicle-types', returning the vehicle types of a make.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle types, or a 404 error.
+ */
+makesRouter.get('/:makeId/vehicle-types', asyncHandler(async (req, res) => {
+    const make = await findRequestedMake(req)
+    res.json(make.vehicleTypes ?? [])
+}))
+
+/**
+ * Handles GET requests to '/api/v1/makes/:makeId/models', returning the models of a make sorted by
+ * name. Accepts a `year` query parameter to only return the models of a model year.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle models, or a 404 error.
+ */
+makesRouter.get('/:makeId/models', asyncHandler(async (req, res) => {
+    const {year} = req.query
+    if (year !== undefined && !/^\d{4}$/.test(year))
+        throw new BadRequestError("The year must be a four-digit number.")
+    const make = await findRequestedMake(req)
+    res.json(await ModelDataLoader.findModels(make.makeId, {year: year === undefined ? undefined : Number(year)}))
+}))
@@ -0,0 +1,58 @@
+import express from "express";
+import MakeOverrides from "../entities/makeOverrides.js";
+import {asyncHandler, parseIdParam} from "../utils/http.js";
+import {NotFoundError} from "../utils/errors.js";
+
+export const overridesRouter = express.Router()
+overridesRouter.use(express.json())
+
+/**
+ * Handles GET requests to '/api/v1/overrides', returning the overrides of all makes.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the overrides, sorted by makeId.
+ */
+overridesRouter.get('/', asyncHandler(async (req, res) => {
+    res.json({data: await MakeOverrides.getOverrides()})
+}))
+
+/**
+ * Handles GET requests to '/api/v1/overrides/:makeId', returning the override of a make.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the override, or a 400 or 404 error.
+ */
+overridesRouter.get('/:makeId', asyncHandler(async (req, res) => {
+    const makeId = parseIdParam(req.params.makeId, "makeId")
+    const override = await MakeOverrides.getOverride(makeId)
+    if (!override) throw new NotFoundError(`Make id ${makeId} has no override.`)
+    res.json(override)
+}))
+
+/**
+ * Handles PUT requests to '/api/v1/overrides/:makeId', creating or replacing the override of a
+ * make. The body may hold the `displayName`, `aliases`, `hidden`, `addVehicleTypes`,
+ * `removeVehicleTypeIds` and `note`; the fields left out are cleared.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the override, or a 400 or 404 error.
+ */
+overridesRouter.put('/:makeId', asyncHandler(async (req, res) => {
+    const makeId = parseIdParam(req.params.makeId, "makeId")
+    const override = await MakeOverrides.setOverride(makeId, req.body ?? {}, {updatedBy: req.apiKey?.name ?? null})
+    if (!override) throw new NotFoundError(`Make id ${makeId} not found.`)
+    res.json(override)
+}))
+
+/**
+ * Handles DELETE requests to '/api/v1/overrides/:makeId', deleting the override of a make so
+ * its upstream data is shown again.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with an empty 204 response, or a 400 or 404 error.
+ */
+overridesRouter.delete('/:makeId', asyncHandler(async (req, res) => {
+    const makeId = parseIdParam(req.params.makeId, "makeId")
+    if (!await MakeOverrides.deleteOverride(makeId)) throw new NotFoundError(`Make id ${makeId} has no override.`)
+    res.status(204).end()
+}))
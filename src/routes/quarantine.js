@@ -0,0 +1,47 @@
+import express from "express";
+import Quarantine, {QUARANTINE_REASONS} from "../entities/quarantine.js";
+import {asyncHandler} from "../utils/http.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+import {normalizeLimit} from "../utils/pagination.js";
+
+export const quarantineRouter = express.Router()
+
+/**
+ * Handles GET requests to '/api/v1/admin/quarantine', returning the rejected vPIC responses
+ * without their payloads, the last seen first. Accepts the `reason`, `endpoint` and `limit` query parameters.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the quarantine entries.
+ */
+quarantineRouter.get('/', asyncHandler(async (req, res) => {
+    const {reason, endpoint, limit} = req.query
+    if (reason !== undefined && !QUARANTINE_REASONS.includes(reason))
+        throw new BadRequestError(`The reason must be one of: ${QUARANTINE_REASONS.join(", ")}.`)
+    res.json({data: await Quarantine.getEntries({reason, endpoint, limit: normalizeLimit(limit)})})
+}))
+
+/**
+ * Handles GET requests to '/api/v1/admin/quarantine/:quarantineId', returning a rejected vPIC
+ * response with its payload.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the quarantine entry, or a 404 error.
+ */
+quarantineRouter.get('/:quarantineId', asyncHandler(async (req, res) => {
+    const entry = await Quarantine.getEntry(req.params.quarantineId)
+    if (!entry) throw new NotFoundError(`Quarantine entry ${req.params.quarantineId} not found.`)
+    res.json(entry)
+}))
+
+/**
+ * Handles DELETE requests to '/api/v1/admin/quarantine/:quarantineId', dismissing a rejected
+ * vPIC response once it's been looked into.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with an empty 204 response, or a 404 error.
+ */
+quarantineRouter.delete('/:quarantineId', asyncHandler(async (req, res) => {
+    if (!await Quarantine.deleteEntry(req.params.quarantineId))
+        throw new NotFoundError(`Quarantine entry ${req.params.quarantineId} not found.`)
+    res.status(204).end()
+}))
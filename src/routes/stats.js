@@ -0,0 +1,16 @@
+import express from "express";
+import MakeDataLoader from "../entities/makeDataLoader.js";
+import {asyncHandler} from "../utils/http.js";
+
+export const statsRouter = express.Router()
+
+/**
+ * Handles GET requests to '/api/v1/stats', returning the statistics of the catalog: the make
+ * counts, the makes by vehicle type and by number of vehicle types, and the last sync's changes.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the statistics.
+ */
+statsRouter.get('/', asyncHandler(async (req, res) => {
+    res.json(await MakeDataLoader.getStats())
+}))
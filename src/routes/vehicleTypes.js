@@ -0,0 +1,32 @@
+import express from "express";
+import MakeDataLoader from "../entities/makeDataLoader.js";
+import {asyncHandler, parseIdParam} from "../utils/http.js";
+import {NotFoundError} from "../utils/errors.js";
+import {parseMakesQuery, sendMakes} from "./makes.js";
+
+export const vehicleTypesRouter = express.Router()
+
+/**
+ * Handles GET requests to '/api/v1/vehicle-types', returning the distinct vehicle types of all makes.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle types and their make counts.
+ */
+vehicleTypesRouter.get('/', asyncHandler(async (req, res) => {
+    res.json(await MakeDataLoader.findVehicleTypes())
+}))
+
+/**
+ * Handles GET requests to '/api/v1/vehicle-types/:typeId/makes', returning a page of the makes
+ * having the vehicle type. Accepts the same query parameters and formats as '/api/v1/makes'.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the vehicle makes page, or a 404 error.
+ */
+vehicleTypesRouter.get('/:typeId/makes', asyncHandler(async (req, res) => {
+    const typeId = parseIdParam(req.params.typeId, "typeId")
+    const {filter, page} = parseMakesQuery(req.query)
+    if (!await MakeDataLoader.findVehicleType(typeId))
+        throw new NotFoundError(`Vehicle type ${typeId} not found.`)
+    await sendMakes(req, res, {...filter, vehicleTypeId: typeId}, page)
+}))
@@ -0,0 +1,36 @@
+import express from "express";
+import VinDecoder from "../entities/vinDecoder.js";
+import {asyncHandler} from "../utils/http.js";
+import {BadRequestError} from "../utils/errors.js";
+
+export const vinRouter = express.Router()
+vinRouter.use(express.json())
+
+/**
+ * Handles POST requests to '/api/v1/vin', decoding many VINs at once. The body holds
+ * `{"vins": [...]}`, with at most `vin.batchMaxSize` VINs. The VINs which are invalid or
+ * couldn't be decoded get an `error` instead of failing the whole request.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the decodings, in the order of the VINs.
+ */
+vinRouter.post('/', asyncHandler(async (req, res) => {
+    const {vins} = req.body ?? {}
+    if (!Array.isArray(vins) || !vins.length || !vins.every(vin => typeof vin === "string"))
+        throw new BadRequestError("The vins must be a non-empty array of strings.")
+    const results = await VinDecoder.decodeMany(vins)
+    res.json({
+        data: results.map(({error, ...result}) => error ? {...result, error: VinDecoder.toErrorJSON(error)} : result),
+    })
+}))
+
+/**
+ * Handles GET requests to '/api/v1/vin/:vin', decoding a VIN and joining it to the stored make
+ * and vehicle type.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the decoding, or a 400 error if the VIN is invalid.
+ */
+vinRouter.get('/:vin', asyncHandler(async (req, res) => {
+    res.json(await VinDecoder.decode(req.params.vin))
+}))
@@ -0,0 +1,126 @@
+import express from "express";
+import Webhooks, {DELIVERY_STATUSES, WEBHOOK_EVENTS} from "../entities/webhooks.js";
+import {asyncHandler} from "../utils/http.js";
+import {BadRequestError, NotFoundError} from "../utils/errors.js";
+import {normalizeLimit} from "../utils/pagination.js";
+
+export const webhooksRouter = express.Router()
+webhooksRouter.use(express.json())
+
+/**
+ * Retrieves a subscription, throwing if it doesn't exist.
+ * @async
+ * @param {string} subscriptionId - The ID of the subscription.
+ * @returns {object} - The subscription.
+ * @throws {NotFoundError} - If the subscription doesn't exist.
+ */
+async function findSubscription(subscriptionId) {
+    const subscription = await Webhooks.getSubscription(subscriptionId)
+    if (!subscription) throw new NotFoundError(`Webhook subscription ${subscriptionId} not found.`)
+    return subscription
+}
+
+/**
+ * Handles GET requests to '/api/v1/webhooks', returning the subscriptions without their secrets.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the subscriptions.
+ */
+webhooksRouter.get('/', asyncHandler(async (req, res) => {
+    res.json({data: await Webhooks.getSubscriptions(), events: WEBHOOK_EVENTS})
+}))
+
+/**
+ * Handles POST requests to '/api/v1/webhooks', creating a subscription. The body holds the
+ * `url` and optionally the `events`, `makeIds`, `description` and `secret`.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the subscription, with its secret, or a 400 error.
+ */
+webhooksRouter.post('/', asyncHandler(async (req, res) => {
+    res.status(201).json(await Webhooks.createSubscription(req.body ?? {}))
+}))
+
+/**
+ * Handles GET requests to '/api/v1/webhooks/:subscriptionId', returning a subscription.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the subscription, or a 404 error.
+ */
+webhooksRouter.get('/:subscriptionId', asyncHandler(async (req, res) => {
+    res.json(await findSubscription(req.params.subscriptionId))
+}))
+
+/**
+ * Handles PATCH requests to '/api/v1/webhooks/:subscriptionId', changing a subscription. The
+ * body holds the changed fields, e.g. `{"active": false}` to pause the deliveries.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the subscription, or a 400 or 404 error.
+ */
+webhooksRouter.patch('/:subscriptionId', asyncHandler(async (req, res) => {
+    const subscription = await Webhooks.updateSubscription(req.params.subscriptionId, req.body ?? {})
+    if (!subscription) throw new NotFoundError(`Webhook subscription ${req.params.subscriptionId} not found.`)
+    res.json(subscription)
+}))
+
+/**
+ * Handles DELETE requests to '/api/v1/webhooks/:subscriptionId', deleting a subscription and
+ * cancelling its pending deliveries.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with an empty 204 response, or a 404 error.
+ */
+webhooksRouter.delete('/:subscriptionId', asyncHandler(async (req, res) => {
+    if (!await Webhooks.deleteSubscription(req.params.subscriptionId))
+        throw new NotFoundError(`Webhook subscription ${req.params.subscriptionId} not found.`)
+    res.status(204).end()
+}))
+
+/**
+ * Handles GET requests to '/api/v1/webhooks/:subscriptionId/deliveries', returning the delivery
+ * log of a subscription newest first. Accepts the `status`, `event` and `limit` query parameters.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the deliveries and their attempts.
+ */
+webhooksRouter.get('/:subscriptionId/deliveries', asyncHandler(async (req, res) => {
+    const {status, event, limit} = req.query
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status))
+        throw new BadRequestError(`The status must be one of: ${DELIVERY_STATUSES.join(", ")}.`)
+    if (event !== undefined && !WEBHOOK_EVENTS.includes(event))
+        throw new BadRequestError(`The event must be one of: ${WEBHOOK_EVENTS.join(", ")}.`)
+    const {subscriptionId} = await findSubscription(req.params.subscriptionId)
+    res.json({data: await Webhooks.getDeliveries(subscriptionId, {status, eventType: event, limit: normalizeLimit(limit)})})
+}))
+
+/**
+ * Handles GET requests to '/api/v1/webhooks/:subscriptionId/deliveries/:deliveryId', returning a
+ * delivery with all its attempts.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the delivery, or a 404 error.
+ */
+webhooksRouter.get('/:subscriptionId/deliveries/:deliveryId', asyncHandler(async (req, res) => {
+    const {subscriptionId, deliveryId} = req.params
+    const delivery = await Webhooks.getDelivery(subscriptionId, deliveryId)
+    if (!delivery) throw new NotFoundError(`Webhook delivery ${deliveryId} not found.`)
+    res.json(delivery)
+}))
+
+/**
+ * Handles POST requests to '/api/v1/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver',
+ * sending a delivery again, e.g. one which failed while the endpoint was down.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @returns {Promise<void>} - Resolves with JSON data of the pending delivery, a 404 error, or a 409 error
+ * if the delivery is still pending.
+ */
+webhooksRouter.post('/:subscriptionId/deliveries/:deliveryId/redeliver', asyncHandler(async (req, res) => {
+    const {subscriptionId, deliveryId} = req.params
+    const {active} = await findSubscription(subscriptionId)
+    if (!active) throw new BadRequestError("The subscription is not active.")
+    const delivery = await Webhooks.redeliver(subscriptionId, deliveryId)
+    if (!delivery) throw new NotFoundError(`Webhook delivery ${deliveryId} not found.`)
+    res.status(202).json(delivery)
+}))
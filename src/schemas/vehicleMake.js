@@ -1,5 +1,48 @@
-import { GraphQLList, GraphQLObjectType, GraphQLSchema, GraphQLString } from 'graphql';
+import {
+    GraphQLBoolean,
+    GraphQLEnumType,
+    GraphQLFloat,
+    GraphQLID,
+    GraphQLInputObjectType,
+    GraphQLInt,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLObjectType,
+    GraphQLSchema,
+    GraphQLString
+} from 'graphql';
 import MakeDataLoader from "../entities/makeDataLoader.js";
+import ModelDataLoader from "../entities/modelDataLoader.js";
+import DataAudit from "../entities/dataAudit.js";
+import MakeSearch from "../entities/makeSearch.js";
+import VinDecoder from "../entities/vinDecoder.js";
+import {encodeCursor, normalizeLimit} from "../utils/pagination.js";
+import {assertScope} from "../utils/auth.js";
+
+/**
+ * Represents where a field of a make comes from: vPIC or our overrides.
+ * @type {GraphQLEnumType}
+ */
+const FieldSourceType = new GraphQLEnumType({
+    name: 'FieldSource',
+    values: {
+        UPSTREAM: { value: 'upstream' },
+        OVERRIDE: { value: 'override' },
+    }
+});
+
+/**
+ * Represents where the overridable fields of a make come from.
+ * @type {GraphQLObjectType}
+ */
+const MakeSourcesType = new GraphQLObjectType({
+    name: 'MakeSources',
+    fields: {
+        makeName: { type: FieldSourceType },
+        aliases: { type: FieldSourceType },
+        vehicleTypes: { type: FieldSourceType },
+    }
+});
 
 /**
  * Represents a GraphQL object type for a VehicleType.
@@ -7,9 +50,37 @@ import MakeDataLoader from "../entities/makeDataLoader.js";
  */
 const VehicleType = new GraphQLObjectType({
     name: 'VehicleType',
-    fields: {
+    fields: () => ({
         typeId: { type: GraphQLString },
         typeName: { type: GraphQLString },
+        source: { type: FieldSourceType },
+        makes: {
+            type: new GraphQLNonNull(MakeConnectionType),
+            args: {
+                orderBy: { type: MakeOrderType },
+                first: { type: GraphQLInt },
+                after: { type: GraphQLString },
+            },
+            /**
+             * Resolves the makes having this vehicle type.
+             * @returns {Promise<object>} - Resolves with a MakeConnectionType object.
+             */
+            resolve: async (vehicleType, args) =>
+                await resolveMakesConnection({vehicleTypeId: vehicleType.typeId}, args),
+        },
+    })
+});
+
+/**
+ * Represents a GraphQL object type for a VehicleModel.
+ * @type {GraphQLObjectType}
+ */
+const VehicleModelType = new GraphQLObjectType({
+    name: 'VehicleModel',
+    fields: {
+        modelId: { type: GraphQLString },
+        modelName: { type: GraphQLString },
+        modelYears: { type: new GraphQLList(GraphQLInt) },
     }
 });
 
@@ -19,13 +90,404 @@ const VehicleType = new GraphQLObjectType({
  */
 const MakeType = new GraphQLObjectType({
     name: 'Make',
-    fields: {
+    fields: () => ({
         makeId: { type: GraphQLString },
         makeName: { type: GraphQLString },
+        upstreamMakeName: { type: GraphQLString },
+        aliases: { type: new GraphQLList(GraphQLString) },
         vehicleTypes: { type: new GraphQLList(VehicleType) },
+        sources: { type: MakeSourcesType },
+        models: {
+            type: new GraphQLList(VehicleModelType),
+            args: {
+                year: { type: GraphQLInt },
+            },
+            /**
+             * Resolves the models of the make, optionally only those of a model year.
+             * @returns {Promise<object[]>} - Resolves with the VehicleModelType objects, sorted by name.
+             */
+            resolve: async (make, {year}) => await ModelDataLoader.findModels(make.makeId, {year}),
+        },
+        firstSeenAt: { type: GraphQLString, resolve: make => make.firstSeenAt?.toISOString() },
+        lastSeenAt: { type: GraphQLString, resolve: make => make.lastSeenAt?.toISOString() },
+        updatedAt: { type: GraphQLString, resolve: make => make.updatedAt?.toISOString() },
+    })
+});
+
+/**
+ * Represents the filter criteria of the makes query.
+ * @type {GraphQLInputObjectType}
+ */
+const MakeFilterType = new GraphQLInputObjectType({
+    name: 'MakeFilter',
+    fields: {
+        namePrefix: { type: GraphQLString },
+        nameContains: { type: GraphQLString },
+        vehicleTypeId: { type: GraphQLInt },
+        typeName: { type: GraphQLString },
+    }
+});
+
+/**
+ * Represents the fields the makes can be ordered by.
+ * @type {GraphQLEnumType}
+ */
+const MakeOrderFieldType = new GraphQLEnumType({
+    name: 'MakeOrderField',
+    values: {
+        MAKE_ID: { value: 'makeId' },
+        MAKE_NAME: { value: 'makeName' },
+    }
+});
+
+/**
+ * Represents the direction of an ordering.
+ * @type {GraphQLEnumType}
+ */
+const OrderDirectionType = new GraphQLEnumType({
+    name: 'OrderDirection',
+    values: {
+        ASC: { value: 1 },
+        DESC: { value: -1 },
+    }
+});
+
+/**
+ * Represents the ordering of the makes query.
+ * @type {GraphQLInputObjectType}
+ */
+const MakeOrderType = new GraphQLInputObjectType({
+    name: 'MakeOrder',
+    fields: {
+        field: { type: MakeOrderFieldType, defaultValue: 'makeId' },
+        direction: { type: OrderDirectionType, defaultValue: 1 },
+    }
+});
+
+/**
+ * Represents the Relay page info of a connection.
+ * @type {GraphQLObjectType}
+ */
+const PageInfoType = new GraphQLObjectType({
+    name: 'PageInfo',
+    fields: {
+        hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+        hasPreviousPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+        startCursor: { type: GraphQLString },
+        endCursor: { type: GraphQLString },
     }
 });
 
+/**
+ * Represents a make and its cursor in a MakeConnection.
+ * @type {GraphQLObjectType}
+ */
+const MakeEdgeType = new GraphQLObjectType({
+    name: 'MakeEdge',
+    fields: {
+        cursor: { type: new GraphQLNonNull(GraphQLString) },
+        node: { type: MakeType },
+    }
+});
+
+/**
+ * Represents a Relay-style connection (a page) of makes.
+ * @type {GraphQLObjectType}
+ */
+const MakeConnectionType = new GraphQLObjectType({
+    name: 'MakeConnection',
+    fields: {
+        edges: { type: new GraphQLList(MakeEdgeType) },
+        pageInfo: { type: new GraphQLNonNull(PageInfoType) },
+        totalCount: { type: new GraphQLNonNull(GraphQLInt) },
+    }
+});
+
+/**
+ * Represents how a search result matched the query.
+ * @type {GraphQLEnumType}
+ */
+const MatchTypeType = new GraphQLEnumType({
+    name: 'MatchType',
+    values: {
+        EXACT: { value: 'exact' },
+        PREFIX: { value: 'prefix' },
+        FUZZY: { value: 'fuzzy' },
+    }
+});
+
+/**
+ * Represents a make found by the 'searchMakes' query.
+ * @type {GraphQLObjectType}
+ */
+const MakeSearchResultType = new GraphQLObjectType({
+    name: 'MakeSearchResult',
+    fields: {
+        make: { type: new GraphQLNonNull(MakeType) },
+        score: { type: new GraphQLNonNull(GraphQLFloat) },
+        matchType: { type: new GraphQLNonNull(MatchTypeType) },
+        highlight: { type: GraphQLString },
+        matchedAlias: { type: GraphQLString },
+    }
+});
+
+/**
+ * Represents a value decoded from a VIN, by its vPIC variable name.
+ * @type {GraphQLObjectType}
+ */
+const VinAttributeType = new GraphQLObjectType({
+    name: 'VinAttribute',
+    fields: {
+        name: { type: new GraphQLNonNull(GraphQLString) },
+        value: { type: GraphQLString },
+    }
+});
+
+/**
+ * Represents the values decoded from a VIN by vPIC.
+ * @type {GraphQLObjectType}
+ */
+const DecodedVinType = new GraphQLObjectType({
+    name: 'DecodedVin',
+    fields: {
+        makeId: { type: GraphQLString },
+        makeName: { type: GraphQLString },
+        modelId: { type: GraphQLString },
+        modelName: { type: GraphQLString },
+        modelYear: { type: GraphQLInt },
+        manufacturer: { type: GraphQLString },
+        vehicleTypeName: { type: GraphQLString },
+        bodyClass: { type: GraphQLString },
+        trim: { type: GraphQLString },
+        series: { type: GraphQLString },
+        errorCode: { type: GraphQLString },
+        errorText: { type: GraphQLString },
+        attributes: {
+            type: new GraphQLList(VinAttributeType),
+            resolve: decoded => Object.entries(decoded.attributes ?? {}).map(([name, value]) => ({name, value})),
+        },
+    }
+});
+
+/**
+ * Represents why a VIN of a batch couldn't be decoded.
+ * @type {GraphQLObjectType}
+ */
+const VinErrorType = new GraphQLObjectType({
+    name: 'VinError',
+    fields: {
+        status: { type: new GraphQLNonNull(GraphQLInt) },
+        message: { type: new GraphQLNonNull(GraphQLString) },
+    }
+});
+
+/**
+ * Represents a decoded VIN joined to the stored make and vehicle type.
+ * @type {GraphQLObjectType}
+ */
+const VinDecodingType = new GraphQLObjectType({
+    name: 'VinDecoding',
+    fields: {
+        vin: { type: new GraphQLNonNull(GraphQLString) },
+        decodedAt: { type: GraphQLString, resolve: decoding => decoding.decodedAt?.toISOString() },
+        decoded: { type: DecodedVinType },
+        make: { type: MakeType },
+        vehicleType: { type: VehicleType },
+        error: {
+            type: VinErrorType,
+            resolve: decoding => decoding.error ? VinDecoder.toErrorJSON(decoding.error) : null,
+        },
+    }
+});
+
+/**
+ * Represents the severity of an audit finding.
+ * @type {GraphQLEnumType}
+ */
+const AuditSeverityType = new GraphQLEnumType({
+    name: 'AuditSeverity',
+    values: {
+        ERROR: { value: 'error' },
+        WARNING: { value: 'warning' },
+        INFO: { value: 'info' },
+    }
+});
+
+/**
+ * Represents a bad record of an audit finding. The fields depend on the check, e.g. a make
+ * (makeId, makeName), a renamed make (oldName, newName) or a vehicle type (typeId, typeName, makeIds).
+ * @type {GraphQLObjectType}
+ */
+const AuditRecordType = new GraphQLObjectType({
+    name: 'AuditRecord',
+    fields: {
+        makeId: { type: GraphQLInt },
+        makeName: { type: GraphQLString },
+        oldName: { type: GraphQLString },
+        newName: { type: GraphQLString },
+        count: { type: GraphQLInt },
+        typeId: { type: GraphQLInt },
+        typeName: { type: GraphQLString },
+        makeCount: { type: GraphQLInt },
+        makeIds: { type: new GraphQLList(GraphQLInt) },
+    }
+});
+
+/**
+ * Represents a finding of an audit check.
+ * @type {GraphQLObjectType}
+ */
+const AuditFindingType = new GraphQLObjectType({
+    name: 'AuditFinding',
+    fields: {
+        check: { type: new GraphQLNonNull(GraphQLString) },
+        severity: { type: new GraphQLNonNull(AuditSeverityType) },
+        message: { type: GraphQLString },
+        count: { type: new GraphQLNonNull(GraphQLInt) },
+        truncated: { type: GraphQLBoolean },
+        records: { type: new GraphQLList(AuditRecordType) },
+    }
+});
+
+/**
+ * Represents the number of findings of each severity in an audit report.
+ * @type {GraphQLObjectType}
+ */
+const AuditSummaryType = new GraphQLObjectType({
+    name: 'AuditSummary',
+    fields: {
+        error: { type: new GraphQLNonNull(GraphQLInt) },
+        warning: { type: new GraphQLNonNull(GraphQLInt) },
+        info: { type: new GraphQLNonNull(GraphQLInt) },
+    }
+});
+
+/**
+ * Represents a data quality audit report.
+ * @type {GraphQLObjectType}
+ */
+const AuditReportType = new GraphQLObjectType({
+    name: 'AuditReport',
+    fields: {
+        auditId: { type: new GraphQLNonNull(GraphQLID) },
+        trigger: { type: GraphQLString },
+        version: { type: GraphQLInt },
+        status: { type: GraphQLString },
+        startedAt: { type: GraphQLString, resolve: report => report.startedAt?.toISOString() },
+        finishedAt: { type: GraphQLString, resolve: report => report.finishedAt?.toISOString() },
+        summary: { type: AuditSummaryType },
+        findings: {
+            type: new GraphQLList(AuditFindingType),
+            args: {
+                severity: { type: AuditSeverityType },
+            },
+            /**
+             * Resolves the findings of the report, optionally only those of a severity.
+             * @returns {object[]} - The findings.
+             */
+            resolve: (report, {severity}) =>
+                report.findings?.filter(finding => !severity || finding.severity === severity),
+        },
+    }
+});
+
+/**
+ * Represents a vehicle type with the number of makes having it.
+ * @type {GraphQLObjectType}
+ */
+const VehicleTypeStatsType = new GraphQLObjectType({
+    name: 'VehicleTypeStats',
+    fields: {
+        typeId: { type: new GraphQLNonNull(GraphQLInt) },
+        typeName: { type: GraphQLString },
+        makeCount: { type: new GraphQLNonNull(GraphQLInt) },
+    }
+});
+
+/**
+ * Represents the number of makes having a number of vehicle types.
+ * @type {GraphQLObjectType}
+ */
+const VehicleTypeCountStatsType = new GraphQLObjectType({
+    name: 'VehicleTypeCountStats',
+    fields: {
+        vehicleTypeCount: { type: new GraphQLNonNull(GraphQLInt) },
+        makeCount: { type: new GraphQLNonNull(GraphQLInt) },
+    }
+});
+
+/**
+ * Represents a make added or removed by a sync.
+ * @type {GraphQLObjectType}
+ */
+const ChangedMakeType = new GraphQLObjectType({
+    name: 'ChangedMake',
+    fields: {
+        makeId: { type: new GraphQLNonNull(GraphQLInt) },
+        makeName: { type: GraphQLString },
+    }
+});
+
+/**
+ * Represents the makes added and removed by the last change of the catalog (a sync, import, seed or rollback); the lists hold the first 100 makes by makeId.
+ * @type {GraphQLObjectType}
+ */
+const LastSyncStatsType = new GraphQLObjectType({
+    name: 'LastSyncStats',
+    fields: {
+        version: { type: new GraphQLNonNull(GraphQLInt) },
+        type: { type: GraphQLString },
+        promotedAt: { type: GraphQLString, resolve: sync => sync.promotedAt?.toISOString() },
+        addedCount: { type: new GraphQLNonNull(GraphQLInt) },
+        removedCount: { type: new GraphQLNonNull(GraphQLInt) },
+        added: { type: new GraphQLList(ChangedMakeType) },
+        removed: { type: new GraphQLList(ChangedMakeType) },
+    }
+});
+
+/**
+ * Represents the statistics of the catalog.
+ * @type {GraphQLObjectType}
+ */
+const CatalogStatsType = new GraphQLObjectType({
+    name: 'CatalogStats',
+    fields: {
+        makeCount: { type: new GraphQLNonNull(GraphQLInt) },
+        makesWithoutVehicleTypes: { type: new GraphQLNonNull(GraphQLInt) },
+        vehicleTypes: { type: new GraphQLList(VehicleTypeStatsType) },
+        vehicleTypeCounts: { type: new GraphQLList(VehicleTypeCountStatsType) },
+        lastSync: { type: LastSyncStatsType },
+        computedAt: { type: GraphQLString, resolve: stats => stats.computedAt?.toISOString() },
+    }
+});
+
+/**
+ * Resolves a page of makes into a MakeConnectionType object.
+ * @param {object} filter - The filter criteria passed to `MakeDataLoader.findMakes`.
+ * @param {object} args - The connection arguments (orderBy, first and after).
+ * @returns {Promise<object>} - Resolves with a MakeConnectionType object.
+ */
+async function resolveMakesConnection(filter, {orderBy, first, after}) {
+    const {field: sortBy = 'makeId', direction = 1} = orderBy ?? {}
+    const {makes, totalCount, hasNextPage} = await MakeDataLoader.findMakes(filter, {
+        sortBy,
+        direction,
+        limit: normalizeLimit(first),
+        after,
+    })
+    const edges = makes.map(make => ({cursor: encodeCursor(make[sortBy], make.makeId), node: make}))
+    return {
+        edges,
+        totalCount,
+        pageInfo: {
+            hasNextPage,
+            hasPreviousPage: false, // only forward pagination is supported
+            startCursor: edges[0]?.cursor ?? null,
+            endCursor: edges[edges.length - 1]?.cursor ?? null,
+        },
+    }
+}
+
 /**
  * Represents the GraphQL schema for the application, defining the available queries.
  * @type {GraphQLSchema}
@@ -34,13 +496,96 @@ export const schema = new GraphQLSchema({
     query: new GraphQLObjectType({
         name: 'Query',
         fields: {
+            make: {
+                type: MakeType,
+                args: {
+                    makeId: { type: new GraphQLNonNull(GraphQLID) },
+                },
+                /**
+                 * Resolves the 'make' query, fetching a single vehicle make.
+                 * @returns {Promise<MakeType|null>} - Resolves with a MakeType object, or null if it doesn't exist.
+                 */
+                resolve: async (_, {makeId}) => await MakeDataLoader.findMake(Number(makeId)),
+            },
             makes: {
-                type: new GraphQLList(MakeType),
+                type: new GraphQLNonNull(MakeConnectionType),
+                args: {
+                    filter: { type: MakeFilterType },
+                    orderBy: { type: MakeOrderType },
+                    first: { type: GraphQLInt },
+                    after: { type: GraphQLString },
+                },
+                /**
+                 * Resolves the 'makes' query, fetching a page of vehicle makes.
+                 * @returns {Promise<object>} - Resolves with a MakeConnectionType object.
+                 */
+                resolve: async (_, {filter, ...args}) => await resolveMakesConnection(filter ?? {}, args),
+            },
+            vehicleTypes: {
+                type: new GraphQLList(VehicleType),
+                /**
+                 * Resolves the 'vehicleTypes' query, fetching the distinct vehicle types of all makes.
+                 * @returns {Promise<VehicleType[]>} - Resolves with an array of VehicleType objects.
+                 */
+                resolve: async () => await MakeDataLoader.findVehicleTypes(),
+            },
+            stats: {
+                type: new GraphQLNonNull(CatalogStatsType),
+                /**
+                 * Resolves the 'stats' query, computing the statistics of the catalog (cached until the next sync).
+                 * @returns {Promise<object>} - Resolves with a CatalogStatsType object.
+                 */
+                resolve: async () => await MakeDataLoader.getStats(),
+            },
+            searchMakes: {
+                type: new GraphQLList(MakeSearchResultType),
+                args: {
+                    query: { type: new GraphQLNonNull(GraphQLString) },
+                    first: { type: GraphQLInt, defaultValue: 10 },
+                },
+                /**
+                 * Resolves the 'searchMakes' query, searching the makes by name.
+                 * @returns {Promise<object[]>} - Resolves with the MakeSearchResultType objects, best matches first.
+                 */
+                resolve: async (_, {query, first}) => await MakeSearch.search(query, {limit: normalizeLimit(first)}),
+            },
+            decodeVin: {
+                type: VinDecodingType,
+                args: {
+                    vin: { type: new GraphQLNonNull(GraphQLString) },
+                },
+                /**
+                 * Resolves the 'decodeVin' query, decoding a VIN.
+                 * @returns {Promise<object>} - Resolves with a VinDecodingType object.
+                 */
+                resolve: async (_, {vin}) => await VinDecoder.decode(vin),
+            },
+            decodeVins: {
+                type: new GraphQLList(VinDecodingType),
+                args: {
+                    vins: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))) },
+                },
+                /**
+                 * Resolves the 'decodeVins' query, decoding many VINs at once. The VINs which couldn't be decoded have an error.
+                 * @returns {Promise<object[]>} - Resolves with the VinDecodingType objects, in the order of the VINs.
+                 */
+                resolve: async (_, {vins}) => await VinDecoder.decodeMany(vins),
+            },
+            auditReport: {
+                type: AuditReportType,
+                args: {
+                    auditId: { type: GraphQLID },
+                },
                 /**
-                 * Resolves the 'makes' query, fetching a list of vehicle makes.
-                 * @returns {Promise<MakeType[]>} - Resolves with an array of MakeType objects.
+                 * Resolves the 'auditReport' query, fetching an audit report, the latest one if no auditId is given.
+                 * Like the audits API, it needs the admin scope; the context is the Express.js request.
+                 * @returns {Promise<AuditReportType|null>} - Resolves with an AuditReportType object, or null if it doesn't exist.
+                 * @throws {ForbiddenError} - If the API key doesn't have the admin scope.
                  */
-                resolve: async () => await MakeDataLoader.getAllMakes(),
+                resolve: async (_, {auditId}, req) => {
+                    assertScope(req, "admin");
+                    return await DataAudit.getReport(auditId);
+                },
             },
         },
     }),
@@ -0,0 +1,90 @@
+import {readFile} from "fs/promises";
+import path from "path";
+import JsonVpicSource, {modelsRequestPath, toDecodedVin} from "./jsonVpicSource.js";
+import {InvalidPayloadError} from "../utils/errors.js";
+
+/**
+ * Reads the vehicle makes, types and models from recorded vPIC JSON responses on disk, so the
+ * sync can run without network access (e.g. in CI). The files are named after the request paths:
+ * `<directory>/getallmakes.json`, `<directory>/GetVehicleTypesForMakeId/<makeId>.json`,
+ * `<directory>/GetModelsForMakeId/<makeId>.json` and
+ * `<directory>/GetModelsForMakeIdYear/makeId/<makeId>/modelyear/<year>.json` and
+ * `<directory>/DecodeVinValues/<vin>.json`.
+ * @class
+ */
+export default class FixtureSource extends JsonVpicSource {
+    /**
+     * Creates a new FixtureSource instance.
+     * @constructor
+     * @param {string} directory - The directory of the recorded responses.
+     */
+    constructor(directory) {
+        super(null)
+        this.directory = directory
+    }
+
+    /**
+     * Reads all vehicle makes from the recorded `getallmakes` response.
+     * @async
+     * @returns {VehicleMake[]} - An array of vehicle makes.
+     */
+    async getAllMakes() {
+        return this._extractMakeObjects(await this._readFixture("getallmakes"))
+    }
+
+    /**
+     * Reads the vehicle types of a make from its recorded `GetVehicleTypesForMakeId` response.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {VehicleType[]} - An array of vehicle types.
+     */
+    async getVehicleTypes(makeId) {
+        return this._extractVehicleTypeObjects(await this._readFixture(`GetVehicleTypesForMakeId/${makeId}`), makeId)
+    }
+
+    /**
+     * Reads the models of a make from its recorded `GetModelsForMakeId` or `GetModelsForMakeIdYear` response.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {object} [options={}] - The read options.
+     * @param {number} [options.year] - Only the models of this model year.
+     * @returns {VehicleModel[]} - An array of vehicle models.
+     */
+    async getModels(makeId, {year} = {}) {
+        return this._extractModelObjects(await this._readFixture(modelsRequestPath(makeId, year)), makeId)
+    }
+
+    /**
+     * Decodes a VIN with its recorded `DecodeVinValues` response.
+     * @async
+     * @param {string} vin - The normalized VIN.
+     * @returns {DecodedVin} - The decoded values.
+     */
+    async decodeVin(vin) {
+        const response = await this._readFixture(`DecodeVinValues/${vin}`)
+        return toDecodedVin(response?.Results?.[0], vin)
+    }
+
+    /**
+     * Reads and parses a recorded response.
+     * @async
+     * @param {string} requestPath - The vPIC request path the response was recorded for.
+     * @returns {object} - The parsed response.
+     * @throws {Error} - If there is no recorded response for the path.
+     * @throws {InvalidPayloadError} - If the recorded response isn't valid JSON.
+     */
+    async _readFixture(requestPath) {
+        const file = path.join(this.directory, `${requestPath}.json`)
+        let json
+        try {
+            json = await readFile(file, "utf8")
+        } catch (e) {
+            throw new Error(`Couldn't read the fixture ${file}: ${e.message}`)
+        }
+        try {
+            return JSON.parse(json)
+        } catch (e) {
+            throw new InvalidPayloadError(requestPath, [`The JSON can't be parsed: ${e.message}`], json)
+        }
+    }
+}
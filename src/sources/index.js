@@ -0,0 +1,23 @@
+import XmlVpicSource from "./xmlVpicSource.js";
+import JsonVpicSource from "./jsonVpicSource.js";
+import FixtureSource from "./fixtureSource.js";
+import {config} from "../utils/config.js";
+
+/**
+ * Creates the data source of the given type.
+ * @param {string} [type=config.dataSource.type] - One of "xml", "json" or "fixture".
+ * @returns {MakeDataSource} - The data source.
+ * @throws {Error} - If the type is unknown.
+ */
+export function createDataSource(type = config.dataSource.type) {
+    switch (type) {
+        case "xml":
+            return new XmlVpicSource()
+        case "json":
+            return new JsonVpicSource()
+        case "fixture":
+            return new FixtureSource(config.dataSource.fixturesDir)
+        default:
+            throw new Error(`Unknown data source "${type}", expected one of: xml, json, fixture.`)
+    }
+}
@@ -0,0 +1,143 @@
+import MakeDataSource from "./makeDataSource.js";
+import {DecodedVin, VehicleMake, VehicleModel, VehicleType} from "../models/vehicleMake.js";
+import {vpicClient} from "../clients/vpicClient.js";
+import {UpstreamError} from "../utils/errors.js";
+import {checkPayload} from "./payloadSchemas.js";
+
+/**
+ * Builds the vPIC request path of the models of a make.
+ * @param {number} makeId - The ID of the vehicle make.
+ * @param {number} [year] - Only the models of this model year.
+ * @returns {string} - The request path.
+ */
+export function modelsRequestPath(makeId, year) {
+    return year === undefined
+        ? `GetModelsForMakeId/${makeId}`
+        : `GetModelsForMakeIdYear/makeId/${makeId}/modelyear/${year}`
+}
+
+/**
+ * Converts the values of a `DecodeVinValues` response into a DecodedVin.
+ * @param {object} values - The decoded values, by vPIC variable name.
+ * @param {string} vin - The decoded VIN, used in the error message.
+ * @returns {DecodedVin} - The decoded VIN.
+ * @throws {UpstreamError} - If the response has no decoded values.
+ */
+export function toDecodedVin(values, vin) {
+    if (!values || typeof values !== "object") throw new UpstreamError(`vPIC returned no decoding of the VIN ${vin}.`)
+    // the response has every variable, mostly empty
+    const attributes = Object.fromEntries(Object.entries(values)
+        .map(([name, value]) => [name, String(value ?? "").trim()])
+        .filter(([, value]) => value !== ""))
+    const toNumber = value => value ? Number(value) : null
+    return new DecodedVin({
+        makeId: toNumber(attributes.MakeID),
+        makeName: attributes.Make,
+        modelId: toNumber(attributes.ModelID),
+        modelName: attributes.Model,
+        modelYear: toNumber(attributes.ModelYear),
+        manufacturer: attributes.Manufacturer,
+        vehicleTypeName: attributes.VehicleType,
+        bodyClass: attributes.BodyClass,
+        trim: attributes.Trim,
+        series: attributes.Series,
+        errorCode: attributes.ErrorCode,
+        errorText: attributes.ErrorText,
+        attributes,
+    })
+}
+
+/**
+ * Reads the vehicle makes, types and models from the JSON format (`format=json`) of the vPIC API.
+ * Unlike the XML format, the results are always arrays, so no special cases are needed.
+ * @class
+ */
+export default class JsonVpicSource extends MakeDataSource {
+    /**
+     * Creates a new JsonVpicSource instance.
+     * @constructor
+     * @param {VpicClient} [client=vpicClient] - The client used to call the vPIC API.
+     */
+    constructor(client = vpicClient) {
+        super()
+        this.client = client
+    }
+
+    /**
+     * Reads all vehicle makes from the vPIC API.
+     * @async
+     * @returns {VehicleMake[]} - An array of vehicle makes.
+     */
+    async getAllMakes() {
+        const response = await this.client.get("getallmakes", {format: "json"})
+        return this._extractMakeObjects(response)
+    }
+
+    /**
+     * Reads the vehicle types of a make from the vPIC API.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {VehicleType[]} - An array of vehicle types.
+     */
+    async getVehicleTypes(makeId) {
+        const response = await this.client.get(`GetVehicleTypesForMakeId/${makeId}`, {format: "json"})
+        return this._extractVehicleTypeObjects(response, makeId)
+    }
+
+    /**
+     * Reads the models of a make from the vPIC API, either all of them or those of a model year.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {object} [options={}] - The read options.
+     * @param {number} [options.year] - Only the models of this model year.
+     * @returns {VehicleModel[]} - An array of vehicle models.
+     */
+    async getModels(makeId, {year} = {}) {
+        const response = await this.client.get(modelsRequestPath(makeId, year), {format: "json"})
+        return this._extractModelObjects(response, makeId)
+    }
+
+    /**
+     * Decodes a VIN with the vPIC API.
+     * @async
+     * @param {string} vin - The normalized VIN.
+     * @returns {DecodedVin} - The decoded values.
+     */
+    async decodeVin(vin) {
+        const response = await this.client.get(`DecodeVinValues/${vin}`, {format: "json"})
+        return toDecodedVin(response?.Results?.[0], vin)
+    }
+
+    /**
+     * Extracts vehicle make objects from a JSON response, after checking it against its schema.
+     * @param {object} response - The JSON response of `getallmakes`.
+     * @returns {VehicleMake[]} - An array of vehicle make objects.
+     * @throws {InvalidPayloadError} - If the response is invalid.
+     */
+    _extractMakeObjects(response) {
+        return checkPayload("getallmakes", response)
+            .map(make => new VehicleMake(make.Make_ID, make.Make_Name.trim()))
+    }
+
+    /**
+     * Extracts vehicle type objects from a JSON response, after checking it against its schema.
+     * @param {object} response - The JSON response of `GetVehicleTypesForMakeId`.
+     * @param {number} makeId - The ID of the vehicle make, used in the errors.
+     * @returns {VehicleType[]} - An array of vehicle type objects.
+     * @throws {InvalidPayloadError} - If the response is invalid.
+     */
+    _extractVehicleTypeObjects(response, makeId) {
+        return checkPayload(`GetVehicleTypesForMakeId/${makeId}`, response)
+            .map(vehicleType => new VehicleType(vehicleType.VehicleTypeId, vehicleType.VehicleTypeName.trim()))
+    }
+
+    /**
+     * Extracts vehicle model objects from a JSON response.
+     * @param {object} response - The JSON response of `GetModelsForMakeId` or `GetModelsForMakeIdYear`.
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {VehicleModel[]} - An array of vehicle model objects.
+     */
+    _extractModelObjects(response, makeId) {
+        return response?.Results?.map(model => new VehicleModel(model?.Model_ID, model?.Model_Name?.trim(), makeId))
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * The interface of the sources the vehicle makes, types and models are loaded from.
+ * Implementations return the data as VehicleMake, VehicleType and VehicleModel objects,
+ * hiding the format of the upstream responses from MakeDataLoader.
+ * @class
+ * @abstract
+ */
+export default class MakeDataSource {
+    /**
+     * Reads all vehicle makes.
+     * @async
+     * @abstract
+     * @returns {Promise<VehicleMake[]>} - An array of vehicle makes without vehicle types.
+     */
+    async getAllMakes() {
+        throw new Error(`${this.constructor.name} doesn't implement getAllMakes.`)
+    }
+
+    /**
+     * Reads the vehicle types of a make.
+     * @async
+     * @abstract
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {Promise<VehicleType[]>} - An array of vehicle types.
+     */
+    async getVehicleTypes(makeId) {
+        throw new Error(`${this.constructor.name} doesn't implement getVehicleTypes.`)
+    }
+
+    /**
+     * Reads the models of a make, either all of them or those of a model year.
+     * @async
+     * @abstract
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {object} [options={}] - The read options.
+     * @param {number} [options.year] - Only the models of this model year.
+     * @returns {Promise<VehicleModel[]>} - An array of vehicle models without model years.
+     */
+    async getModels(makeId, {year} = {}) {
+        throw new Error(`${this.constructor.name} doesn't implement getModels.`)
+    }
+
+    /**
+     * Decodes a VIN.
+     * @async
+     * @abstract
+     * @param {string} vin - The normalized VIN.
+     * @returns {Promise<DecodedVin>} - The decoded values.
+     */
+    async decodeVin(vin) {
+        throw new Error(`${this.constructor.name} doesn't implement decodeVin.`)
+    }
+}
@@ -0,0 +1,79 @@
+import {validateSchema} from "../utils/schema.js";
+import {InvalidPayloadError} from "../utils/errors.js";
+
+/**
+ * Builds the schema of a vPIC response: its `Count` and the `Results` array of the given items.
+ * @param {object} items - The schema of a result.
+ * @param {object} [options={}] - The schema options.
+ * @param {number} [options.minItems=0] - The minimum number of results.
+ * @returns {object} - The schema, see `validateSchema`.
+ */
+function responseSchema(items, {minItems = 0} = {}) {
+    return {
+        type: "object",
+        required: ["Count", "Results"],
+        properties: {
+            Count: {type: "integer", min: 0},
+            Results: {type: "array", minItems, items},
+        },
+    }
+}
+
+const NAME = {type: "string", minLength: 1}
+
+/**
+ * The schemas of the vPIC responses, by endpoint. The XML responses are checked once their
+ * results are turned into arrays, so both formats share them.
+ * @type {Object<string, object>}
+ */
+export const PAYLOAD_SCHEMAS = {
+    // vPIC always has thousands of makes, an empty list is a broken response
+    getallmakes: responseSchema({
+        type: "object",
+        required: ["Make_ID", "Make_Name"],
+        properties: {Make_ID: {type: "integer", min: 1}, Make_Name: NAME},
+    }, {minItems: 1}),
+    GetVehicleTypesForMakeId: responseSchema({
+        type: "object",
+        required: ["VehicleTypeId", "VehicleTypeName"],
+        properties: {VehicleTypeId: {type: "integer", min: 1}, VehicleTypeName: NAME},
+    }),
+}
+
+/**
+ * Checks a vPIC response against the schema of its endpoint, and that it has as many results
+ * as its `Count` says, which a truncated response doesn't.
+ * @param {string} requestPath - The vPIC request path, e.g. "GetVehicleTypesForMakeId/440".
+ * @param {{Count: number, Results: object[]}} response - The response, with its results in an array.
+ * @param {*} [payload=response] - The payload to quarantine if the response is rejected, e.g. the raw XML.
+ * @returns {object[]} - The results.
+ * @throws {InvalidPayloadError} - If the response is invalid.
+ */
+export function checkPayload(requestPath, response, payload = response) {
+    const endpoint = requestPath.split("/")[0]
+    const problems = validateSchema(response, PAYLOAD_SCHEMAS[endpoint])
+    if (!problems.length && response.Count !== response.Results.length)
+        problems.push(`$.Count is ${response.Count} but there are ${response.Results.length} results`)
+    if (problems.length) throw new InvalidPayloadError(requestPath, problems, payload)
+    return response.Results
+}
+
+/**
+ * Turns a number of the XML parser, which returns every value as a string, into a number.
+ * Missing and empty values are kept, so they are reported as such.
+ * @param {*} value - The parsed value.
+ * @returns {*} - The number, or the value if it's missing.
+ */
+export function toNumber(value) {
+    return value === undefined || value === null || value === "" ? value : Number(value)
+}
+
+/**
+ * Turns a value of the XML parser into an array: it returns a single child element as an
+ * object and no children as an empty string.
+ * @param {*} value - The parsed value.
+ * @returns {Array} - The children.
+ */
+export function toArray(value) {
+    return value === undefined || value === null || value === "" ? [] : [value].flat()
+}
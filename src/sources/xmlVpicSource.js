@@ -0,0 +1,171 @@
+import xml2js from "xml2js";
+import MakeDataSource from "./makeDataSource.js";
+import {VehicleMake, VehicleModel, VehicleType} from "../models/vehicleMake.js";
+import {vpicClient} from "../clients/vpicClient.js";
+import {modelsRequestPath, toDecodedVin} from "./jsonVpicSource.js";
+import {checkPayload, toArray, toNumber} from "./payloadSchemas.js";
+import {InvalidPayloadError} from "../utils/errors.js";
+
+/**
+ * Reads the vehicle makes, types and models from the XML format of the vPIC API.
+ * @class
+ */
+export default class XmlVpicSource extends MakeDataSource {
+    /**
+     * Creates a new XmlVpicSource instance.
+     * @constructor
+     * @param {VpicClient} [client=vpicClient] - The client used to call the vPIC API.
+     */
+    constructor(client = vpicClient) {
+        super()
+        this.client = client
+    }
+
+    /**
+     * Reads all vehicle makes from the vPIC API.
+     * @async
+     * @returns {VehicleMake[]} - An array of vehicle makes.
+     */
+    async getAllMakes() {
+        const xml = await this.client.get("getallmakes", {format: "XML"})
+        const jsonResponse = await this._parseResponse("getallmakes", xml)
+        return this._extractMakeObjects(jsonResponse?.Response, xml)
+    }
+
+    /**
+     * Reads the vehicle types of a make from the vPIC API.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {VehicleType[]} - An array of vehicle types.
+     */
+    async getVehicleTypes(makeId) {
+        const requestPath = `GetVehicleTypesForMakeId/${makeId}`
+        const xml = await this.client.get(requestPath, {format: "xml"})
+        const jsonResponse = await this._parseResponse(requestPath, xml)
+        return this._extractVehicleTypeObjects(jsonResponse, makeId, xml)
+    }
+
+    /**
+     * Reads the models of a make from the vPIC API, either all of them or those of a model year.
+     * @async
+     * @param {number} makeId - The ID of the vehicle make.
+     * @param {object} [options={}] - The read options.
+     * @param {number} [options.year] - Only the models of this model year.
+     * @returns {VehicleModel[]} - An array of vehicle models.
+     */
+    async getModels(makeId, {year} = {}) {
+        const xml = await this.client.get(modelsRequestPath(makeId, year), {format: "xml"})
+        const jsonResponse = await this._xml2Json(xml)
+        return this._extractModelObjects(jsonResponse, makeId)
+    }
+
+    /**
+     * Decodes a VIN with the vPIC API.
+     * @async
+     * @param {string} vin - The normalized VIN.
+     * @returns {DecodedVin} - The decoded values.
+     */
+    async decodeVin(vin) {
+        const xml = await this.client.get(`DecodeVinValues/${vin}`, {format: "xml"})
+        const jsonResponse = await this._xml2Json(xml)
+        return toDecodedVin(jsonResponse?.Response?.Results?.DecodedVINValues, vin)
+    }
+
+    /**
+     * Extracts vehicle make objects from a JSON response, after checking it against its schema.
+     * The xml parser returns every value as a string, so the IDs are converted to numbers.
+     * @param {object} jsObject - Parsed JSON response.
+     * @param {string} [xml] - The raw response, quarantined if it's invalid.
+     * @returns {VehicleMake[]} - An array of vehicle make objects.
+     * @throws {InvalidPayloadError} - If the response is invalid.
+     */
+    _extractMakeObjects(jsObject, xml = jsObject) {
+        const response = {
+            Count: toNumber(jsObject?.Count),
+            Results: toArray(jsObject?.Results?.AllVehicleMakes)
+                .map(make => ({...make, Make_ID: toNumber(make?.Make_ID)})),
+        }
+        return checkPayload("getallmakes", response, xml)
+            .map(make => new VehicleMake(make.Make_ID, make.Make_Name))
+    }
+
+    /**
+     * Extracts vehicle type objects from a JSON response, after checking it against its schema.
+     * @param {object} jsObject - Parsed JSON response.
+     * @param {number} makeId - The ID of the vehicle make, used in the errors.
+     * @param {string} [xml] - The raw response, quarantined if it's invalid.
+     * @returns {VehicleType[]} - An array of vehicle type objects.
+     * @throws {InvalidPayloadError} - If the response is invalid.
+     */
+    _extractVehicleTypeObjects(jsObject, makeId, xml = jsObject) {
+        // because of xml conversion if there is only one child,
+        // it won't return an array or empty array(if it's empty)
+        const response = {
+            Count: toNumber(jsObject?.Response?.Count),
+            Results: toArray(jsObject?.Response?.Results?.VehicleTypesForMakeIds)
+                .map(vehicleType => ({...vehicleType, VehicleTypeId: toNumber(vehicleType?.VehicleTypeId)})),
+        }
+        return checkPayload(`GetVehicleTypesForMakeId/${makeId}`, response, xml)
+            .map(vehicleType => new VehicleType(vehicleType.VehicleTypeId, vehicleType.VehicleTypeName))
+    }
+
+    /**
+     * Extracts vehicle model objects from a JSON response.
+     * @param {object} jsObject - Parsed JSON response.
+     * @param {number} makeId - The ID of the vehicle make.
+     * @returns {VehicleModel[]} - An array of vehicle model objects.
+     */
+    _extractModelObjects(jsObject, makeId) {
+        if (jsObject?.Response?.Count == 0) return []
+        // the name of the result elements differs between the models endpoints
+        // (e.g. ModelsForMakeId and MakeModels), and a single one isn't in an array
+        const results = Object.values(jsObject?.Response?.Results ?? {})[0]
+        return [results].flat().map(
+            model => new VehicleModel(Number(model?.Model_ID), String(model?.Model_Name ?? ""), makeId))
+    }
+
+    /**
+     * Parses an XML response, rejecting it if it isn't valid XML, e.g. when it's truncated.
+     * @async
+     * @param {string} requestPath - The vPIC request path of the response.
+     * @param {string} xml - The response.
+     * @returns {object} - Parsed JSON data.
+     * @throws {InvalidPayloadError} - If the XML can't be parsed.
+     */
+    async _parseResponse(requestPath, xml) {
+        try {
+            return await this._xml2Json(xml)
+        } catch (e) {
+            throw new InvalidPayloadError(requestPath, [`The XML can't be parsed: ${e.message}`], xml)
+        }
+    }
+
+    /**
+     * Converts XML to JSON with specified options.
+     * @async
+     * @param {string} xml - XML data to be converted.
+     * @param {object} [options={}] - Options for XML to JSON conversion.
+     * @returns {object} - Parsed JSON data.
+     */
+    async _xml2Json(xml, options = {}) {
+        const _options = {
+            ignoreAttrs: true,
+            normalize: true,
+            parseNumbers: true,
+            parseBooleans: true,
+            trim: true,
+            explicitArray: false,
+            ...options
+        };
+        const result = await new Promise((resolve, reject) => {
+            xml2js.parseString(xml, _options, (err, result) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+        return result
+    }
+}
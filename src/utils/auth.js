@@ -0,0 +1,87 @@
+import ApiKeys from "../entities/apiKeys.js";
+import {asyncHandler} from "./http.js";
+import {ForbiddenError, TooManyRequestsError, UnauthorizedError} from "./errors.js";
+import {apiKeyRequestsTotal} from "./metrics.js";
+import {config} from "./config.js";
+
+/**
+ * Reads the API key of a request, from the `X-API-Key` header or an `Authorization: Bearer` header.
+ *
+ * @param {express.Request} req - The Express.js request object.
+ * @returns {string|null} - The API key, or null if the request has none.
+ */
+function readApiKey(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") ?? "");
+    return req.get("X-API-Key") || bearer?.[1] || null;
+}
+
+/**
+ * Whether a request loads the GraphiQL IDE itself, which holds no data and must load without a
+ * key, so the key can be entered in its headers editor.
+ *
+ * @param {express.Request} req - The Express.js request object.
+ * @returns {boolean} - True for a GET of the IDE without a query.
+ */
+function isGraphiQLPage(req) {
+    return config.server.graphiql && req.method === "GET" && !req.query.query
+        && req.accepts(["json", "html"]) === "html";
+}
+
+/**
+ * Checks that the API key of a request holds a scope, when `auth.enabled`, e.g. for a GraphQL
+ * field needing more than the scope required on `/graphql`.
+ *
+ * @param {express.Request} req - The Express.js request object, with the key kept by `requireApiKey`.
+ * @param {string} scope - The scope the key must hold, see API_KEY_SCOPES.
+ * @throws {ForbiddenError} - If the key doesn't hold the scope.
+ */
+export function assertScope(req, scope) {
+    if (!config.auth.enabled) return;
+    if (!req?.apiKey || !ApiKeys.hasScope(req.apiKey, scope)) {
+        throw new ForbiddenError(`The API key doesn't have the ${scope} scope.`);
+    }
+}
+
+/**
+ * Creates an Express.js middleware requiring an API key with a scope, when `auth.enabled`.
+ * The key is counted against its rate limit and daily quota, the `RateLimit-*` and `X-Quota-*`
+ * headers are set, and the key is kept in `req.apiKey` for the handlers.
+ *
+ * @param {string} scope - The scope the key must hold, see API_KEY_SCOPES.
+ * @param {object} [options={}] - The middleware options.
+ * @param {boolean} [options.allowGraphiQL=false] - Whether the GraphiQL IDE loads without a key.
+ * @returns {Function} - An Express.js middleware.
+ */
+export function requireApiKey(scope, {allowGraphiQL = false} = {}) {
+    return asyncHandler(async (req, res, next) => {
+        if (!config.auth.enabled || (allowGraphiQL && isGraphiQLPage(req))) return next();
+        // the responses differ by key, so the shared caches must not mix them up
+        res.vary("X-API-Key").vary("Authorization");
+        const apiKey = readApiKey(req);
+        if (!apiKey) {
+            res.set("WWW-Authenticate", "Bearer");
+            throw new UnauthorizedError("An API key is required, in the X-API-Key header or as a Bearer token.");
+        }
+        const key = await ApiKeys.authenticate(apiKey);
+        if (!key) {
+            res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+            throw new UnauthorizedError("The API key is invalid, revoked or expired.");
+        }
+        if (!ApiKeys.hasScope(key, scope)) {
+            apiKeyRequestsTotal.inc({key_id: key.keyId, result: "forbidden"});
+            throw new ForbiddenError(`The API key doesn't have the ${scope} scope.`);
+        }
+        const {exceeded, retryAfterSeconds, headers} = await ApiKeys.consume(key);
+        res.set(headers);
+        if (exceeded) {
+            apiKeyRequestsTotal.inc({key_id: key.keyId, result: exceeded === "quota" ? "quota_exceeded" : "rate_limited"});
+            res.set("Retry-After", String(retryAfterSeconds));
+            throw new TooManyRequestsError(exceeded === "quota"
+                ? "The daily quota of the API key is used up."
+                : "The rate limit of the API key is exceeded.", {retryAfterSeconds});
+        }
+        apiKeyRequestsTotal.inc({key_id: key.keyId, result: "allowed"});
+        req.apiKey = key;
+        next();
+    });
+}
@@ -0,0 +1,131 @@
+import {config} from "./config.js";
+import {cacheRequestsTotal} from "./metrics.js";
+
+// how long the stored data version is trusted before it's read again
+const VERSION_MAX_AGE_MS = 1000;
+
+/**
+ * An in-process cache of the database reads. Every write to the data starts a new data version,
+ * stored in the database (see `useVersionSource`) so all the processes share it: the version is
+ * read again at most every second, and the cached reads are dropped as soon as it changes,
+ * whichever process wrote. Entries are evicted in least recently used order once `maxEntries`
+ * is reached, and expire after `ttlSeconds` in case something changed the data without starting
+ * a new version.
+ *
+ * The data version also gives the HTTP responses their `ETag` and `Last-Modified` headers, so
+ * every instance of the service answers the same data with the same validators.
+ * @class
+ */
+export class ReadCache {
+    /**
+     * Creates a new ReadCache instance.
+     * @constructor
+     * @param {object} [options={}] - The cache options.
+     * @param {boolean} [options.enabled=true] - Whether the reads are cached at all.
+     * @param {number} [options.maxEntries=1000] - The maximum number of cached reads.
+     * @param {number} [options.ttlSeconds=3600] - How long a read stays cached, 0 for no limit.
+     */
+    constructor({enabled = true, maxEntries = 1000, ttlSeconds = 3600} = {}) {
+        this.enabled = enabled;
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlSeconds * 1000;
+        this.entries = new Map();
+        this.loadVersion = async () => null;
+        this.current = null;
+        this.version = null;
+        this.lastModified = null;
+    }
+
+    /**
+     * Sets where the data version is read from.
+     * @param {Function} loadVersion - An async function reading the stored data version, resolving with
+     * an object with its `version` (a string) and `lastModified` (a Date), or null if there is no data yet.
+     */
+    useVersionSource(loadVersion) {
+        this.loadVersion = loadVersion;
+        this.invalidate();
+    }
+
+    /**
+     * Reads the stored data version, unless it was read less than a second ago, and drops the
+     * cached reads if it changed. Concurrent calls share one read, and a missing version or a
+     * failed read isn't kept, so it's read again by the next call.
+     * @async
+     * @returns {object|null} - What the version source resolved with.
+     */
+    async refresh() {
+        if (this.current && this.current.readAt > Date.now() - VERSION_MAX_AGE_MS) return this.current.value;
+        const current = {value: this.loadVersion(), readAt: Date.now()};
+        this.current = current;
+        try {
+            const value = await current.value;
+            if (!value && this.current === current) this.current = null;
+            // an older read finishing late doesn't replace the version
+            if (this.current === current || !this.current) this._setVersion(value);
+            return value;
+        } catch (e) {
+            if (this.current === current) this.current = null;
+            throw e;
+        }
+    }
+
+    /**
+     * Retrieves a cached read, or runs and caches it. Concurrent calls with the same key share
+     * one read, and a failed read isn't cached.
+     * @async
+     * @param {string} key - The key of the read, e.g. the method name and its arguments.
+     * @param {Function} load - An async function reading the value from the database.
+     * @returns {*} - The value.
+     */
+    async get(key, load) {
+        if (!this.enabled) return load();
+        await this.refresh();
+        const entry = this.entries.get(key);
+        if (entry && (!this.ttlMs || entry.expiresAt > Date.now())) {
+            // re-inserted to mark it as the most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            cacheRequestsTotal.inc({result: "hit"});
+            return entry.value;
+        }
+        cacheRequestsTotal.inc({result: "miss"});
+        const value = load();
+        this.entries.delete(key);
+        this.entries.set(key, {value, expiresAt: Date.now() + this.ttlMs});
+        if (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+        try {
+            return await value;
+        } catch (e) {
+            if (this.entries.get(key)?.value === value) this.entries.delete(key);
+            throw e;
+        }
+    }
+
+    /**
+     * Drops all the cached reads, e.g. after this process wrote, and reads the data version again
+     * on the next call.
+     */
+    invalidate() {
+        this.entries.clear();
+        this.current = null;
+    }
+
+    /**
+     * Adopts a data version, dropping the cached reads of another one.
+     * @param {object|null} value - The data version, see `useVersionSource`.
+     */
+    _setVersion(value) {
+        const version = value?.version ?? null;
+        if (version === this.version) return;
+        this.entries.clear();
+        this.version = version;
+        // HTTP dates have a precision of seconds
+        this.lastModified = value?.lastModified ? new Date(Math.floor(value.lastModified.getTime() / 1000) * 1000) : null;
+    }
+}
+
+/**
+ * The read cache shared by the data loaders.
+ * @type {ReadCache}
+ */
+export const readCache = new ReadCache(config.cache);
@@ -0,0 +1,288 @@
+import {readFileSync} from "fs";
+import {ConfigError} from "./errors.js";
+
+/**
+ * The settings of the service, grouped by section. Each setting is read from its environment
+ * variable, then from the config file (the same sections and keys, as JSON), then its default.
+ */
+const SETTINGS = {
+    server: {
+        port: {env: "PORT", type: "integer", min: 1, max: 65535, default: 3000},
+        // the GraphiQL IDE at /graphql, for local development
+        graphiql: {env: "GRAPHIQL_ENABLED", type: "boolean", default: false},
+        // how long a shutdown waits for the cancelled sync to stop, within the grace period of the container
+        shutdownTimeoutSeconds: {env: "SHUTDOWN_TIMEOUT_SECONDS", type: "number", min: 0, default: 20},
+    },
+    auth: {
+        // requires an API key on the REST and GraphQL APIs, only turned off for local development
+        enabled: {env: "AUTH_ENABLED", type: "boolean", default: true},
+        // an admin key accepted besides the stored ones, to create the first keys
+        bootstrapKey: {env: "AUTH_BOOTSTRAP_KEY", type: "string", pattern: /^.{32,}$/, hint: "at least 32 characters long"},
+        defaultRateLimitPerMinute: {env: "AUTH_DEFAULT_RATE_LIMIT_PER_MINUTE", type: "integer", min: 1, default: 60},
+        // 0 for no daily quota
+        defaultQuotaPerDay: {env: "AUTH_DEFAULT_QUOTA_PER_DAY", type: "integer", min: 0, default: 10000},
+        // how long a key is kept in memory, so a revoked key may still work this long on the other instances
+        keyCacheSeconds: {env: "AUTH_KEY_CACHE_SECONDS", type: "number", min: 0, default: 30},
+    },
+    mongo: {
+        uri: {env: "MONGODB_URI", type: "string", pattern: /^mongodb(\+srv)?:\/\//, hint: "a mongodb:// or mongodb+srv:// URI", default: "mongodb://mongo:27017/"},
+        dbName: {env: "MONGODB_DB_NAME", type: "string", default: "bimm_service"},
+        makesCollection: {env: "MONGODB_MAKES_COLLECTION", type: "string", default: "vehicle_makes"},
+        modelsCollection: {env: "MONGODB_MODELS_COLLECTION", type: "string", default: "vehicle_models"},
+        vinCollection: {env: "MONGODB_VIN_COLLECTION", type: "string", default: "vin_decodings"},
+        username: {env: "MONGODB_USERNAME", type: "string"},
+        password: {env: "MONGODB_PASSWORD", type: "string"},
+        authSource: {env: "MONGODB_AUTH_SOURCE", type: "string"},
+        tls: {env: "MONGODB_TLS", type: "boolean", default: false},
+        tlsCAFile: {env: "MONGODB_TLS_CA_FILE", type: "string"},
+        tlsCertificateKeyFile: {env: "MONGODB_TLS_CERT_KEY_FILE", type: "string"},
+        tlsAllowInvalidCertificates: {env: "MONGODB_TLS_ALLOW_INVALID_CERTIFICATES", type: "boolean", default: false},
+        maxPoolSize: {env: "MONGODB_MAX_POOL_SIZE", type: "integer", min: 1, default: 10},
+        serverSelectionTimeoutMs: {env: "MONGODB_SERVER_SELECTION_TIMEOUT_MS", type: "integer", min: 1, default: 5000},
+        // the attempts to connect at startup, e.g. while the MongoDB container is still starting
+        connectRetries: {env: "MONGODB_CONNECT_RETRIES", type: "integer", min: 0, default: 10},
+        connectRetryDelayMs: {env: "MONGODB_CONNECT_RETRY_DELAY_MS", type: "integer", min: 0, default: 3000},
+    },
+    vpic: {
+        // can point to a local mock server
+        baseUrl: {env: "VPIC_BASE_URL", type: "string", pattern: /^https?:\/\//, hint: "an http:// or https:// URL", default: "https://vpic.nhtsa.dot.gov/api/vehicles/"},
+        requestsPerSecond: {env: "VPIC_REQUESTS_PER_SECOND", type: "number", gt: 0, default: 5},
+        timeoutMs: {env: "VPIC_TIMEOUT_MS", type: "integer", min: 1, default: 30000},
+        maxRetries: {env: "VPIC_MAX_RETRIES", type: "integer", min: 0, default: 4},
+        // a longer Retry-After fails the request, which the retry rounds of the sync try again later
+        maxRetryAfterMs: {env: "VPIC_MAX_RETRY_AFTER_MS", type: "integer", min: 0, default: 300000},
+    },
+    dataSource: {
+        // "xml" or "json" (the vPIC API), or "fixture" (recorded responses)
+        type: {env: "DATA_SOURCE", type: "string", values: ["xml", "json", "fixture"], default: "xml"},
+        fixturesDir: {env: "FIXTURES_DIR", type: "string", default: "fixtures/vpic"},
+    },
+    seed: {
+        // a snapshot (see SeedSnapshot) loaded at startup into an empty database, none if unset
+        file: {env: "SEED_FILE", type: "string"},
+    },
+    vin: {
+        // the data source decoding the VINs, the DATA_SOURCE if unset
+        source: {env: "VIN_DECODER_SOURCE", type: "string", values: ["xml", "json", "fixture"]},
+        verifyCheckDigit: {env: "VIN_VERIFY_CHECK_DIGIT", type: "boolean", default: true},
+        // how long a decoded VIN is kept in MongoDB, 0 for no limit
+        cacheTtlDays: {env: "VIN_CACHE_TTL_DAYS", type: "number", min: 0, default: 30},
+        batchMaxSize: {env: "VIN_BATCH_MAX_SIZE", type: "integer", min: 1, max: 1000, default: 50},
+        concurrentRequests: {env: "VIN_CONCURRENT_REQUESTS", type: "integer", min: 1, default: 5},
+    },
+    webhooks: {
+        timeoutMs: {env: "WEBHOOK_TIMEOUT_MS", type: "integer", min: 1, default: 10000},
+        // the first attempt included, retried with exponential backoff between the two delays
+        maxAttempts: {env: "WEBHOOK_MAX_ATTEMPTS", type: "integer", min: 1, default: 8},
+        retryBaseDelaySeconds: {env: "WEBHOOK_RETRY_BASE_DELAY_SECONDS", type: "number", min: 0, default: 30},
+        retryMaxDelaySeconds: {env: "WEBHOOK_RETRY_MAX_DELAY_SECONDS", type: "number", min: 0, default: 6 * 3600},
+        // how often the pending deliveries are looked for, new events are delivered right away
+        pollIntervalSeconds: {env: "WEBHOOK_POLL_INTERVAL_SECONDS", type: "number", gt: 0, default: 15},
+        concurrentDeliveries: {env: "WEBHOOK_CONCURRENT_DELIVERIES", type: "integer", min: 1, default: 5},
+        // allows the URLs on this host or the internal network, e.g. a receiver on localhost for local development
+        allowPrivateTargets: {env: "WEBHOOK_ALLOW_PRIVATE_TARGETS", type: "boolean", default: false},
+    },
+    cache: {
+        enabled: {env: "CACHE_ENABLED", type: "boolean", default: true},
+        maxEntries: {env: "CACHE_MAX_ENTRIES", type: "integer", min: 1, default: 1000},
+        // 0 keeps the reads until the data version changes, otherwise also limits how long a read is kept
+        ttlSeconds: {env: "CACHE_TTL_SECONDS", type: "integer", min: 0, default: 3600},
+        control: {env: "CACHE_CONTROL", type: "string", default: "public, max-age=60"},
+    },
+    logging: {
+        level: {env: "LOG_LEVEL", type: "string", values: ["debug", "info", "warn", "error", "silent"], default: "info"},
+        // "json" (a JSON object per line, for the log aggregator) or "text" (readable, for local development)
+        format: {env: "LOG_FORMAT", type: "string", values: ["json", "text"], default: "json"},
+        // the level and format of single modules (see createLogger), e.g. "sync=debug,mongo=warn"
+        moduleLevels: {env: "LOG_MODULE_LEVELS", type: "map", values: ["debug", "info", "warn", "error", "silent"], default: {}},
+        moduleFormats: {env: "LOG_MODULE_FORMATS", type: "map", values: ["json", "text"], default: {}},
+        // the header carrying the ID of a request, generated if the client doesn't send it
+        requestIdHeader: {env: "LOG_REQUEST_ID_HEADER", type: "string", pattern: /^[A-Za-z0-9-]+$/, hint: "a header name", default: "X-Request-Id"},
+        // the makes saved by a sync are summarized every that many makes, each one is only logged at the debug level
+        progressEvery: {env: "LOG_PROGRESS_EVERY", type: "integer", min: 1, default: 1000},
+    },
+    sync: {
+        // setInterval can't handle more than 24.8 days
+        intervalHours: {env: "SYNC_INTERVAL_HOURS", type: "number", gt: 0, max: 24 * 24, default: 6},
+        runOnStart: {env: "SYNC_RUN_ON_START", type: "boolean", default: true},
+        // the request rate itself is limited by the vPIC client
+        concurrentRequests: {env: "SYNC_CONCURRENT_REQUESTS", type: "integer", min: 1, default: 5},
+        // how many times the makes which failed are retried
+        retryRounds: {env: "SYNC_RETRY_ROUNDS", type: "integer", min: 0, default: 3},
+        retryRoundDelaySeconds: {env: "SYNC_RETRY_ROUND_DELAY_SECONDS", type: "number", min: 0, default: 30},
+        // -1 to load all vehicle types, otherwise the number of makes to load
+        testRequests: {env: "SYNC_TEST_REQUESTS", type: "integer", min: -1, default: -1},
+        loadModels: {env: "SYNC_LOAD_MODELS", type: "boolean", default: true},
+        // the model years whose models are loaded for every make, e.g. "2015-2024,2026"; each one is a request per make
+        modelYears: {env: "SYNC_MODEL_YEARS", type: "years", min: 1900, max: 2100, default: []},
+        // a full sync removing more of the makes than this is rejected, e.g. after a truncated response
+        maxRemovedPercent: {env: "SYNC_MAX_REMOVED_PERCENT", type: "number", min: 0, max: 100, default: 10},
+        quarantineRetentionDays: {env: "SYNC_QUARANTINE_RETENTION_DAYS", type: "integer", min: 1, default: 30},
+        // a full sync giving up on the vehicle types of more of the makes than this isn't promoted
+        maxFailedPercent: {env: "SYNC_MAX_FAILED_PERCENT", type: "number", min: 0, max: 100, default: 5},
+    },
+};
+
+/**
+ * Converts a raw setting value into its type and checks it against the constraints of the setting.
+ *
+ * @param {*} raw - The value from the environment (a string) or the config file.
+ * @param {object} spec - The setting definition.
+ * @returns {{value?: *, problem?: string}} - The parsed value, or a description of the problem.
+ */
+function parseSetting(raw, spec) {
+    let value = raw;
+    if (spec.type === "integer" || spec.type === "number") {
+        value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+        if (typeof value !== "number" || !Number.isFinite(value)) return {problem: "must be a number"};
+        if (spec.type === "integer" && !Number.isInteger(value)) return {problem: "must be an integer"};
+        if (spec.min !== undefined && value < spec.min) return {problem: `must be at least ${spec.min}`};
+        if (spec.gt !== undefined && value <= spec.gt) return {problem: `must be greater than ${spec.gt}`};
+        if (spec.max !== undefined && value > spec.max) return {problem: `must be at most ${spec.max}`};
+    } else if (spec.type === "years") {
+        return parseYears(raw, spec);
+    } else if (spec.type === "map") {
+        return parseMap(raw, spec);
+    } else if (spec.type === "boolean") {
+        if (typeof raw === "string") value = {true: true, "1": true, false: false, "0": false}[raw.toLowerCase()];
+        if (typeof value !== "boolean") return {problem: "must be true or false"};
+    } else {
+        if (typeof value !== "string") return {problem: "must be a string"};
+        if (spec.values && !spec.values.includes(value)) return {problem: `must be one of: ${spec.values.join(", ")}`};
+        if (spec.pattern && !spec.pattern.test(value)) return {problem: `must be ${spec.hint}`};
+    }
+    return {value};
+}
+
+/**
+ * Parses a list of years and year ranges, e.g. "2015-2024,2026" or, in the config file,
+ * [2015, 2016] as well.
+ *
+ * @param {string|number[]} raw - The value from the environment or the config file.
+ * @param {object} spec - The setting definition.
+ * @returns {{value?: number[], problem?: string}} - The sorted distinct years, or a description of the problem.
+ */
+function parseYears(raw, spec) {
+    const parts = Array.isArray(raw) ? raw.map(String) : typeof raw === "string" ? raw.split(",") : null;
+    const years = new Set();
+    for (const part of parts ?? [null]) {
+        const match = /^\s*(\d{4})\s*(?:-\s*(\d{4})\s*)?$/.exec(part ?? "");
+        if (!match) return {problem: 'must be a list of years and year ranges, e.g. "2015-2024,2026"'};
+        const from = Number(match[1]);
+        const to = match[2] ? Number(match[2]) : from;
+        if (from > to) return {problem: `has the backwards range ${from}-${to}`};
+        if (from < spec.min || to > spec.max) return {problem: `must only have years between ${spec.min} and ${spec.max}`};
+        for (let year = from; year <= to; year++) years.add(year);
+    }
+    return {value: Object.freeze([...years].sort((a, b) => a - b))};
+}
+
+/**
+ * Parses a map of names to values, e.g. "sync=debug,mongo=warn" or, in the config file,
+ * {"sync": "debug", "mongo": "warn"} as well.
+ *
+ * @param {string|object} raw - The value from the environment or the config file.
+ * @param {object} spec - The setting definition.
+ * @returns {{value?: object, problem?: string}} - The values by name, or a description of the problem.
+ */
+function parseMap(raw, spec) {
+    let entries = null;
+    if (typeof raw === "string") entries = raw.split(",").filter(part => part.trim()).map(part => part.split("="));
+    else if (raw && typeof raw === "object" && !Array.isArray(raw)) entries = Object.entries(raw);
+    const map = {};
+    for (const entry of entries ?? [[]]) {
+        const [name, value, ...rest] = entry.map(part => typeof part === "string" ? part.trim() : part);
+        if (!name || typeof value !== "string" || rest.length) return {problem: 'must be a list of names and values, e.g. "sync=debug,mongo=warn"'};
+        if (!spec.values.includes(value)) return {problem: `has the value "${value}" for ${name}, which must be one of: ${spec.values.join(", ")}`};
+        map[name] = value;
+    }
+    return {value: Object.freeze(map)};
+}
+
+/**
+ * Reads the config file.
+ *
+ * @param {string} path - The path of the JSON config file.
+ * @param {string[]} problems - Receives the problems with the file.
+ * @returns {object} - The settings in the file, by section.
+ */
+function readConfigFile(path, problems) {
+    let values;
+    try {
+        values = JSON.parse(readFileSync(path, "utf8"));
+    } catch (e) {
+        problems.push(`Can't read the config file "${path}": ${e.message}`);
+        return {};
+    }
+    // unknown keys are most likely typos, which would otherwise be silently ignored
+    for (const [section, settings] of Object.entries(values ?? {})) {
+        if (!SETTINGS[section]) {
+            problems.push(`Unknown section "${section}" in the config file.`);
+            continue;
+        }
+        for (const key of Object.keys(settings ?? {})) {
+            if (!SETTINGS[section][key]) problems.push(`Unknown setting "${section}.${key}" in the config file.`);
+        }
+    }
+    return values ?? {};
+}
+
+/**
+ * Loads and validates the configuration of the service.
+ *
+ * @param {object} [options={}] - Where the configuration is read from.
+ * @param {object} [options.env=process.env] - The environment variables.
+ * @param {string} [options.file=env.CONFIG_FILE] - The path of an optional JSON config file.
+ * @returns {object} - The frozen configuration, by section.
+ * @throws {ConfigError} - Listing every invalid setting.
+ */
+export function loadConfig({env = process.env, file = env.CONFIG_FILE} = {}) {
+    const problems = [];
+    const fileValues = file ? readConfigFile(file, problems) : {};
+    const config = {};
+    for (const [section, settings] of Object.entries(SETTINGS)) {
+        config[section] = {};
+        for (const [key, spec] of Object.entries(settings)) {
+            const fromEnv = env[spec.env] !== undefined && env[spec.env] !== "";
+            const raw = fromEnv ? env[spec.env] : fileValues[section]?.[key];
+            if (raw === undefined || raw === null) {
+                config[section][key] = spec.default;
+                continue;
+            }
+            const {value, problem} = parseSetting(raw, spec);
+            if (problem) problems.push(`${fromEnv ? spec.env : `${section}.${key} in the config file`} ${problem}.`);
+            config[section][key] = value;
+        }
+        Object.freeze(config[section]);
+    }
+
+    const {mongo} = config;
+    if (mongo.password && !mongo.username) problems.push("MONGODB_PASSWORD is set without MONGODB_USERNAME.");
+    if ((mongo.tlsCAFile || mongo.tlsCertificateKeyFile || mongo.tlsAllowInvalidCertificates) && !mongo.tls)
+        problems.push("The MongoDB TLS options require MONGODB_TLS=true.");
+
+    if (problems.length) throw new ConfigError(problems);
+    return Object.freeze(config);
+}
+
+/**
+ * Loads the configuration and stops the process with the problems if it's invalid,
+ * so a misconfigured service never starts.
+ *
+ * @returns {object} - The configuration.
+ */
+function loadConfigOrExit() {
+    try {
+        return loadConfig();
+    } catch (e) {
+        if (!(e instanceof ConfigError)) throw e;
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * The configuration of the service, loaded once at startup.
+ * @type {object}
+ */
+export const config = loadConfigOrExit();
@@ -1,3 +0,0 @@
-// ofc it's not the final place for it, can be placed in dot env.
-// also, the authentication stuff can be added to it.
-export const MONGODB_URI = "mongodb://mongo:27017/";
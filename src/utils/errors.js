@@ -0,0 +1,168 @@
+/**
+ * Represents an error which should be returned to the client with a specific HTTP status code.
+ * @class
+ */
+export class HttpError extends Error {
+    /**
+     * Creates a new instance of the HttpError class.
+     * @param {number} status - The HTTP status code.
+     * @param {string} message - A message describing the error.
+     * @param {object} [details] - Optional extra information for the client.
+     */
+    constructor(status, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+
+    /**
+     * Converts the error into the JSON body sent to the client.
+     * @returns {object} - The error response body.
+     */
+    toJSON() {
+        return {
+            error: {
+                status: this.status,
+                message: this.message,
+                ...(this.details ? {details: this.details} : {}),
+            }
+        };
+    }
+}
+
+/**
+ * Represents an invalid request, e.g. a malformed query parameter.
+ * @class
+ */
+export class BadRequestError extends HttpError {
+    constructor(message = "Bad request.", details) {
+        super(400, message, details);
+    }
+}
+
+/**
+ * Represents a request without valid credentials, e.g. a missing or revoked API key.
+ * @class
+ */
+export class UnauthorizedError extends HttpError {
+    constructor(message = "Unauthorized.", details) {
+        super(401, message, details);
+    }
+}
+
+/**
+ * Represents a request the credentials don't allow, e.g. an API key without the needed scope.
+ * @class
+ */
+export class ForbiddenError extends HttpError {
+    constructor(message = "Forbidden.", details) {
+        super(403, message, details);
+    }
+}
+
+/**
+ * Represents a request for a resource which doesn't exist.
+ * @class
+ */
+export class NotFoundError extends HttpError {
+    constructor(message = "Not found.", details) {
+        super(404, message, details);
+    }
+}
+
+/**
+ * Represents a request for a representation the endpoint can't produce, e.g. an unsupported `Accept` header.
+ * @class
+ */
+export class NotAcceptableError extends HttpError {
+    constructor(message = "Not acceptable.", details) {
+        super(406, message, details);
+    }
+}
+
+/**
+ * Represents a request which conflicts with the current state, e.g. starting a sync while one is running.
+ * @class
+ */
+export class ConflictError extends HttpError {
+    constructor(message = "Conflict.", details) {
+        super(409, message, details);
+    }
+}
+
+/**
+ * Represents a request over the rate limit or the quota of the client.
+ * @class
+ */
+export class TooManyRequestsError extends HttpError {
+    constructor(message = "Too many requests.", details) {
+        super(429, message, details);
+    }
+}
+
+/**
+ * Represents a dependency of the service which is unavailable, e.g. the database.
+ * @class
+ */
+export class ServiceUnavailableError extends HttpError {
+    constructor(message = "Service unavailable.", details) {
+        super(503, message, details);
+    }
+}
+
+/**
+ * Represents a failed request to an upstream service, after all retries.
+ * @class
+ */
+export class UpstreamError extends HttpError {
+    /**
+     * Creates a new instance of the UpstreamError class.
+     * @param {string} message - A message describing the error.
+     * @param {object} [details] - The upstream status code, error code and number of attempts.
+     */
+    constructor(message = "Upstream request failed.", details) {
+        super(502, message, details);
+    }
+}
+
+/**
+ * Represents an upstream response which was received but can't be trusted: it doesn't match
+ * the expected schema, or applying it would change too much of the catalog. It keeps the
+ * rejected payload so it can be quarantined, but never sends it to the clients.
+ * @class
+ */
+export class InvalidPayloadError extends UpstreamError {
+    /**
+     * Creates a new instance of the InvalidPayloadError class.
+     * @param {string} requestPath - The vPIC request path of the response, e.g. "GetVehicleTypesForMakeId/440".
+     * @param {string[]} problems - The problems found.
+     * @param {*} payload - The rejected payload, as received if possible.
+     * @param {string} [reason="invalidPayload"] - Why the payload was rejected, "invalidPayload" or "massRemoval".
+     */
+    constructor(requestPath, problems, payload, reason = "invalidPayload") {
+        const more = problems.length > 1 ? ` (and ${problems.length - 1} more problems)` : "";
+        super(`vPIC response to ${requestPath} rejected: ${problems[0]}${more}.`, {requestPath, reason, problems});
+        this.requestPath = requestPath;
+        this.endpoint = requestPath.split("/").find(Boolean);
+        this.problems = problems;
+        this.payload = payload;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Represents an invalid configuration of the service, found at startup.
+ * @class
+ */
+export class ConfigError extends Error {
+    /**
+     * Creates a new instance of the ConfigError class.
+     * @param {string[]} problems - The problems found, one per invalid setting.
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+        this.name = this.constructor.name;
+        this.problems = problems;
+    }
+}
@@ -0,0 +1,122 @@
+import {Transform} from "stream";
+
+/**
+ * The layouts of the CSV export: one row per make/vehicle type pair, or one row per make
+ * with the vehicle types joined.
+ * @type {string[]}
+ */
+export const CSV_LAYOUTS = ["pairs", "joined"]
+
+const CSV_JOIN_SEPARATOR = "|"
+
+/**
+ * Escapes a value for a CSV field (RFC 4180). A text starting with a character a spreadsheet
+ * reads as the start of a formula (`=`, `+`, `-`, `@`, tab or CR), e.g. in a make name or a
+ * display name, is prefixed with `'` so it's shown as text (CSV injection).
+ *
+ * @param {*} value - The field value.
+ * @returns {string} - The field, quoted if needed.
+ */
+function csvField(value) {
+    const text = value === undefined || value === null ? ""
+        : typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts a list of values into a CSV line.
+ *
+ * @param {Array} values - The field values.
+ * @returns {string} - The CSV line, with the line break.
+ */
+function csvLine(values) {
+    return values.map(csvField).join(",") + "\r\n";
+}
+
+/**
+ * Escapes a value for XML text content.
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The escaped text.
+ */
+function xmlText(value) {
+    return String(value ?? "").replace(/[&<>"']/g, char =>
+        ({"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;"})[char]);
+}
+
+/**
+ * The export formats of the makes, by the name used in the `format` query parameter.
+ * Each format has the content type and file extension of the response, its header and
+ * footer, and a function serializing a single make.
+ * @type {Object<string, object>}
+ */
+export const EXPORT_FORMATS = {
+    ndjson: {
+        contentType: "application/x-ndjson",
+        extension: "ndjson",
+        header: () => "",
+        serialize: make => JSON.stringify(make) + "\n",
+        footer: "",
+    },
+    csv: {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: ({layout}) => layout === "joined"
+            ? csvLine(["makeId", "makeName", "typeIds", "typeNames"])
+            : csvLine(["makeId", "makeName", "typeId", "typeName"]),
+        serialize: ({makeId, makeName, vehicleTypes = []}, {layout}) => {
+            if (layout === "joined")
+                return csvLine([
+                    makeId,
+                    makeName,
+                    vehicleTypes.map(type => type.typeId).join(CSV_JOIN_SEPARATOR),
+                    vehicleTypes.map(type => type.typeName).join(CSV_JOIN_SEPARATOR),
+                ]);
+            // a make without vehicle types still gets a row
+            if (!vehicleTypes.length) return csvLine([makeId, makeName, null, null]);
+            return vehicleTypes.map(type => csvLine([makeId, makeName, type.typeId, type.typeName])).join("");
+        },
+        footer: "",
+    },
+    xml: {
+        contentType: "application/xml; charset=utf-8",
+        extension: "xml",
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n<makes>\n',
+        serialize: ({makeId, makeName, vehicleTypes = []}) =>
+            `  <make>\n` +
+            `    <makeId>${xmlText(makeId)}</makeId>\n` +
+            `    <makeName>${xmlText(makeName)}</makeName>\n` +
+            `    <vehicleTypes>\n` +
+            vehicleTypes.map(type =>
+                `      <vehicleType><typeId>${xmlText(type.typeId)}</typeId><typeName>${xmlText(type.typeName)}</typeName></vehicleType>\n`
+            ).join("") +
+            `    </vehicleTypes>\n` +
+            `  </make>\n`,
+        footer: "</makes>\n",
+    },
+}
+
+/**
+ * Creates a stream converting makes into an export format.
+ *
+ * @param {string} format - One of the keys of EXPORT_FORMATS.
+ * @param {object} [options={}] - The format options.
+ * @param {string} [options.layout="pairs"] - The CSV layout, one of CSV_LAYOUTS.
+ * @returns {Transform} - A stream taking makes (object mode) and producing the formatted text.
+ */
+export function createExportStream(format, {layout = "pairs"} = {}) {
+    const {header, serialize, footer} = EXPORT_FORMATS[format];
+    const options = {layout};
+    const stream = new Transform({
+        writableObjectMode: true,
+        transform(make, encoding, callback) {
+            callback(null, serialize(make, options));
+        },
+        flush(callback) {
+            callback(null, footer);
+        },
+    });
+    const text = header(options);
+    if (text) stream.push(text);
+    return stream;
+}
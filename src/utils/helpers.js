@@ -50,6 +50,89 @@ export function shuffle(array) {
 }
 
 /**
- * A simple logger that logs messages to the console. It can be customized to use other logging systems.
+ * Escapes the special characters of a string so it can be used literally inside a regular expression.
+ *
+ * @param {string} text - The input text.
+ * @returns {string} - The escaped text.
+ */
+export function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Waits for the given time.
+ *
+ * @param {number} ms - The time to wait in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait, rejecting with the abort reason.
+ * @returns {Promise<void>} - Resolves after the time has passed.
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, {once: true});
+    });
+}
+
+/**
+ * Runs an async worker for every item, with at most `concurrency` workers running at the same time.
+ *
+ * @param {Array} items - The items to process.
+ * @param {number} concurrency - The maximum number of items processed in parallel.
+ * @param {Function} worker - The async function called with each item.
+ * @returns {Promise<void>} - Resolves when all items are processed.
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({length: Math.min(concurrency, items.length)}, async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Runs an async worker for every item like `runWithConcurrency`, then retries the items whose
+ * worker failed in up to `retryRounds` more rounds, after all the others were processed.
+ *
+ * @param {Array} items - The items to process.
+ * @param {Function} worker - The async function called with each item, throwing if it fails.
+ * @param {object} options - The processing options.
+ * @param {number} options.concurrency - The maximum number of items processed in parallel.
+ * @param {number} options.retryRounds - How many times the failed items are retried.
+ * @param {number} [options.retryDelayMs=0] - The wait before each retry round.
+ * @param {AbortSignal} [options.signal] - Stops the processing, rejecting with the abort reason.
+ * @param {Function} [options.onError] - Called with each item whose worker failed and the error.
+ * @param {Function} [options.onRetry] - Called with the failed items and the round number before each retry round.
+ * @returns {Promise<Array>} - The items which still failed after the last round.
  */
-export const logger = console;
+export async function runWithRetryRounds(items, worker, {concurrency, retryRounds, retryDelayMs = 0, signal, onError, onRetry}) {
+    let queue = items;
+    for (let round = 0; queue.length > 0 && round <= retryRounds; round++) {
+        if (round > 0) {
+            onRetry?.(queue, round);
+            await sleep(retryDelayMs, signal);
+        }
+        const failed = [];
+        await runWithConcurrency(queue, concurrency, async item => {
+            if (signal?.aborted) return;
+            try {
+                await worker(item);
+            } catch (e) {
+                onError?.(item, e);
+                failed.push(item);
+            }
+        });
+        signal?.throwIfAborted();
+        queue = failed;
+    }
+    return queue;
+}
@@ -0,0 +1,113 @@
+import {createHash, randomUUID} from "crypto";
+import {BadRequestError, HttpError} from "./errors.js";
+import {createLogger, runWithLogContext} from "./logger.js";
+import {readCache} from "./cache.js";
+import {config} from "./config.js";
+
+const logger = createLogger("http")
+
+// an incoming request ID is only kept if it can't garble the logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+/**
+ * Wraps an async Express.js handler so rejected promises are passed to the error handler.
+ * It also keeps the matched route pattern in `req.routePattern`, since `req.baseUrl`
+ * is reset once an error leaves the router.
+ *
+ * @param {Function} handler - The async request handler.
+ * @returns {Function} - An Express.js request handler.
+ */
+export function asyncHandler(handler) {
+    return (req, res, next) => {
+        req.routePattern = req.baseUrl + (req.route?.path === "/" ? "" : req.route?.path ?? "")
+        Promise.resolve(handler(req, res, next)).catch(next)
+    }
+}
+
+/**
+ * Parses a numeric ID path parameter.
+ *
+ * @param {string} value - The raw path parameter.
+ * @param {string} name - The name of the parameter, used in the error message.
+ * @returns {number} - The parsed ID.
+ * @throws {BadRequestError} - If the value is not a non-negative integer.
+ */
+export function parseIdParam(value, name) {
+    if (!/^\d+$/.test(value)) throw new BadRequestError(`The ${name} must be a number.`)
+    return Number(value)
+}
+
+/**
+ * Express.js middleware adding the caching headers of the data version to GET requests and
+ * responding with 304 to conditional requests for unchanged data, before the data is read.
+ * The strong `ETag` is derived from the data version stored in the database, the URL and the
+ * `Accept` header, since those determine the response, so all the instances of the service
+ * agree on it. Without data yet, no caching headers are sent.
+ *
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @param {Function} next - The next middleware.
+ */
+export const conditionalGet = asyncHandler(async (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next()
+    await readCache.refresh()
+    if (!readCache.version) return next()
+    const hash = createHash("sha1")
+        .update(`${readCache.version}\n${req.originalUrl}\n${req.get("Accept") ?? ""}`)
+        .digest("base64url")
+    res.set({
+        "ETag": `"${hash}"`,
+        "Last-Modified": readCache.lastModified.toUTCString(),
+        "Cache-Control": config.cache.control,
+    })
+    if (req.fresh) return res.status(304).end()
+    next()
+})
+
+/**
+ * Express.js middleware giving every request an ID, taken from the `logging.requestIdHeader`
+ * header if the client (or a proxy) sent one, otherwise generated. The ID is sent back in the
+ * same header and carried by every line logged while the request is handled. Once the response
+ * is sent, a line with its status and duration is logged.
+ *
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @param {Function} next - The next middleware.
+ */
+export function requestLogger(req, res, next) {
+    const header = config.logging.requestIdHeader
+    const incomingId = req.get(header)
+    req.requestId = REQUEST_ID_PATTERN.test(incomingId ?? "") ? incomingId : randomUUID()
+    res.set(header, req.requestId)
+    const startedAt = Date.now()
+    res.on("finish", () => {
+        logger[res.statusCode >= 500 ? "error" : "info"]({
+            requestId: req.requestId,
+            method: req.method,
+            path: req.originalUrl,
+            route: req.routePattern,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            apiKeyId: req.apiKey?.keyId,
+        }, req.method, req.originalUrl, res.statusCode)
+    })
+    runWithLogContext({requestId: req.requestId}, next)
+}
+
+/**
+ * Express.js error handler which converts errors into JSON responses.
+ * HttpErrors keep their status code, every other error is reported as 500.
+ *
+ * @param {Error} err - The error thrown by a handler.
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @param {Function} next - The next middleware.
+ */
+export function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err)
+    // errors aren't a representation of the data version
+    for (const header of ["ETag", "Last-Modified", "Cache-Control"]) res.removeHeader(header)
+    if (err instanceof HttpError) return res.status(err.status).json(err)
+    logger.error("Unhandled error on", req.method, req.originalUrl, err)
+    res.status(500).json({error: {status: 500, message: "Internal server error."}})
+}
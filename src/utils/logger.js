@@ -0,0 +1,224 @@
+import {AsyncLocalStorage} from "async_hooks";
+import {format, inspect} from "util";
+import {config} from "./config.js";
+
+const LEVELS = {debug: 10, info: 20, warn: 30, error: 40, silent: 100};
+
+/**
+ * The context of the current HTTP request or sync run, added to every line logged within it.
+ * @type {AsyncLocalStorage<object>}
+ */
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Where the lines are written and the level overriding the configured ones, see `configureLogging`.
+ */
+const output = {stream: process.stdout, level: null};
+
+/**
+ * Runs a function with fields added to the log context, e.g. the ID of a request or a sync run.
+ * Every line logged by it, including by the async work it starts, carries these fields.
+ *
+ * @param {object} fields - The context fields, e.g. `{runId}`.
+ * @param {Function} fn - The function to run.
+ * @returns {*} - The result of the function.
+ */
+export function runWithLogContext(fields, fn) {
+    return logContext.run({...logContext.getStore(), ...fields}, fn);
+}
+
+/**
+ * Adds fields to the current log context, e.g. the version of a sync run once it's known.
+ * Outside of a context, the fields are ignored.
+ *
+ * @param {object} fields - The context fields.
+ */
+export function addLogContext(fields) {
+    const store = logContext.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+/**
+ * Retrieves the current log context.
+ *
+ * @returns {object} - The context fields, empty outside of a context.
+ */
+export function getLogContext() {
+    return logContext.getStore() ?? {};
+}
+
+/**
+ * Overrides where and from which level all the modules log, e.g. for the command line.
+ *
+ * @param {object} options - The logging options.
+ * @param {stream.Writable} [options.stream] - The stream the lines are written to, stdout by default.
+ * @param {string|null} [options.level] - The level of all modules, instead of the configured ones.
+ */
+export function configureLogging({stream = output.stream, level = output.level}) {
+    Object.assign(output, {stream, level});
+}
+
+/**
+ * Converts an error into the fields of a log line.
+ *
+ * @param {Error} error - The error.
+ * @returns {object} - Its name, message, stack and code.
+ */
+function errorFields(error) {
+    return {name: error.name, message: error.message, code: error.code, stack: error.stack};
+}
+
+/**
+ * Formats a log line as text: the time, the level and the module, the message and the fields.
+ *
+ * @param {object} line - The log line.
+ * @returns {string} - The text line.
+ */
+function formatText({time, level, module, msg, ...fields}) {
+    const {err, ...rest} = fields;
+    const pairs = Object.entries(rest).filter(([, value]) => value !== undefined).map(([key, value]) =>
+        `${key}=${typeof value === "string" ? value : inspect(value, {breakLength: Infinity, compact: true})}`);
+    return [time, level.toUpperCase().padEnd(5), `[${module}]`, msg, ...pairs].join(" ") +
+        (err?.stack ? `\n${err.stack}` : "");
+}
+
+/**
+ * A logger of a module, writing a line per call with the level, the module, the message, the
+ * fields of the log context and the fields of the call, as JSON or text (`logging.format`).
+ * The calls take the fields of the line first, if any, then the message like `console.log`,
+ * e.g. `logger.info({makeId, durationMs}, "Vehicle types saved.")`; errors among the message
+ * arguments are added as the `err` field.
+ * @class
+ */
+export class Logger {
+    /**
+     * Creates a new Logger instance.
+     * @constructor
+     * @param {string} module - The name of the module, which selects its level and format.
+     * @param {object} [fields={}] - Fields added to every line of the logger.
+     */
+    constructor(module, fields = {}) {
+        this.module = module;
+        this.fields = fields;
+    }
+
+    /**
+     * Creates a logger adding more fields to every line.
+     * @param {object} fields - The fields.
+     * @returns {Logger} - The child logger.
+     */
+    child(fields) {
+        return new Logger(this.module, {...this.fields, ...fields});
+    }
+
+    /**
+     * Checks whether the module logs at a level, e.g. to skip building an expensive message.
+     * @param {string} level - "debug", "info", "warn" or "error".
+     * @returns {boolean} - True if the lines of this level are written.
+     */
+    isEnabled(level) {
+        const minimum = output.level ?? config.logging.moduleLevels[this.module] ?? config.logging.level;
+        return LEVELS[level] >= LEVELS[minimum];
+    }
+
+    /**
+     * Logs at the debug level: details, e.g. a line per make of a sync, hidden by default.
+     * @param {...*} args - The fields (optional) and the message.
+     */
+    debug(...args) {
+        this._write("debug", args);
+    }
+
+    /**
+     * Logs at the info level: the normal operation, e.g. a sync started.
+     * @param {...*} args - The fields (optional) and the message.
+     */
+    info(...args) {
+        this._write("info", args);
+    }
+
+    /**
+     * The same as `info`, so the logger can stand in for `console`.
+     * @param {...*} args - The fields (optional) and the message.
+     */
+    log(...args) {
+        this._write("info", args);
+    }
+
+    /**
+     * Logs at the warn level: something unexpected the service recovers from, e.g. a retried request.
+     * @param {...*} args - The fields (optional) and the message.
+     */
+    warn(...args) {
+        this._write("warn", args);
+    }
+
+    /**
+     * Logs at the error level: a failure, e.g. an unhandled error of a request.
+     * @param {...*} args - The fields (optional) and the message.
+     */
+    error(...args) {
+        this._write("error", args);
+    }
+
+    /**
+     * Summarizes many similar lines, e.g. one per make of a sync, which would flood the logs:
+     * each one is only logged at the debug level, and every `every` of them a summary at the
+     * info level, e.g. "Vehicle types of 2000 of 11000 makes saved.". The summaries carry the log
+     * context of the call to `progress`, not the one of the line, e.g. of a single make.
+     * @param {string} message - The format of the summary, given the count and the total.
+     * @param {object} options - The summary options.
+     * @param {number} options.total - How many lines are expected.
+     * @param {number} [options.every=config.logging.progressEvery] - The lines between two summaries.
+     * @returns {Function} - Logs a line, taking the same arguments as `debug`.
+     */
+    progress(message, {total, every = config.logging.progressEvery}) {
+        let count = 0;
+        const startedAt = Date.now();
+        const context = logContext.getStore();
+        return (...args) => {
+            this.debug(...args);
+            count++;
+            if (count % every === 0)
+                logContext.run(context, () => this.info({count, total, durationMs: Date.now() - startedAt}, message, count, total));
+        };
+    }
+
+    /**
+     * Writes a log line if the module logs at its level.
+     * @param {string} level - The level of the line.
+     * @param {Array} args - The fields, if the first argument is a plain object, then the message arguments.
+     */
+    _write(level, args) {
+        if (!this.isEnabled(level)) return;
+        const first = args[0];
+        const isFields = first !== null && typeof first === "object" &&
+            [Object.prototype, null].includes(Object.getPrototypeOf(first));
+        const fields = isFields ? first : {};
+        const messageArgs = isFields ? args.slice(1) : args;
+        const error = messageArgs.find(arg => arg instanceof Error);
+        const line = {
+            time: new Date().toISOString(),
+            level,
+            module: this.module,
+            msg: format(...messageArgs.map(arg => arg instanceof Error ? arg.message : arg)),
+            ...logContext.getStore(),
+            ...this.fields,
+            ...fields,
+            ...(error ? {err: errorFields(error)} : {}),
+        };
+        const lineFormat = config.logging.moduleFormats[this.module] ?? config.logging.format;
+        output.stream.write((lineFormat === "text" ? formatText(line) : JSON.stringify(line)) + "\n");
+    }
+}
+
+/**
+ * Creates the logger of a module. Its level and format are `logging.moduleLevels[module]` and
+ * `logging.moduleFormats[module]`, or else `logging.level` and `logging.format`.
+ *
+ * @param {string} module - The name of the module, e.g. "sync".
+ * @returns {Logger} - The logger.
+ */
+export function createLogger(module) {
+    return new Logger(module);
+}
@@ -0,0 +1,156 @@
+import client from "prom-client";
+
+/**
+ * The Prometheus registry holding all the metrics of the service, exposed on '/metrics'.
+ * @type {client.Registry}
+ */
+export const registry = new client.Registry()
+client.collectDefaultMetrics({register: registry})
+
+export const httpRequestsTotal = new client.Counter({
+    name: "http_requests_total",
+    help: "Number of HTTP requests, by method, route and status code.",
+    labelNames: ["method", "route", "status"],
+    registers: [registry],
+})
+
+export const httpRequestDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "Latency of the HTTP requests, by method, route and status code.",
+    labelNames: ["method", "route", "status"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+})
+
+export const upstreamRequestsTotal = new client.Counter({
+    name: "vpic_requests_total",
+    help: "Number of vPIC requests (including retries), by endpoint and status code or error code.",
+    labelNames: ["endpoint", "status"],
+    registers: [registry],
+})
+
+export const upstreamRequestDuration = new client.Histogram({
+    name: "vpic_request_duration_seconds",
+    help: "Latency of the vPIC requests, by endpoint.",
+    labelNames: ["endpoint"],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry],
+})
+
+export const upstreamPayloadsQuarantinedTotal = new client.Counter({
+    name: "vpic_payloads_quarantined_total",
+    help: "Number of vPIC responses rejected and quarantined, by endpoint and reason (invalidPayload or massRemoval).",
+    labelNames: ["endpoint", "reason"],
+    registers: [registry],
+})
+
+export const syncRunsTotal = new client.Counter({
+    name: "sync_runs_total",
+    help: "Number of finished sync runs, by type and final status.",
+    labelNames: ["type", "status"],
+    registers: [registry],
+})
+
+export const syncRunDuration = new client.Gauge({
+    name: "sync_last_run_duration_seconds",
+    help: "Duration of the last finished sync run.",
+    labelNames: ["type", "status"],
+    registers: [registry],
+})
+
+export const syncMakesProcessedTotal = new client.Counter({
+    name: "sync_makes_processed_total",
+    help: "Number of makes whose vehicle types or models were loaded and saved, by sync phase.",
+    labelNames: ["phase"],
+    registers: [registry],
+})
+
+export const syncMakesFailedTotal = new client.Counter({
+    name: "sync_makes_failed_total",
+    help: "Number of failed attempts to load and save the vehicle types or models of a make, by sync phase.",
+    labelNames: ["phase"],
+    registers: [registry],
+})
+
+export const syncLastSuccessTimestamp = new client.Gauge({
+    name: "sync_last_success_timestamp_seconds",
+    help: "Unix time of the last sync run which completed successfully.",
+    registers: [registry],
+})
+
+export const cacheRequestsTotal = new client.Counter({
+    name: "read_cache_requests_total",
+    help: "Number of reads from the in-process read cache, by result (hit or miss).",
+    labelNames: ["result"],
+    registers: [registry],
+})
+
+export const apiKeyRequestsTotal = new client.Counter({
+    name: "api_key_requests_total",
+    help: "Number of authenticated API requests, by API key and result (allowed, forbidden, rate_limited or quota_exceeded).",
+    labelNames: ["key_id", "result"],
+    registers: [registry],
+})
+
+export const webhookDeliveryAttemptsTotal = new client.Counter({
+    name: "webhook_delivery_attempts_total",
+    help: "Number of webhook delivery attempts, by result (delivered, retried or failed).",
+    labelNames: ["result"],
+    registers: [registry],
+})
+
+export const vinDecodingsTotal = new client.Counter({
+    name: "vin_decodings_total",
+    help: "Number of VINs decoded, by result (cached, decoded, invalid or failed).",
+    labelNames: ["result"],
+    registers: [registry],
+})
+
+export const mongoOperationErrorsTotal = new client.Counter({
+    name: "mongodb_operation_errors_total",
+    help: "Number of MongoDB operations which failed, by operation.",
+    labelNames: ["operation"],
+    registers: [registry],
+})
+
+/**
+ * Creates a gauge whose value is read when the metrics are scraped. If reading fails,
+ * e.g. while the database is down, the gauge keeps its last value.
+ *
+ * @param {object} options - The gauge name and help.
+ * @param {Function} read - An async function returning the current value.
+ * @returns {client.Gauge} - The gauge.
+ */
+export function createCollectedGauge({name, help}, read) {
+    return new client.Gauge({
+        name,
+        help,
+        registers: [registry],
+        async collect() {
+            try {
+                this.set(await read())
+            } catch (e) {
+                // the failure itself is counted by the failing component
+            }
+        },
+    })
+}
+
+/**
+ * Express.js middleware which counts the requests and measures their latency.
+ * The route label is the matched route pattern (see `asyncHandler`), so IDs in the path don't create new series.
+ *
+ * @param {express.Request} req - The Express.js request object.
+ * @param {express.Response} res - The Express.js response object.
+ * @param {Function} next - The next middleware.
+ */
+export function metricsMiddleware(req, res, next) {
+    const stopTimer = httpRequestDuration.startTimer()
+    res.on("finish", () => {
+        const route = req.routePattern ?? (req.baseUrl || "unmatched")
+        const labels = {method: req.method, route, status: res.statusCode}
+        httpRequestsTotal.inc(labels)
+        stopTimer(labels)
+    })
+    next()
+}
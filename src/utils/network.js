@@ -0,0 +1,61 @@
+import {lookup} from "dns";
+import {lookup as lookupAll} from "dns/promises";
+import {BlockList, isIP} from "net";
+
+// the addresses an outgoing request must not reach: this host, the private networks, the cloud
+// metadata endpoints (link-local) and the reserved ranges, a list per family since a BlockList
+// matches the IPv4 addresses against the IPv4-mapped IPv6 subnets too
+const NON_PUBLIC_ADDRESSES = {ipv4: new BlockList(), ipv6: new BlockList()};
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) NON_PUBLIC_ADDRESSES.ipv4.addSubnet(network, prefix, "ipv4");
+// the IPv4-mapped addresses too, as their IPv4 address can't be checked in every notation
+for (const [network, prefix] of [["::", 127], ["::ffff:0:0", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]])
+    NON_PUBLIC_ADDRESSES.ipv6.addSubnet(network, prefix, "ipv6");
+
+/**
+ * Checks whether an IP address is public, i.e. not loopback, private, link-local or reserved.
+ *
+ * @param {string} address - The IPv4 or IPv6 address.
+ * @returns {boolean} - True if the address is public, false otherwise or if it isn't an IP address.
+ */
+export function isPublicAddress(address) {
+    const family = isIP(address);
+    const type = family === 6 ? "ipv6" : "ipv4";
+    return family !== 0 && !NON_PUBLIC_ADDRESSES[type].check(address, type);
+}
+
+/**
+ * Checks that every address the host of a URL resolves to is public, so a request to it
+ * doesn't reach the internal network.
+ *
+ * @async
+ * @param {string} url - The http(s) URL.
+ * @throws {Error} - If the host doesn't resolve, or resolves to an address which isn't public.
+ */
+export async function assertPublicUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[(.*)]$/, "$1");
+    const addresses = isIP(hostname) ? [{address: hostname}] : await lookupAll(hostname, {all: true});
+    const denied = addresses.find(({address}) => !isPublicAddress(address));
+    if (denied) throw new Error(`The host ${hostname} resolves to ${denied.address}, which isn't a public address.`);
+}
+
+/**
+ * A `dns.lookup` refusing the addresses which aren't public, for the HTTP clients: the address
+ * is checked when the connection is made, so a host resolving to another address after
+ * `assertPublicUrl` (DNS rebinding) is refused too. IP addresses in URLs aren't looked up,
+ * they are checked by `assertPublicUrl`.
+ *
+ * @param {string} hostname - The host name.
+ * @param {object} options - The `dns.lookup` options.
+ * @param {Function} callback - Called with the error, or the address and its family, or all the addresses.
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+    lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const denied = (Array.isArray(address) ? address : [{address}]).find(entry => !isPublicAddress(entry.address));
+        if (denied) return callback(new Error(`The host ${hostname} resolves to ${denied.address}, which isn't a public address.`));
+        callback(null, address, family);
+    });
+}
@@ -0,0 +1,72 @@
+import {BadRequestError} from "./errors.js";
+
+export const DEFAULT_PAGE_SIZE = 100
+export const MAX_PAGE_SIZE = 1000
+
+/**
+ * Encodes the position of the last item of a page into an opaque cursor string.
+ *
+ * @param {*} sortValue - The value of the sort field for the last item.
+ * @param {*} id - The unique identifier (tie-breaker) of the last item.
+ * @returns {string} - A base64url encoded cursor.
+ */
+export function encodeCursor(sortValue, id) {
+    return Buffer.from(JSON.stringify([sortValue, id])).toString("base64url");
+}
+
+/**
+ * Decodes a cursor created by `encodeCursor`. The cursor comes from the client and its values
+ * go into the queries, so only a string or number sort value and an integer ID are accepted,
+ * never an object which would add query operators.
+ *
+ * @param {string} cursor - The opaque cursor string.
+ * @returns {{sortValue: string|number, id: number}} - The decoded position.
+ * @throws {BadRequestError} - If the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+    try {
+        const [sortValue, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        if (!Number.isInteger(id)) throw new Error("invalid id");
+        if (typeof sortValue !== "string" && !Number.isFinite(sortValue)) throw new Error("invalid sort value");
+        return {sortValue, id};
+    } catch (e) {
+        throw new BadRequestError("Invalid cursor.");
+    }
+}
+
+/**
+ * Validates a requested page size and applies the default and maximum values.
+ *
+ * @param {number|string} [limit] - The requested page size.
+ * @returns {number} - A page size between 1 and MAX_PAGE_SIZE.
+ * @throws {BadRequestError} - If the limit is not a positive integer.
+ */
+export function normalizeLimit(limit) {
+    if (limit === undefined || limit === null || limit === "") return DEFAULT_PAGE_SIZE
+    const parsed = Number(limit)
+    if (!Number.isInteger(parsed) || parsed < 1)
+        throw new BadRequestError("The limit must be a positive integer.")
+    return Math.min(parsed, MAX_PAGE_SIZE)
+}
+
+/**
+ * Builds a MongoDB query which selects the items after the given cursor (keyset pagination).
+ *
+ * @param {string} sortField - The field the results are sorted by.
+ * @param {number} direction - 1 for ascending and -1 for descending order.
+ * @param {string} idField - The unique field used as a tie-breaker.
+ * @param {string} [cursor] - The opaque cursor of the last item of the previous page.
+ * @returns {object} - The MongoDB query, or an empty object if there is no cursor.
+ */
+export function buildCursorQuery(sortField, direction, idField, cursor) {
+    if (!cursor) return {}
+    const {sortValue, id} = decodeCursor(cursor)
+    const op = direction === -1 ? "$lt" : "$gt"
+    if (sortField === idField) return {[idField]: {[op]: id}}
+    return {
+        $or: [
+            {[sortField]: {[op]: sortValue}},
+            {[sortField]: sortValue, [idField]: {[op]: id}},
+        ]
+    }
+}
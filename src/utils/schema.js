@@ -0,0 +1,65 @@
+const MAX_PROBLEMS = 20;
+
+/**
+ * Checks whether a value has one of the types of a schema.
+ *
+ * @param {*} value - The value.
+ * @param {string} type - "object", "array", "integer", "number" or "string".
+ * @returns {boolean} - True if the value has the type.
+ */
+function hasType(value, type) {
+    switch (type) {
+        case "object":
+            return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "array":
+            return Array.isArray(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validates a value against a schema, in the spirit of JSON Schema but only with the keywords
+ * the upstream payloads need:
+ *
+ * - `type`: "object", "array", "integer", "number" or "string", or an array of them
+ * - `required` and `properties` of the objects; other properties are allowed
+ * - `items` and `minItems` of the arrays
+ * - `min` of the numbers and `minLength` of the (trimmed) strings
+ *
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The schema.
+ * @param {string} [path="$"] - The path of the value, used in the problems.
+ * @param {string[]} [problems=[]] - Receives the problems found.
+ * @returns {string[]} - The problems found, at most 20, e.g. "$.Results[3].Make_ID must be an integer".
+ */
+export function validateSchema(value, schema, path = "$", problems = []) {
+    if (problems.length >= MAX_PROBLEMS) return problems;
+    const types = [schema.type].flat().filter(Boolean);
+    if (types.length && !types.some(type => hasType(value, type))) {
+        problems.push(`${path} must be ${types.map(type => /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`).join(" or ")}`);
+        return problems;
+    }
+    if (hasType(value, "object")) {
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined || value[key] === null) problems.push(`${path}.${key} is missing`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (value[key] !== undefined && value[key] !== null) validateSchema(value[key], propertySchema, `${path}.${key}`, problems);
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            problems.push(`${path} must have at least ${schema.minItems} items, got ${value.length}`);
+        if (schema.items) value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, problems));
+    } else if (typeof value === "number") {
+        if (schema.min !== undefined && value < schema.min) problems.push(`${path} must be at least ${schema.min}`);
+    } else if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength)
+            problems.push(`${path} must have at least ${schema.minLength} characters`);
+    }
+    return problems.slice(0, MAX_PROBLEMS);
+}
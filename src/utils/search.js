@@ -0,0 +1,107 @@
+// legal form suffixes dropped from the end of the names, e.g. "TESLA, INC." -> "tesla"
+const NAME_SUFFIXES = new Set([
+    "inc", "incorporated", "llc", "llp", "lp", "ltd", "limited", "co", "corp", "corporation",
+    "company", "gmbh", "ag", "sa", "spa", "srl", "bv", "nv", "plc", "pty",
+]);
+
+/**
+ * Normalizes a make name for searching and keeps the position of every normalized character
+ * in the original name. The name is lowercased, accents are removed, punctuation becomes
+ * whitespace, whitespace is collapsed and legal form suffixes (INC, LLC, ...) are dropped.
+ *
+ * @param {string} name - The make name.
+ * @returns {{text: string, offsets: number[]}} - The normalized name, and the index in the original name of each of its characters.
+ */
+export function normalizeWithOffsets(name = "") {
+    let text = "";
+    const offsets = [];
+    for (let i = 0; i < name.length; i++) {
+        const char = name[i].normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+        for (const part of char) {
+            const isWord = /[\p{L}\p{N}]/u.test(part);
+            // collapses the whitespace and skips it at the start
+            if (!isWord && (text === "" || text.endsWith(" "))) continue;
+            text += isWord ? part : " ";
+            offsets.push(i);
+        }
+    }
+
+    let tokens = text.trimEnd().split(" ");
+    while (tokens.length > 1 && NAME_SUFFIXES.has(tokens[tokens.length - 1])) tokens = tokens.slice(0, -1);
+    text = tokens.join(" ");
+    return {text, offsets: offsets.slice(0, text.length)};
+}
+
+/**
+ * Normalizes a make name or a search query, see `normalizeWithOffsets`.
+ *
+ * @param {string} name - The make name or search query.
+ * @returns {string} - The normalized name.
+ */
+export function normalizeName(name) {
+    return normalizeWithOffsets(name).text;
+}
+
+/**
+ * Computes the edit distance of two strings, counting the insertions, deletions, substitutions
+ * and transpositions of adjacent characters (e.g. "frod" -> "ford"), giving up once it exceeds a maximum.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @param {number} [max=Infinity] - The maximum distance of interest.
+ * @returns {number} - The distance, or `max + 1` if it's larger than `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let beforePrevious = [];
+    let previous = Array.from({length: b.length + 1}, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        // a transposition can't lower the distance by more than one in the next row
+        if (rowMin > max + 1) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Escapes the HTML special characters of a text.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char =>
+        ({"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"})[char]);
+}
+
+/**
+ * Highlights a match in the original make name.
+ *
+ * @param {string} name - The original make name.
+ * @param {number[]} offsets - The offsets returned by `normalizeWithOffsets` for the name.
+ * @param {number} start - The start of the match in the normalized name.
+ * @param {number} end - The end (exclusive) of the match in the normalized name.
+ * @returns {{highlight: string, match: {start: number, end: number}}} - The HTML-escaped name with the
+ * match wrapped in `<em>` tags, and the position of the match in the original name.
+ */
+export function highlightMatch(name, offsets, start, end) {
+    const from = offsets[start] ?? 0;
+    const to = end > start ? offsets[end - 1] + 1 : from;
+    return {
+        highlight: escapeHtml(name.slice(0, from)) + "<em>" + escapeHtml(name.slice(from, to)) + "</em>" + escapeHtml(name.slice(to)),
+        match: {start: from, end: to},
+    };
+}
@@ -0,0 +1,61 @@
+import {sleep} from "./helpers.js";
+
+/**
+ * A token bucket rate limiter. Tokens are refilled continuously at `ratePerSecond`
+ * up to `capacity`, and each call to `take` waits until a token is available.
+ * Waiting callers are served in order.
+ * @class
+ */
+export default class TokenBucket {
+    /**
+     * Creates a new TokenBucket instance.
+     * @constructor
+     * @param {number} ratePerSecond - The number of tokens added per second.
+     * @param {number} [capacity=ratePerSecond] - The maximum number of tokens (the allowed burst).
+     */
+    constructor(ratePerSecond, capacity = ratePerSecond) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Waits until a token is available and takes it.
+     * @async
+     * @returns {Promise<void>} - Resolves when the caller may proceed.
+     */
+    take() {
+        const turn = this.queue.then(async () => {
+            const pause = this.pausedUntil - Date.now();
+            if (pause > 0) await sleep(pause);
+            this._refill();
+            if (this.tokens < 1) {
+                await sleep((1 - this.tokens) / this.ratePerSecond * 1000);
+                this._refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Stops handing out tokens for the given time, e.g. when the server asks to slow down.
+     * @param {number} ms - The pause in milliseconds.
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    /**
+     * Adds the tokens accumulated since the last refill.
+     */
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+}
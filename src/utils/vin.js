@@ -0,0 +1,57 @@
+// the values of the VIN characters in the check digit calculation (ISO 3779, 49 CFR 565)
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const CHECK_DIGIT_POSITION = 8;
+
+// I, O and Q are never used, they are too easily confused with 1 and 0
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+/**
+ * Normalizes a VIN as typed by a customer: surrounding whitespace removed and uppercased.
+ *
+ * @param {string} vin - The VIN.
+ * @returns {string} - The normalized VIN.
+ */
+export function normalizeVin(vin) {
+    return String(vin ?? "").trim().toUpperCase();
+}
+
+/**
+ * Computes the check digit (the 9th character) of a VIN.
+ *
+ * @param {string} vin - A 17 character VIN with only allowed characters.
+ * @returns {string} - The check digit, "0" to "9" or "X".
+ */
+export function computeCheckDigit(vin) {
+    let sum = 0;
+    for (let i = 0; i < vin.length; i++) {
+        const char = vin[i];
+        sum += (/\d/.test(char) ? Number(char) : TRANSLITERATION[char]) * POSITION_WEIGHTS[i];
+    }
+    const remainder = sum % 11;
+    return remainder === 10 ? "X" : String(remainder);
+}
+
+/**
+ * Checks that a normalized VIN has 17 allowed characters and, optionally, a valid check digit.
+ * The check digit is only mandatory for vehicles made for North America.
+ *
+ * @param {string} vin - The normalized VIN.
+ * @param {object} [options={}] - The validation options.
+ * @param {boolean} [options.verifyCheckDigit=true] - Whether the check digit must be valid.
+ * @returns {string|null} - The problem with the VIN, or null if it's valid.
+ */
+export function validateVin(vin, {verifyCheckDigit = true} = {}) {
+    if (vin.length !== 17) return `The VIN must be 17 characters long, got ${vin.length}.`;
+    if (!VIN_PATTERN.test(vin)) return "The VIN may only contain digits and the letters A to Z except I, O and Q.";
+    if (verifyCheckDigit) {
+        const expected = computeCheckDigit(vin);
+        if (vin[CHECK_DIGIT_POSITION] !== expected)
+            return `The check digit of the VIN is ${vin[CHECK_DIGIT_POSITION]}, expected ${expected}.`;
+    }
+    return null;
+}